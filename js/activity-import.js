@@ -0,0 +1,397 @@
+/**
+ * Import recorded sessions from watch and app exports (FIT, TCX, GPX) as
+ * workout_logs rows, parsed in the browser.
+ *
+ * Every file resolves to a list of activities:
+ *
+ *   {
+ *     sport: 'running',            // lower-case, 'generic' when unknown
+ *     start: Date, end: Date,
+ *     duration_seconds: 5412,      // elapsed, start to finish
+ *     distance_m: 9020 | null,
+ *     calories: 812 | null,
+ *     heart_rate_avg: 158 | null, heart_rate_max: 184 | null,
+ *     laps: [{ seconds: 241.3, distance_m: 1000 | null, heart_rate_avg, heart_rate_max }]
+ *   }
+ *
+ * Heart rate comes from the file's session/lap totals when it has them, else
+ * from the samples. GPX has no laps.
+ *
+ * An activity whose laps line up with a HYROX course — one lap per segment,
+ * with or without a lap for each Roxzone transition — can also be saved as a
+ * simulation_results row (see simCourse()). The log and the sim share a
+ * completed_at, which is how training load tells they are one session.
+ */
+
+import { supabase } from './supabase-client.js'
+import { parseFit, isFit, SPORTS } from './fit-parser.js'
+import { RACE_SEGMENTS, ROXZONE_COURSE, withRoxzone, splitsFromDurations, validateSplits } from './splits.js'
+import { buildManualLog } from './workout-log.js'
+
+// A lap this short at the end is the stop button, not a segment
+const MIN_LAP_SECONDS = 5
+const EARTH_RADIUS_M = 6371000
+
+// Lap counts that map onto a course, checked in order
+const SIM_COURSES = [
+  { format: 'singles', segments: RACE_SEGMENTS },
+  { format: 'singles', segments: ROXZONE_COURSE },
+  { format: 'half', segments: RACE_SEGMENTS.slice(0, 8) },
+  { format: 'half', segments: withRoxzone(RACE_SEGMENTS.slice(0, 8)) }
+]
+const NON_SIM_SPORTS = ['cycling', 'biking', 'swimming']
+
+export class ActivityImportError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ActivityImportError'
+  }
+}
+
+function round(n, places = 0) {
+  const f = 10 ** places
+  return Math.round(n * f) / f
+}
+
+/** Mean and max of heart rate samples, ignoring gaps. */
+function heartRateStats(samples) {
+  const values = samples.filter(v => Number.isFinite(v) && v > 0)
+  if (values.length === 0) return { avg: null, max: null }
+  return {
+    avg: Math.round(values.reduce((a, b) => a + b, 0) / values.length),
+    max: Math.max(...values)
+  }
+}
+
+function activity(fields) {
+  const hr = heartRateStats(fields.samples || [])
+  const start = fields.start
+  const duration = fields.duration_seconds
+  return {
+    sport: fields.sport || 'generic',
+    start,
+    end: new Date(start.getTime() + duration * 1000),
+    duration_seconds: Math.round(duration),
+    distance_m: fields.distance_m ? Math.round(fields.distance_m) : null,
+    calories: fields.calories ? Math.round(fields.calories) : null,
+    heart_rate_avg: fields.heart_rate_avg ? Math.round(fields.heart_rate_avg) : hr.avg,
+    heart_rate_max: fields.heart_rate_max ? Math.round(fields.heart_rate_max) : hr.max,
+    laps: fields.laps || []
+  }
+}
+
+// ── FIT ──
+
+/**
+ * Activities from a FIT file: one per session message, with the laps and
+ * samples that fall inside it.
+ * @param {ArrayBuffer} buffer
+ */
+export function parseActivityFit(buffer) {
+  const messages = parseFit(buffer)
+  const records = (messages.record || []).filter(r => r.timestamp)
+  const laps = messages.lap || []
+  let sessions = (messages.session || []).filter(s => s.start_time)
+
+  // Files cut short before the session message still have their samples
+  if (sessions.length === 0 && records.length > 1) {
+    const first = records[0].timestamp
+    const last = records[records.length - 1].timestamp
+    sessions = [{ start_time: first, total_elapsed_time: (last - first) / 1000 }]
+  }
+  if (sessions.length === 0) throw new ActivityImportError('No recorded activity in this FIT file')
+
+  return sessions.map(s => {
+    const seconds = s.total_elapsed_time ?? s.total_timer_time ?? 0
+    const from = s.start_time.getTime()
+    const to = from + seconds * 1000
+    const inside = t => t && t.getTime() >= from && t.getTime() <= to
+    return activity({
+      sport: SPORTS[s.sport] || 'generic',
+      start: s.start_time,
+      duration_seconds: seconds,
+      distance_m: s.total_distance,
+      calories: s.total_calories,
+      heart_rate_avg: s.avg_heart_rate,
+      heart_rate_max: s.max_heart_rate,
+      samples: records.filter(r => inside(r.timestamp)).map(r => r.heart_rate),
+      laps: laps
+        .filter(l => inside(l.start_time))
+        .map(l => ({
+          seconds: l.total_elapsed_time ?? l.total_timer_time ?? 0,
+          distance_m: l.total_distance ? round(l.total_distance) : null,
+          heart_rate_avg: l.avg_heart_rate ?? null,
+          heart_rate_max: l.max_heart_rate ?? null
+        }))
+    })
+  })
+}
+
+// ── TCX / GPX ──
+
+function tagValue(xml, tag) {
+  const m = xml.match(new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([^<]*)</(?:\\w+:)?${tag}>`))
+  return m ? m[1].trim() : null
+}
+
+function attributes(text) {
+  const attrs = {}
+  for (const [, key, value] of text.matchAll(/([\w:]+)="([^"]*)"/g)) attrs[key] = value
+  return attrs
+}
+
+// Heart rate inside a <HeartRateBpm><Value>…</Value></HeartRateBpm> wrapper
+function bpm(xml, tag) {
+  const m = xml.match(new RegExp(`<${tag}\\b[^>]*>\\s*<Value>([^<]*)</Value>`))
+  return m ? parseFloat(m[1]) : null
+}
+
+/**
+ * Activities from a Garmin Training Center file.
+ * @param {string} text
+ */
+export function parseActivityTcx(text) {
+  if (!/<TrainingCenterDatabase[\s>]/.test(text)) throw new ActivityImportError('Not a TCX file')
+  const activities = []
+  for (const [, attrs, body] of text.matchAll(/<Activity\b([^>]*)>([\s\S]*?)<\/Activity>/g)) {
+    const id = tagValue(body, 'Id')
+    if (!id || Number.isNaN(Date.parse(id))) continue
+
+    const laps = []
+    const samples = []
+    let meters = 0, calories = 0, elapsed = 0
+    let lastPoint = null
+    for (const [lap, lapAttrs] of body.matchAll(/<Lap\b([^>]*)>[\s\S]*?<\/Lap>/g)) {
+      for (const [point] of lap.matchAll(/<Trackpoint>[\s\S]*?<\/Trackpoint>/g)) {
+        const hr = bpm(point, 'HeartRateBpm')
+        if (hr) samples.push(hr)
+        const time = tagValue(point, 'Time')
+        if (time) lastPoint = new Date(time)
+      }
+      // Only the lap's own totals, not the trackpoints' running distance
+      const totals = lap.replace(/<Track>[\s\S]*?<\/Track>/g, '')
+      const seconds = parseFloat(tagValue(totals, 'TotalTimeSeconds')) || 0
+      const distance = parseFloat(tagValue(totals, 'DistanceMeters')) || 0
+      const lapStart = Date.parse(attributes(lapAttrs).StartTime)
+      meters += distance
+      calories += parseFloat(tagValue(totals, 'Calories')) || 0
+      // Paused laps are timed, so elapsed runs to the last lap's end
+      elapsed = Math.max(elapsed, (Number.isNaN(lapStart) ? Date.parse(id) : lapStart) - Date.parse(id) + seconds * 1000)
+      laps.push({
+        seconds,
+        distance_m: distance ? round(distance) : null,
+        heart_rate_avg: bpm(totals, 'AverageHeartRateBpm'),
+        heart_rate_max: bpm(totals, 'MaximumHeartRateBpm')
+      })
+    }
+
+    const start = new Date(id)
+    const lapMax = laps.map(l => l.heart_rate_max).filter(Boolean)
+    activities.push(activity({
+      sport: (attributes(attrs).Sport || 'generic').toLowerCase(),
+      start,
+      duration_seconds: Math.max(elapsed, lastPoint ? lastPoint - start : 0) / 1000,
+      distance_m: meters,
+      calories,
+      heart_rate_max: lapMax.length ? Math.max(...lapMax) : null,
+      samples,
+      laps
+    }))
+  }
+  if (activities.length === 0) throw new ActivityImportError('No activities in this TCX file')
+  return activities
+}
+
+function haversine(a, b) {
+  const rad = d => (d * Math.PI) / 180
+  const dLat = rad(b.lat - a.lat)
+  const dLon = rad(b.lon - a.lon)
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h))
+}
+
+/**
+ * Activities from a GPX file, one per track. Distance is measured along the
+ * points; heart rate comes from the Garmin TrackPointExtension.
+ * @param {string} text
+ */
+export function parseActivityGpx(text) {
+  if (!/<gpx[\s>]/.test(text)) throw new ActivityImportError('Not a GPX file')
+  const activities = []
+  for (const [, track] of text.matchAll(/<trk>([\s\S]*?)<\/trk>/g)) {
+    const points = []
+    for (const [, attrs, body] of track.matchAll(/<trkpt\b([^>]*)>([\s\S]*?)<\/trkpt>/g)) {
+      const a = attributes(attrs)
+      const time = Date.parse(tagValue(body, 'time'))
+      if (Number.isNaN(time)) continue
+      points.push({ lat: parseFloat(a.lat), lon: parseFloat(a.lon), time, hr: parseFloat(tagValue(body, 'hr')) })
+    }
+    if (points.length < 2) continue
+
+    let meters = 0
+    for (let i = 1; i < points.length; i++) {
+      if ([points[i - 1].lat, points[i - 1].lon, points[i].lat, points[i].lon].every(Number.isFinite)) {
+        meters += haversine(points[i - 1], points[i])
+      }
+    }
+    activities.push(activity({
+      sport: (tagValue(track, 'type') || 'generic').toLowerCase(),
+      start: new Date(points[0].time),
+      duration_seconds: (points[points.length - 1].time - points[0].time) / 1000,
+      distance_m: meters,
+      samples: points.map(p => p.hr)
+    }))
+  }
+  if (activities.length === 0) throw new ActivityImportError('No timed tracks in this GPX file')
+  return activities
+}
+
+/**
+ * Parse a picked file by its extension (FIT is also sniffed by header).
+ * @param {File} file
+ * @returns {Promise<{format: string, activities: Array}>}
+ */
+export async function parseActivityFile(file) {
+  const name = file.name.toLowerCase()
+  try {
+    if (name.endsWith('.fit')) {
+      const buffer = await file.arrayBuffer()
+      if (!isFit(buffer)) throw new ActivityImportError('Not a FIT file')
+      return { format: 'FIT', activities: parseActivityFit(buffer) }
+    }
+    if (name.endsWith('.tcx')) return { format: 'TCX', activities: parseActivityTcx(await file.text()) }
+    if (name.endsWith('.gpx')) return { format: 'GPX', activities: parseActivityGpx(await file.text()) }
+  } catch (err) {
+    throw new ActivityImportError(`${file.name}: ${err.message}`)
+  }
+  throw new ActivityImportError(`${file.name}: choose a .fit, .tcx or .gpx file`)
+}
+
+// ── Sims ──
+
+/**
+ * The course an activity's laps map onto, or null. Lap N is course segment
+ * N, so the athlete must have pressed lap at the end of every segment (and
+ * of every Roxzone transition for the longer layouts).
+ * @returns {{format: string, segments: Array}|null}
+ */
+export function simCourse(act) {
+  if (NON_SIM_SPORTS.includes(act.sport)) return null
+  const laps = [...act.laps]
+  while (laps.length && laps[laps.length - 1].seconds < MIN_LAP_SECONDS) laps.pop()
+  if (laps.some(l => !(l.seconds > 0))) return null
+  const course = SIM_COURSES.find(c => c.segments.length === laps.length)
+  return course ? { ...course, laps } : null
+}
+
+/**
+ * Canonical splits from an activity's laps on a course.
+ * @param {{segments: Array, laps: Array}} course - from simCourse()
+ */
+export function lapSplits(course) {
+  return splitsFromDurations(course.segments.map((seg, i) => ({
+    segment: i,
+    name: seg.name,
+    splitMs: Math.round(course.laps[i].seconds * 1000)
+  })))
+}
+
+// ── Rows ──
+
+function describe(act, format) {
+  const parts = [`Imported from ${format}`, act.sport.replace(/_/g, ' ')]
+  if (act.distance_m) parts.push(`${(act.distance_m / 1000).toFixed(2)} km`)
+  return parts.join(' · ')
+}
+
+/**
+ * The rows one activity saves as. The sim row is only built when asked and
+ * the laps map onto a course.
+ * @param {string} userId
+ * @param {Object} act - an activity
+ * @param {Object} [options]
+ * @param {string} [options.format] - source file format, for the log notes
+ * @param {boolean} [options.asSim=false]
+ * @returns {{log: Object, sim: Object|null}}
+ */
+export function activityRows(userId, act, { format = 'file', asSim = false } = {}) {
+  const completedAt = act.end.toISOString()
+  const course = asSim ? simCourse(act) : null
+  const names = course ? course.segments.map(s => s.name) : null
+  // Without laps the whole activity is one entry, so its distance is kept
+  const laps = act.laps.length ? act.laps : [{ seconds: act.duration_seconds, distance_m: act.distance_m }]
+
+  const log = {
+    user_id: userId,
+    workout_id: null,
+    completed_at: completedAt,
+    duration_seconds: act.duration_seconds,
+    heart_rate_avg: act.heart_rate_avg,
+    heart_rate_max: act.heart_rate_max,
+    notes: describe(act, format),
+    source: 'watch',
+    data: buildManualLog({
+      total_seconds: act.duration_seconds,
+      sport: act.sport,
+      exercises: laps.map((l, i) => ({
+        name: names?.[i] || `Lap ${i + 1}`,
+        distance_m: l.distance_m,
+        duration_seconds: round(l.seconds, 1)
+      }))
+    })
+  }
+
+  let sim = null
+  if (course) {
+    const splits = lapSplits(course)
+    const totalMs = splits[splits.length - 1].cumulative_ms
+    validateSplits(splits, { totalMs })
+    sim = {
+      user_id: userId,
+      total_time_ms: totalMs,
+      splits,
+      completed_at: completedAt,
+      format: course.format,
+      workout_id: null,
+      partners: null,
+      source: 'watch'
+    }
+  }
+  return { log, sim }
+}
+
+/**
+ * Save imported rows, skipping sessions already imported (same completed_at).
+ * @param {string} userId
+ * @param {Array<{log: Object, sim: Object|null}>} items - from activityRows()
+ * @returns {Promise<{logs: number, sims: number, duplicates: number, flagged: number}>}
+ */
+export async function saveActivityRows(userId, items) {
+  if (items.length === 0) return { logs: 0, sims: 0, duplicates: 0, flagged: 0 }
+  const times = items.map(i => i.log.completed_at)
+  const [logsRes, simsRes] = await Promise.all([
+    supabase.from('workout_logs').select('completed_at').eq('user_id', userId).in('completed_at', times),
+    supabase.from('simulation_results').select('completed_at').eq('user_id', userId).in('completed_at', times)
+  ])
+  for (const res of [logsRes, simsRes]) if (res.error) throw res.error
+  const seen = rows => new Set((rows || []).map(r => new Date(r.completed_at).getTime()))
+  const loggedAt = seen(logsRes.data)
+  const simAt = seen(simsRes.data)
+  const isNew = (set, row) => !set.has(new Date(row.completed_at).getTime())
+
+  const logs = items.map(i => i.log).filter(row => isNew(loggedAt, row))
+  const sims = items.map(i => i.sim).filter(row => row && isNew(simAt, row))
+
+  if (logs.length) {
+    const { error } = await supabase.from('workout_logs').insert(logs)
+    if (error) throw error
+  }
+  let flagged = 0
+  for (const row of sims) {
+    // One at a time so a rejected sim names itself; the log is already saved
+    const { data, error } = await supabase.from('simulation_results').insert(row).select('review_status').single()
+    if (error) throw error
+    if (data?.review_status === 'flagged') flagged++
+  }
+  return { logs: logs.length, sims: sims.length, duplicates: items.length - logs.length, flagged }
+}
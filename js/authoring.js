@@ -0,0 +1,227 @@
+/**
+ * Authored workouts and training plans, and assigning them to athletes or
+ * groups (migrations/add_content_authoring.sql).
+ *
+ * Content has an owner and a visibility: 'public' rows are the library,
+ * 'group' rows are shared with one group, 'private' rows are the owner's
+ * (plus whoever they're assigned to). RLS decides what each user can read,
+ * so the library pages ask for public rows explicitly rather than showing
+ * everything readable.
+ */
+
+import { supabase } from './supabase-client.js'
+import { validateWorkout } from './workout-schema.js'
+import { normalizeSchedule, validateSchedule } from './plan-schema.js'
+
+export const VISIBILITIES = [
+  { value: 'private', label: 'Private' },
+  { value: 'group', label: 'Group' },
+  { value: 'public', label: 'Public library' }
+]
+
+const WORKOUT_COLUMNS = 'id, title, description, category, difficulty, duration_minutes, stations, equipment, timing, owner_id, visibility, group_id, updated_at'
+const PLAN_COLUMNS = 'id, title, description, duration_weeks, difficulty, target_audience, schedule, owner_id, visibility, group_id, updated_at'
+
+function sharing({ visibility = 'private', groupId = null }) {
+  if (!VISIBILITIES.some(v => v.value === visibility)) throw new Error(`Unknown visibility "${visibility}"`)
+  if (visibility === 'group' && !groupId) throw new Error('Pick a group to share with')
+  return { visibility, group_id: visibility === 'group' ? groupId : null }
+}
+
+// ── Workouts ──
+
+/**
+ * Insert or update fields for a workout. Throws WorkoutValidationError.
+ * @param {Object} input - workout fields (see js/workout-schema.js) plus
+ *   visibility and groupId
+ */
+export function workoutFields(input) {
+  const fields = {
+    title: String(input.title || '').trim(),
+    description: String(input.description || '').trim() || null,
+    category: input.category,
+    difficulty: input.difficulty || null,
+    duration_minutes: input.duration_minutes ?? null,
+    equipment: (input.equipment || []).map(e => e.trim()).filter(Boolean),
+    timing: input.timing || null,
+    stations: input.stations || []
+  }
+  validateWorkout(fields)
+  return { ...fields, ...sharing(input) }
+}
+
+/** Workouts the user authored, most recently edited first. */
+export async function listMyWorkouts(userId) {
+  const { data, error } = await supabase
+    .from('workouts')
+    .select(WORKOUT_COLUMNS)
+    .eq('owner_id', userId)
+    .order('updated_at', { ascending: false })
+  if (error) throw error
+  return data || []
+}
+
+export async function getWorkout(id) {
+  const { data, error } = await supabase.from('workouts').select(WORKOUT_COLUMNS).eq('id', id).maybeSingle()
+  if (error) throw error
+  return data
+}
+
+/**
+ * Create a workout, or update one the user owns.
+ * @param {string} userId
+ * @param {Object} fields - from workoutFields()
+ * @param {string|null} [workoutId]
+ */
+export async function saveWorkout(userId, fields, workoutId = null) {
+  const query = workoutId
+    ? supabase.from('workouts').update({ ...fields, updated_at: new Date().toISOString() }).eq('id', workoutId).eq('owner_id', userId)
+    : supabase.from('workouts').insert({ ...fields, owner_id: userId })
+  const { data, error } = await query.select(WORKOUT_COLUMNS).single()
+  if (error) throw error
+  return data
+}
+
+export async function deleteWorkout(workoutId) {
+  const { error } = await supabase.from('workouts').delete().eq('id', workoutId)
+  if (error) throw error
+}
+
+// ── Plans ──
+
+/**
+ * Insert or update fields for a plan. Throws PlanValidationError.
+ * @param {Object} input - title, description, difficulty, target_audience,
+ *   schedule, visibility and groupId
+ */
+export function planFields(input) {
+  const title = String(input.title || '').trim()
+  if (!title) throw new Error('Plan needs a title')
+  const schedule = validateSchedule(normalizeSchedule(input.schedule))
+  return {
+    title,
+    description: String(input.description || '').trim() || null,
+    difficulty: input.difficulty || null,
+    target_audience: String(input.target_audience || '').trim() || null,
+    duration_weeks: schedule.length,
+    schedule,
+    ...sharing(input)
+  }
+}
+
+/** Plans the user authored, most recently edited first. */
+export async function listMyPlans(userId) {
+  const { data, error } = await supabase
+    .from('training_plans')
+    .select(PLAN_COLUMNS)
+    .eq('owner_id', userId)
+    .order('updated_at', { ascending: false })
+  if (error) throw error
+  return data || []
+}
+
+export async function getPlan(id) {
+  const { data, error } = await supabase.from('training_plans').select(PLAN_COLUMNS).eq('id', id).maybeSingle()
+  if (error) throw error
+  return data
+}
+
+/**
+ * Create a plan, or update one the user owns.
+ * @param {string} userId
+ * @param {Object} fields - from planFields()
+ * @param {string|null} [planId]
+ */
+export async function savePlan(userId, fields, planId = null) {
+  const query = planId
+    ? supabase.from('training_plans').update({ ...fields, updated_at: new Date().toISOString() }).eq('id', planId).eq('owner_id', userId)
+    : supabase.from('training_plans').insert({ ...fields, owner_id: userId })
+  const { data, error } = await query.select(PLAN_COLUMNS).single()
+  if (error) throw error
+  return data
+}
+
+export async function deletePlan(planId) {
+  const { error } = await supabase.from('training_plans').delete().eq('id', planId)
+  if (error) throw error
+}
+
+// ── Assignments ──
+
+const ASSIGNMENT_COLUMNS = 'id, assigned_by, workout_id, plan_id, athlete_id, group_id, start_date, notes, created_at, ' +
+  'workouts(id, title, category), training_plans(id, title, duration_weeks), ' +
+  'assigner:profiles!assigned_by(display_name), athlete:profiles!athlete_id(display_name), groups(name)'
+
+/**
+ * Assign a workout or plan.
+ * @param {string} assignedBy
+ * @param {Object} input
+ * @param {string} [input.workoutId] - one of workoutId / planId
+ * @param {string} [input.planId]
+ * @param {string} [input.athleteId] - one of athleteId / groupId
+ * @param {string} [input.groupId]
+ * @param {string} input.startDate - 'YYYY-MM-DD'; the plan's day one, or the day to do the workout
+ * @param {string} [input.notes]
+ */
+export async function assignContent(assignedBy, input) {
+  if (!input.workoutId === !input.planId) throw new Error('Assign either a workout or a plan')
+  if (!input.athleteId === !input.groupId) throw new Error('Assign to either an athlete or a group')
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(input.startDate || '')) throw new Error('Pick a start date')
+  const { data, error } = await supabase
+    .from('assignments')
+    .insert({
+      assigned_by: assignedBy,
+      workout_id: input.workoutId || null,
+      plan_id: input.planId || null,
+      athlete_id: input.athleteId || null,
+      group_id: input.groupId || null,
+      start_date: input.startDate,
+      notes: String(input.notes || '').trim() || null
+    })
+    .select(ASSIGNMENT_COLUMNS)
+    .single()
+  if (error) throw error
+  return data
+}
+
+/**
+ * Assignments for the user, directly or through a group.
+ * @param {string} userId
+ * @param {string} [since] - 'YYYY-MM-DD'; drops workouts dated before it
+ *   (plans are kept, since they run on from their start date)
+ */
+export async function listMyAssignments(userId, since = null) {
+  const { data, error } = await supabase
+    .from('assignments')
+    .select(ASSIGNMENT_COLUMNS)
+    .or(`athlete_id.eq.${userId},group_id.not.is.null`)
+    .order('start_date', { ascending: true })
+  if (error) throw error
+  // Group rows come back for every group the user is in, including ones they
+  // coach and assigned to themselves
+  return (data || [])
+    .filter(a => a.athlete_id === userId || a.assigned_by !== userId)
+    .filter(a => !since || a.plan_id || a.start_date >= since)
+}
+
+/** Assignments a coach has made to a group or its athletes. */
+export async function listGroupAssignments(groupId, athleteIds = []) {
+  const targets = [`group_id.eq.${groupId}`, ...(athleteIds.length ? [`athlete_id.in.(${athleteIds.join(',')})`] : [])]
+  const { data, error } = await supabase
+    .from('assignments')
+    .select(ASSIGNMENT_COLUMNS)
+    .or(targets.join(','))
+    .order('start_date', { ascending: false })
+  if (error) throw error
+  return data || []
+}
+
+export async function deleteAssignment(assignmentId) {
+  const { error } = await supabase.from('assignments').delete().eq('id', assignmentId)
+  if (error) throw error
+}
+
+/** Title of an assignment's workout or plan. */
+export function assignmentTitle(assignment) {
+  return assignment.workouts?.title || assignment.training_plans?.title || 'Removed content'
+}
@@ -8,6 +8,8 @@
  * - Station waypoints that activate (scale + pulse) as the dot passes
  * - Split time popups sliding in at each station
  * - Ghost racer dot with translucent trail
+ * - Station dwell: the dot waits at a station through the Roxzone In, the
+ *   station work and the Roxzone Out, so transition time shows on the course
  * - Gap time label between athlete and ghost
  * - Progress bar at the bottom with station markers
  */
@@ -19,6 +21,7 @@ import {
   computeArcLengths,
   stationToProgress
 } from './spline-utils.js'
+import { segmentType } from './splits.js'
 
 const NEON = '#c8ff00'
 const ACCENT = '#ff3c00'
@@ -31,7 +34,8 @@ export class CourseTracker {
    * @param {Object} options
    * @param {string|Object} options.coordinates - station_coordinates JSONB
    * @param {string} [options.mapImageUrl] - venue map PNG URL (drawn at low opacity)
-   * @param {Array} [options.splits] - array of {stationNum, timeMs, name}
+   * @param {Array} [options.splits] - array of {stationNum, timeMs, name, type?}
+   *   (see toTrackerSplits() in js/splits.js); type is inferred from the name when missing
    * @param {Array} [options.ghostSplits] - ghost racer splits
    * @param {string} [options.ghostLabel] - ghost racer name (default: "PRO")
    */
@@ -55,29 +59,12 @@ export class CourseTracker {
       stationToProgress(i, this.stationPoints.length, this.arcLengths, 30)
     )
 
-    // Compute cumulative split times for progress mapping
-    this.totalTimeMs = 0
-    this.splitCumulative = []
-    if (this.splits.length > 0) {
-      let cum = 0
-      for (const s of this.splits) {
-        cum += s.timeMs
-        this.splitCumulative.push(cum)
-      }
-      this.totalTimeMs = cum
-    }
+    // Map race time to course progress
+    this.timeline = this._buildTimeline(this.splits)
+    this.totalTimeMs = this.timeline.totalMs
 
-    // Ghost cumulative
-    this.ghostTotalMs = 0
-    this.ghostCumulative = []
-    if (this.ghostSplits.length > 0) {
-      let cum = 0
-      for (const s of this.ghostSplits) {
-        cum += s.timeMs
-        this.ghostCumulative.push(cum)
-      }
-      this.ghostTotalMs = cum
-    }
+    this.ghostTimeline = this._buildTimeline(this.ghostSplits)
+    this.ghostTotalMs = this.ghostTimeline.totalMs
 
     // State
     this.isPlaying = false
@@ -150,7 +137,7 @@ export class CourseTracker {
 
   seekTo(progress) {
     this.progress = Math.max(0, Math.min(1, progress))
-    this.elapsedMs = this.progress * this.totalTimeMs
+    this.elapsedMs = this._timeAtProgress(this.timeline, this.progress)
     this.particles = []
     this.ghostParticles = []
     this._draw()
@@ -163,16 +150,8 @@ export class CourseTracker {
   setGhostSplits(splits, label) {
     this.ghostSplits = splits || []
     this.ghostLabel = label || 'PRO'
-    this.ghostCumulative = []
-    this.ghostTotalMs = 0
-    if (this.ghostSplits.length > 0) {
-      let cum = 0
-      for (const s of this.ghostSplits) {
-        cum += s.timeMs
-        this.ghostCumulative.push(cum)
-      }
-      this.ghostTotalMs = cum
-    }
+    this.ghostTimeline = this._buildTimeline(this.ghostSplits)
+    this.ghostTotalMs = this.ghostTimeline.totalMs
     this.showGhost = this.ghostSplits.length > 0
   }
 
@@ -187,6 +166,53 @@ export class CourseTracker {
 
   // ── Internals ──
 
+  /**
+   * Keyframes of [timeMs, progress]. The athlete reaches a station once the
+   * run and Roxzone In before it are done and stays there until the station
+   * and its Roxzone Out are, then moves on to the next one.
+   */
+  _buildTimeline(splits) {
+    const frames = [[0, 0]]
+    let cum = 0
+    for (const s of splits) {
+      const idx = this.stationPoints.findIndex(p => p.num === s.stationNum)
+      const type = s.type || segmentType(s.name)
+      if (idx >= 0 && type === 'station') {
+        const progress = Math.max(this.stationProgresses[idx], frames[frames.length - 1][1])
+        frames.push([cum, progress])
+        frames.push([cum + s.timeMs, progress])
+      }
+      cum += s.timeMs
+    }
+    if (cum > 0) frames.push([cum, 1])
+    return { frames, totalMs: cum }
+  }
+
+  _progressAt(timeline, ms) {
+    const { frames, totalMs } = timeline
+    if (totalMs <= 0) return 0
+    if (ms >= totalMs) return 1
+    for (let i = 1; i < frames.length; i++) {
+      const [t1, p1] = frames[i]
+      if (ms > t1) continue
+      const [t0, p0] = frames[i - 1]
+      return t1 === t0 ? p1 : p0 + (p1 - p0) * (ms - t0) / (t1 - t0)
+    }
+    return 1
+  }
+
+  // Earliest race time at which the timeline reaches a progress
+  _timeAtProgress(timeline, progress) {
+    const { frames } = timeline
+    for (let i = 1; i < frames.length; i++) {
+      const [t1, p1] = frames[i]
+      if (progress > p1) continue
+      const [t0, p0] = frames[i - 1]
+      return p1 === p0 ? t0 : t0 + (t1 - t0) * (progress - p0) / (p1 - p0)
+    }
+    return timeline.totalMs
+  }
+
   _resize() {
     const parent = this.canvas.parentElement || this.canvas
     const rect = parent.getBoundingClientRect()
@@ -213,7 +239,7 @@ export class CourseTracker {
     // Advance elapsed time
     this.elapsedMs += dt * this.speed
     if (this.totalTimeMs > 0) {
-      this.progress = Math.min(1, this.elapsedMs / this.totalTimeMs)
+      this.progress = this._progressAt(this.timeline, this.elapsedMs)
     }
 
     // Check station crossings
@@ -246,13 +272,17 @@ export class CourseTracker {
       if (this.progress >= this.stationProgresses[i] && i > this.lastStationIndex) {
         this.lastStationIndex = i
         const station = this.stationPoints[i]
-        const splitTime = this.splits[i]
+        const atStation = this.splits.filter(s => s.stationNum === station.num)
+        const splitTime = atStation.find(s => (s.type || segmentType(s.name)) === 'station')
+        const roxzoneMs = atStation
+          .filter(s => (s.type || segmentType(s.name)) === 'roxzone')
+          .reduce((sum, s) => sum + s.timeMs, 0)
 
         // Trigger split popup
         if (splitTime) {
           const pos = getPositionAtProgress(this.splinePath, this.stationProgresses[i])
           this.activeSplit = {
-            text: `${station.name}: ${this._formatTime(splitTime.timeMs)}`,
+            text: `${station.name}: ${this._formatTime(splitTime.timeMs)}${roxzoneMs ? ` · RZ ${this._formatTime(roxzoneMs)}` : ''}`,
             opacity: 1,
             x: pos.x,
             y: pos.y
@@ -289,7 +319,7 @@ export class CourseTracker {
 
     // Ghost particles
     if (this.showGhost && this.ghostTotalMs > 0) {
-      const ghostProgress = Math.min(1, this.elapsedMs / this.ghostTotalMs)
+      const ghostProgress = this._progressAt(this.ghostTimeline, this.elapsedMs)
       const gPos = getPositionAtProgress(this.splinePath, ghostProgress)
       this.ghostParticles.push({
         x: gPos.x, y: gPos.y,
@@ -529,7 +559,7 @@ export class CourseTracker {
   }
 
   _drawGhostRacer(ctx, W, H) {
-    const ghostProgress = Math.min(1, this.elapsedMs / this.ghostTotalMs)
+    const ghostProgress = this._progressAt(this.ghostTimeline, this.elapsedMs)
     const pos = getPositionAtProgress(this.splinePath, ghostProgress)
     const p = this._toPixel(pos.x, pos.y, W, H)
 
@@ -581,7 +611,7 @@ export class CourseTracker {
     if (this.ghostTotalMs <= 0 || this.totalTimeMs <= 0) return
 
     // Calculate gap: positive = behind ghost, negative = ahead
-    const ghostElapsed = this.progress * this.ghostTotalMs
+    const ghostElapsed = this._timeAtProgress(this.ghostTimeline, this.progress)
     const gapMs = this.elapsedMs - ghostElapsed
     const gapSec = Math.round(gapMs / 1000)
 
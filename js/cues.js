@@ -0,0 +1,231 @@
+/**
+ * CueEngine — non-visual cues for the simulation timer and guided workouts.
+ *
+ * Combines Web Audio beeps, the Vibration API and speechSynthesis voice
+ * announcements. All output goes through an adapter object so the engine can
+ * run headlessly: pass createMockAdapters() and inspect its `log`.
+ *
+ * Per-user settings live in profiles.cue_settings (see DEFAULT_CUE_SETTINGS).
+ */
+
+export const DEFAULT_CUE_SETTINGS = {
+  enabled: true,
+  voice: true,          // speechSynthesis announcements
+  beeps: true,          // Web Audio tones
+  vibration: true,      // navigator.vibrate
+  announceSplits: true, // speak each split time
+  announceDelta: true,  // speak ahead/behind ghost
+  countdown: true,      // 3-2-1 beeps before rest ends
+  volume: 0.8,          // 0..1
+  rate: 1.0             // speech rate
+}
+
+// Tone presets: [frequency Hz, duration ms]
+const TONES = {
+  tick: [880, 80],
+  go: [1320, 250],
+  split: [990, 120],
+  warn: [440, 300],
+  finish: [1320, 600]
+}
+
+const PATTERNS = {
+  go: [200],
+  split: [100, 60, 100],
+  warn: [300, 100, 300],
+  finish: [200, 100, 200, 100, 400]
+}
+
+/**
+ * Merge saved settings over the defaults, ignoring unknown keys.
+ */
+export function resolveCueSettings(saved) {
+  const out = { ...DEFAULT_CUE_SETTINGS }
+  for (const key of Object.keys(DEFAULT_CUE_SETTINGS)) {
+    if (saved && saved[key] !== undefined) out[key] = saved[key]
+  }
+  return out
+}
+
+/**
+ * Spoken form of a duration: 252000 → "4 minutes 12 seconds".
+ */
+export function speakableTime(ms) {
+  const totalSec = Math.round(Math.abs(ms) / 1000)
+  const h = Math.floor(totalSec / 3600)
+  const m = Math.floor((totalSec % 3600) / 60)
+  const s = totalSec % 60
+  const parts = []
+  if (h) parts.push(`${h} hour${h === 1 ? '' : 's'}`)
+  if (m) parts.push(`${m} minute${m === 1 ? '' : 's'}`)
+  if (s || parts.length === 0) parts.push(`${s} second${s === 1 ? '' : 's'}`)
+  return parts.join(' ')
+}
+
+/**
+ * Real browser outputs. Each method is a no-op where the API is missing.
+ */
+export function createBrowserAdapters() {
+  let audioCtx = null
+
+  return {
+    unlock() {
+      // Audio must be started from a user gesture on iOS/Safari
+      const Ctx = window.AudioContext || window.webkitAudioContext
+      if (!Ctx) return
+      if (!audioCtx) audioCtx = new Ctx()
+      if (audioCtx.state === 'suspended') audioCtx.resume()
+    },
+
+    beep(frequency, durationMs, volume) {
+      if (!audioCtx) return
+      const osc = audioCtx.createOscillator()
+      const gain = audioCtx.createGain()
+      osc.type = 'sine'
+      osc.frequency.value = frequency
+      gain.gain.setValueAtTime(volume, audioCtx.currentTime)
+      gain.gain.exponentialRampToValueAtTime(0.001, audioCtx.currentTime + durationMs / 1000)
+      osc.connect(gain).connect(audioCtx.destination)
+      osc.start()
+      osc.stop(audioCtx.currentTime + durationMs / 1000)
+    },
+
+    vibrate(pattern) {
+      navigator.vibrate?.(pattern)
+    },
+
+    speak(text, { rate, volume }) {
+      if (!window.speechSynthesis) return
+      const utterance = new SpeechSynthesisUtterance(text)
+      utterance.rate = rate
+      utterance.volume = volume
+      window.speechSynthesis.speak(utterance)
+    },
+
+    cancel() {
+      window.speechSynthesis?.cancel()
+    }
+  }
+}
+
+/**
+ * Recording adapters for headless use. Every output is appended to `log` as
+ * {type, ...args} instead of producing sound.
+ */
+export function createMockAdapters() {
+  const log = []
+  return {
+    log,
+    unlock() { log.push({ type: 'unlock' }) },
+    beep(frequency, durationMs, volume) { log.push({ type: 'beep', frequency, durationMs, volume }) },
+    vibrate(pattern) { log.push({ type: 'vibrate', pattern }) },
+    speak(text, options) { log.push({ type: 'speak', text, ...options }) },
+    cancel() { log.push({ type: 'cancel' }) },
+    spoken() { return log.filter(e => e.type === 'speak').map(e => e.text) }
+  }
+}
+
+export class CueEngine {
+  /**
+   * @param {Object} [settings] - profiles.cue_settings (merged over defaults)
+   * @param {Object} [adapters] - output adapters; defaults to the browser APIs
+   */
+  constructor(settings = {}, adapters = createBrowserAdapters()) {
+    this.settings = resolveCueSettings(settings)
+    this.adapters = adapters
+  }
+
+  updateSettings(settings) {
+    this.settings = resolveCueSettings({ ...this.settings, ...settings })
+  }
+
+  /** Call from a click handler before the first cue. */
+  unlock() {
+    if (this.settings.enabled) this.adapters.unlock()
+  }
+
+  // ── Race / workout events ──
+
+  /**
+   * A new segment or exercise begins.
+   * @param {string} name - e.g. "SkiErg — 1000m"
+   * @param {Object} [info]
+   * @param {string} [info.detail] - extra words to speak, e.g. partner name
+   */
+  segmentStart(name, info = {}) {
+    this._signal('go')
+    this._say(info.detail ? `${name}. ${info.detail}` : name)
+  }
+
+  /**
+   * A segment finished.
+   * @param {string} name
+   * @param {number} splitMs - segment time
+   * @param {Object} [info]
+   * @param {number|null} [info.deltaMs] - running delta to the ghost (+ behind)
+   * @param {boolean} [info.bleeding] - segment lost significant time
+   */
+  split(name, splitMs, info = {}) {
+    this._signal(info.bleeding ? 'warn' : 'split')
+    const parts = []
+    if (this.settings.announceSplits) parts.push(`${name}, ${speakableTime(splitMs)}`)
+    if (this.settings.announceDelta && info.deltaMs != null) parts.push(this._deltaPhrase(info.deltaMs))
+    if (info.bleeding) parts.push('Losing time on that one')
+    if (parts.length) this._say(parts.join('. '))
+  }
+
+  /** Rest period begins. */
+  restStart(seconds, nextName) {
+    this._signal('split')
+    this._say(nextName ? `Rest ${speakableTime(seconds * 1000)}. Next, ${nextName}` : `Rest ${speakableTime(seconds * 1000)}`)
+  }
+
+  /**
+   * Countdown tick — call once per second with the seconds remaining.
+   * Beeps on 3, 2, 1 and announces 10 seconds left.
+   */
+  countdown(secondsLeft) {
+    if (!this.settings.enabled || !this.settings.countdown) return
+    if (secondsLeft === 10) this._say('10 seconds')
+    if (secondsLeft > 0 && secondsLeft <= 3) {
+      this._beep('tick')
+      this._say(String(secondsLeft))
+    }
+  }
+
+  /** Run or workout complete. */
+  finish(totalMs, info = {}) {
+    this._signal('finish')
+    const delta = this.settings.announceDelta && info.deltaMs != null ? `. ${this._deltaPhrase(info.deltaMs)}` : ''
+    this._say(`Finished in ${speakableTime(totalMs)}${delta}`)
+  }
+
+  stop() {
+    this.adapters.cancel()
+  }
+
+  // ── Internals ──
+
+  _deltaPhrase(deltaMs) {
+    if (Math.abs(deltaMs) < 1000) return 'Even with the ghost'
+    return `${speakableTime(deltaMs)} ${deltaMs > 0 ? 'behind' : 'ahead'}`
+  }
+
+  _signal(kind) {
+    this._beep(kind)
+    if (this.settings.enabled && this.settings.vibration && PATTERNS[kind]) {
+      this.adapters.vibrate(PATTERNS[kind])
+    }
+  }
+
+  _beep(kind) {
+    if (!this.settings.enabled || !this.settings.beeps) return
+    const [frequency, durationMs] = TONES[kind]
+    this.adapters.beep(frequency, durationMs, this.settings.volume)
+  }
+
+  _say(text) {
+    if (!this.settings.enabled || !this.settings.voice) return
+    this.adapters.speak(text, { rate: this.settings.rate, volume: this.settings.volume })
+  }
+}
@@ -0,0 +1,175 @@
+/**
+ * Minimal decoder for Garmin FIT files (activity and wellness exports).
+ *
+ * Reads the binary record stream — definition messages, data messages,
+ * compressed-timestamp headers and developer fields — and returns the
+ * messages listed in MESSAGES by name, with scaled values:
+ *
+ *   { session: [{start_time: Date, sport: 1, total_distance: 5012.3, ...}],
+ *     lap: [...], record: [...], ... }
+ *
+ * Fields not in the table are dropped, as are invalid (all-ones / zero
+ * for 'z' types) values. Timestamps become Dates. The file CRC is not
+ * checked; a truncated file decodes up to the last complete message.
+ *
+ * Field numbers and scales follow the FIT SDK profile.
+ */
+
+const FIT_EPOCH_MS = 631065600 * 1000   // 1989-12-31T00:00:00Z
+
+export const SPORTS = { 0: 'generic', 1: 'running', 2: 'cycling', 4: 'fitness_equipment', 5: 'swimming', 10: 'training', 11: 'walking' }
+
+// [name, scale, offset]; scale/offset default to 1/0. 'time' marks FIT timestamps.
+const TIMESTAMP = ['timestamp', 'time']
+const MESSAGES = {
+  0: { name: 'file_id', fields: { 0: ['type'], 1: ['manufacturer'], 4: ['time_created', 'time'] } },
+  18: {
+    name: 'session',
+    fields: {
+      253: TIMESTAMP, 2: ['start_time', 'time'], 5: ['sport'], 6: ['sub_sport'],
+      7: ['total_elapsed_time', 1000], 8: ['total_timer_time', 1000], 9: ['total_distance', 100],
+      11: ['total_calories'], 16: ['avg_heart_rate'], 17: ['max_heart_rate'], 26: ['num_laps']
+    }
+  },
+  19: {
+    name: 'lap',
+    fields: {
+      253: TIMESTAMP, 254: ['message_index'], 2: ['start_time', 'time'],
+      7: ['total_elapsed_time', 1000], 8: ['total_timer_time', 1000], 9: ['total_distance', 100],
+      11: ['total_calories'], 15: ['avg_heart_rate'], 16: ['max_heart_rate'],
+      24: ['lap_trigger'], 25: ['sport']
+    }
+  },
+  20: {
+    name: 'record',
+    fields: {
+      253: TIMESTAMP, 0: ['position_lat'], 1: ['position_long'], 2: ['altitude', 5, 500],
+      3: ['heart_rate'], 5: ['distance', 100], 6: ['speed', 1000]
+    }
+  },
+  21: { name: 'event', fields: { 253: TIMESTAMP, 0: ['event'], 1: ['event_type'] } },
+  30: { name: 'weight_scale', fields: { 253: TIMESTAMP, 0: ['weight', 100] } },
+  34: { name: 'activity', fields: { 253: TIMESTAMP, 5: ['local_timestamp', 'time'] } },
+  78: { name: 'hrv', fields: { 0: ['time', 1000] } },
+  211: { name: 'monitoring_hr_data', fields: { 253: TIMESTAMP, 0: ['resting_heart_rate'], 1: ['current_day_resting_heart_rate'] } }
+}
+
+// Base type number → [size, DataView getter, invalid value]; null getter is a string
+const BASE_TYPES = {
+  0: [1, 'getUint8', 0xFF], 1: [1, 'getInt8', 0x7F], 2: [1, 'getUint8', 0xFF],
+  3: [2, 'getInt16', 0x7FFF], 4: [2, 'getUint16', 0xFFFF],
+  5: [4, 'getInt32', 0x7FFFFFFF], 6: [4, 'getUint32', 0xFFFFFFFF],
+  7: [1, null, null],
+  8: [4, 'getFloat32', null], 9: [8, 'getFloat64', null],
+  10: [1, 'getUint8', 0], 11: [2, 'getUint16', 0], 12: [4, 'getUint32', 0],
+  13: [1, 'getUint8', 0xFF],
+  14: [8, 'getBigInt64', null], 15: [8, 'getBigUint64', null], 16: [8, 'getBigUint64', null]
+}
+
+export class FitParseError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'FitParseError'
+  }
+}
+
+/** True when the buffer starts with a FIT header. */
+export function isFit(buffer) {
+  const bytes = new Uint8Array(buffer)
+  return bytes.length >= 12 && String.fromCharCode(...bytes.slice(8, 12)) === '.FIT'
+}
+
+function readValue(view, offset, baseType, size, littleEndian) {
+  const [unit, getter, invalid] = BASE_TYPES[baseType & 0x1F] || BASE_TYPES[13]
+  if (getter === null) {
+    const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, size)
+    const end = bytes.indexOf(0)
+    return new TextDecoder().decode(end === -1 ? bytes : bytes.subarray(0, end)) || null
+  }
+  const values = []
+  for (let i = 0; i + unit <= size; i += unit) {
+    let v = view[getter](offset + i, littleEndian)
+    if (typeof v === 'bigint') v = Number(v)
+    if (invalid !== null && v === invalid) v = null
+    if (Number.isNaN(v)) v = null
+    values.push(v)
+  }
+  return size > unit ? values : values[0]
+}
+
+function scaled(value, [, scale = 1, offset = 0]) {
+  if (value === null) return null
+  if (scale === 'time') return new Date(FIT_EPOCH_MS + value * 1000)
+  const apply = v => (v === null ? null : v / scale - offset)
+  return Array.isArray(value) ? value.map(apply) : apply(value)
+}
+
+/**
+ * Decode a FIT file.
+ * @param {ArrayBuffer} buffer
+ * @returns {Object<string, Array<Object>>} messages by name
+ */
+export function parseFit(buffer) {
+  if (!isFit(buffer)) throw new FitParseError('Not a FIT file')
+  const view = new DataView(buffer)
+  const headerSize = view.getUint8(0)
+  const dataEnd = Math.min(headerSize + view.getUint32(4, true), buffer.byteLength)
+
+  const definitions = {}
+  const messages = {}
+  let lastTimestamp = null
+  let pos = headerSize
+
+  while (pos < dataEnd) {
+    const header = view.getUint8(pos++)
+
+    if (header & 0x40 && !(header & 0x80)) {
+      // Definition message
+      if (pos + 5 > dataEnd) break
+      const littleEndian = view.getUint8(pos + 1) === 0
+      const globalNum = view.getUint16(pos + 2, littleEndian)
+      const fieldCount = view.getUint8(pos + 4)
+      pos += 5
+      const fields = []
+      for (let i = 0; i < fieldCount; i++, pos += 3) {
+        fields.push({ num: view.getUint8(pos), size: view.getUint8(pos + 1), type: view.getUint8(pos + 2) })
+      }
+      let devSize = 0
+      if (header & 0x20) {
+        const devCount = view.getUint8(pos++)
+        for (let i = 0; i < devCount; i++, pos += 3) devSize += view.getUint8(pos + 1)
+      }
+      definitions[header & 0x0F] = { globalNum, littleEndian, fields, devSize }
+      continue
+    }
+
+    // Data message, possibly with a compressed timestamp
+    const compressed = header & 0x80
+    const def = definitions[compressed ? (header >> 5) & 0x03 : header & 0x0F]
+    if (!def) throw new FitParseError(`Data message before its definition at byte ${pos - 1}`)
+    const length = def.fields.reduce((sum, f) => sum + f.size, 0) + def.devSize
+    if (pos + length > dataEnd) break
+
+    const spec = MESSAGES[def.globalNum]
+    const message = {}
+    let offset = pos
+    for (const field of def.fields) {
+      const raw = readValue(view, offset, field.type, field.size, def.littleEndian)
+      offset += field.size
+      if (field.num === 253 && raw !== null) lastTimestamp = raw
+      const fieldSpec = spec?.fields[field.num]
+      if (fieldSpec && raw !== null) message[fieldSpec[0]] = scaled(raw, fieldSpec)
+    }
+    pos += length
+
+    if (compressed && lastTimestamp !== null) {
+      const timeOffset = header & 0x1F
+      const low = lastTimestamp % 0x20
+      lastTimestamp = lastTimestamp - low + timeOffset + (timeOffset < low ? 0x20 : 0)
+      if (spec?.fields[253]) message.timestamp = scaled(lastTimestamp, TIMESTAMP)
+    }
+    if (spec) (messages[spec.name] ||= []).push(message)
+  }
+
+  return messages
+}
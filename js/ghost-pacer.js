@@ -0,0 +1,96 @@
+/**
+ * GhostPacer — live ahead/behind feedback for the simulation timer.
+ *
+ * The ghost is a set of canonical splits (a pace plan or a past result),
+ * aligned by segment name to the segments of the run in progress. Deltas are
+ * in ms: positive = behind the ghost, negative = ahead.
+ */
+
+import { canonicalName, normalizeSplits } from './splits.js'
+
+export class GhostPacer {
+  /**
+   * @param {Array} ghostSplits - canonical (or legacy) splits of the ghost
+   * @param {Array<{name: string}>} segments - segments of the run being timed
+   * @param {Object} [options]
+   * @param {string} [options.label] - ghost name shown in the UI
+   * @param {number} [options.bleedMs=10000] - minimum loss on a segment to flag it
+   * @param {number} [options.bleedPct=0.05] - ...or this fraction of the ghost split, if larger
+   */
+  constructor(ghostSplits, segments, options = {}) {
+    this.label = options.label || 'Ghost'
+    this.bleedMs = options.bleedMs ?? 10000
+    this.bleedPct = options.bleedPct ?? 0.05
+
+    // Align ghost splits to the timed segments by name, in order of appearance
+    const pool = normalizeSplits(ghostSplits)
+    const used = new Set()
+    this.ghostMs = segments.map(seg => {
+      const name = canonicalName(seg.name)
+      const idx = pool.findIndex((g, i) => !used.has(i) && g.name === name)
+      if (idx < 0) return null
+      used.add(idx)
+      return pool[idx].split_ms
+    })
+
+    this.ghostCumulative = []
+    let cum = 0
+    for (const ms of this.ghostMs) {
+      cum += ms || 0
+      this.ghostCumulative.push(cum)
+    }
+    this.ghostTotalMs = cum
+    this.coverage = this.ghostMs.filter(ms => ms !== null).length / (segments.length || 1)
+  }
+
+  /** Ghost time for one segment, or null if the ghost has no matching segment. */
+  targetFor(idx) {
+    return this.ghostMs[idx] ?? null
+  }
+
+  /** Delta on a single completed segment. */
+  segmentDelta(idx, splitMs) {
+    const target = this.targetFor(idx)
+    return target === null ? null : splitMs - target
+  }
+
+  /** Running delta at the end of segment idx. */
+  cumulativeDelta(idx, cumulativeMs) {
+    return idx < 0 ? 0 : cumulativeMs - this.ghostCumulative[idx]
+  }
+
+  /**
+   * Live delta while segment idx is in progress. Time spent in the segment
+   * only counts against you once it exceeds the ghost's split.
+   * @param {number} idx - segment in progress
+   * @param {number} elapsedMs - race clock now
+   * @param {number} segmentStartMs - race clock when the segment started
+   */
+  liveDelta(idx, elapsedMs, segmentStartMs) {
+    const base = this.cumulativeDelta(idx - 1, segmentStartMs)
+    const target = this.targetFor(idx)
+    if (target === null) return base
+    return base + Math.max(0, (elapsedMs - segmentStartMs) - target)
+  }
+
+  /** Projected finish: ghost total shifted by the current delta. */
+  projectedFinish(idx, elapsedMs, segmentStartMs) {
+    return this.ghostTotalMs + this.liveDelta(idx, elapsedMs, segmentStartMs)
+  }
+
+  /** True when a segment lost more than the bleed threshold to the ghost. */
+  isBleeding(idx, splitMs) {
+    const delta = this.segmentDelta(idx, splitMs)
+    if (delta === null) return false
+    return delta > Math.max(this.bleedMs, this.targetFor(idx) * this.bleedPct)
+  }
+}
+
+/**
+ * Format a delta in ms as "+0:12" / "-1:05".
+ */
+export function formatDelta(ms) {
+  const sign = ms > 0 ? '+' : ms < 0 ? '-' : '±'
+  const totalSec = Math.round(Math.abs(ms) / 1000)
+  return `${sign}${Math.floor(totalSec / 60)}:${String(totalSec % 60).padStart(2, '0')}`
+}
@@ -0,0 +1,278 @@
+/**
+ * Activity streaks and weekly goals, counted in the athlete's timezone.
+ *
+ * Days are 'YYYY-MM-DD' strings in profiles.timezone (the browser's when
+ * unset), so a 23:30 session counts on the day it was done wherever the
+ * athlete is. A streak:
+ *   - counts each day with a workout log or sim
+ *   - is not broken by a planned rest day from the active plan (a rest day
+ *     that was trained anyway still counts)
+ *   - is not broken by today until today is over
+ *
+ * Weekly goals run Monday to Sunday:
+ *
+ *   { sessions: 4, running_km: 20, sims: 1 }   // profiles.weekly_goals
+ *
+ * A target of 0 turns that goal off.
+ */
+
+import { supabase } from './supabase-client.js'
+import { addDays } from './plan-adapter.js'
+import { planSessions } from './plan-calendar.js'
+import { normalizeSplits } from './splits.js'
+
+export const GOAL_TYPES = {
+  sessions: { label: 'Sessions', unit: '', default: 4, max: 21 },
+  running_km: { label: 'Running', unit: 'km', default: 20, max: 300 },
+  sims: { label: 'Sims', unit: '', default: 1, max: 7 }
+}
+
+const RUN_SEGMENT_KM = 1
+// PostgREST returns at most this many rows per request
+const PAGE_SIZE = 1000
+
+export class GoalValidationError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'GoalValidationError'
+  }
+}
+
+// ── Days ──
+
+export function browserTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+}
+
+const formatters = new Map()
+
+function formatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }))
+  }
+  return formatters.get(timeZone)
+}
+
+/** The stored timezone if the browser knows it, else the browser's own. */
+export function resolveTimeZone(timeZone) {
+  if (!timeZone) return browserTimeZone()
+  try {
+    formatter(timeZone)
+    return timeZone
+  } catch {
+    return browserTimeZone()
+  }
+}
+
+/**
+ * Calendar day of an instant in a timezone.
+ * @param {string|Date} at
+ * @param {string} timeZone - IANA name
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export function dayInZone(at, timeZone) {
+  const parts = Object.fromEntries(formatter(timeZone).formatToParts(new Date(at)).map(p => [p.type, p.value]))
+  return `${parts.year}-${parts.month}-${parts.day}`
+}
+
+function weekStart(day) {
+  const weekday = (new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7   // Monday = 0
+  return addDays(day, -weekday)
+}
+
+// ── Streaks ──
+
+/**
+ * Current and best streak.
+ * @param {Object} input
+ * @param {Set<string>} input.days - days with activity
+ * @param {Set<string>} [input.restDays] - planned rest days
+ * @param {string} input.today
+ * @returns {{current: number, best: number, trainedToday: boolean}}
+ */
+export function activityStreak({ days, restDays = new Set(), today }) {
+  const sorted = [...days].filter(d => d <= today).sort()
+  let current = 0, best = 0
+  if (sorted.length) {
+    for (let day = sorted[0]; day <= today; day = addDays(day, 1)) {
+      if (days.has(day)) {
+        current++
+        best = Math.max(best, current)
+      } else if (!restDays.has(day) && day !== today) {
+        current = 0
+      }
+    }
+  }
+  return { current, best, trainedToday: days.has(today) }
+}
+
+// ── Goals ──
+
+/** Stored goals with defaults filled in. */
+export function normalizeGoals(raw) {
+  const goals = {}
+  for (const [key, type] of Object.entries(GOAL_TYPES)) {
+    const n = Number(raw?.[key])
+    goals[key] = raw?.[key] != null && Number.isFinite(n) ? n : type.default
+  }
+  return goals
+}
+
+/** Throws GoalValidationError unless every target is within range. */
+export function validateGoals(goals) {
+  for (const [key, type] of Object.entries(GOAL_TYPES)) {
+    const n = goals[key]
+    if (!Number.isFinite(n) || n < 0 || n > type.max) {
+      throw new GoalValidationError(`${type.label} target must be between 0 and ${type.max}`)
+    }
+  }
+  return goals
+}
+
+/**
+ * Kilometres run in a workout log: every lap of a running activity, every
+ * entry of a running workout, or the run entries of anything else.
+ */
+export function logRunningKm(log) {
+  const exercises = log.data?.exercises || []
+  const allRunning = log.data?.sport === 'running' || log.workouts?.category === 'running'
+  const meters = exercises
+    .filter(e => allRunning || /\brun/i.test(e.name || ''))
+    .reduce((sum, e) => sum + (Number(e.distance_m) || 0) * (e.sets || 1), 0)
+  return meters / 1000
+}
+
+/** Kilometres run in a sim: 1 km per run segment. */
+export function simRunningKm(sim) {
+  return normalizeSplits(sim.splits).filter(s => s.type === 'run').length * RUN_SEGMENT_KM
+}
+
+/**
+ * Progress towards each goal in the week holding `today`. A log saved with
+ * a sim from the same watch file counts once, as the sim.
+ * @param {Object} input
+ * @param {Array} input.logs - workout_logs rows (completed_at, duration_seconds, data, workouts(category))
+ * @param {Array} input.sims - simulation_results rows (completed_at, total_time_ms, splits)
+ * @param {Object} input.goals - from normalizeGoals()
+ * @param {string} input.timeZone
+ * @param {string} input.today
+ * @returns {{weekStart: string, items: Array<{key, label, unit, target, value, pct}>}}
+ */
+export function weeklyProgress({ logs, sims, goals, timeZone, today }) {
+  const start = weekStart(today)
+  const end = addDays(start, 6)
+  const inWeek = row => {
+    const day = dayInZone(row.completed_at, timeZone)
+    return day >= start && day <= end
+  }
+  const weekLogs = logs.filter(inWeek)
+  const weekSims = sims.filter(inWeek)
+  const simTimes = new Set(weekSims.map(s => new Date(s.completed_at).getTime()))
+  const ownLogs = weekLogs.filter(l => !simTimes.has(new Date(l.completed_at).getTime()))
+
+  const values = {
+    sessions: ownLogs.length + weekSims.length,
+    running_km: ownLogs.reduce((sum, l) => sum + logRunningKm(l), 0) + weekSims.reduce((sum, s) => sum + simRunningKm(s), 0),
+    sims: weekSims.length
+  }
+
+  const items = Object.entries(GOAL_TYPES)
+    .filter(([key]) => goals[key] > 0)
+    .map(([key, type]) => ({
+      key,
+      label: type.label,
+      unit: type.unit,
+      target: goals[key],
+      value: Math.round(values[key] * 10) / 10,
+      pct: Math.min(100, Math.round((values[key] / goals[key]) * 100))
+    }))
+  return { weekStart: start, items }
+}
+
+// ── Data ──
+
+/**
+ * Planned rest days of the active plan, from the athlete's personalised
+ * copy when it matches the current start date.
+ * @param {string} userId
+ * @param {Object} profile - profiles row (active_plan_id, plan_start_date)
+ * @returns {Promise<Set<string>>}
+ */
+export async function fetchRestDays(userId, profile) {
+  if (!profile?.active_plan_id || !profile.plan_start_date) return new Set()
+  const [planRes, ownRes] = await Promise.all([
+    supabase.from('training_plans').select('schedule').eq('id', profile.active_plan_id).maybeSingle(),
+    supabase.from('user_plans').select('schedule, start_date')
+      .eq('user_id', userId).eq('plan_id', profile.active_plan_id).maybeSingle()
+  ])
+  for (const res of [planRes, ownRes]) if (res.error) throw res.error
+  const schedule = ownRes.data?.start_date === profile.plan_start_date
+    ? ownRes.data.schedule
+    : planRes.data?.schedule
+  return new Set(planSessions(schedule || [], profile.plan_start_date)
+    .filter(s => s.type === 'rest')
+    .map(s => s.date))
+}
+
+/**
+ * Every completed_at of a user's rows in a table, a page at a time.
+ * @returns {Promise<string[]>}
+ */
+async function fetchAllCompletedAt(table, userId) {
+  const times = []
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase.from(table).select('completed_at')
+      .eq('user_id', userId).order('completed_at').range(from, from + PAGE_SIZE - 1)
+    if (error) throw error
+    times.push(...(data || []).map(r => r.completed_at))
+    if (!data || data.length < PAGE_SIZE) return times
+  }
+}
+
+/**
+ * Streak and this week's goal progress for a user.
+ * @param {string} userId
+ * @param {Object} profile - profiles row (timezone, weekly_goals, active_plan_id, plan_start_date)
+ * @returns {Promise<{timeZone: string, today: string, goals: Object, streak: Object, progress: Object}>}
+ */
+export async function fetchGoalData(userId, profile) {
+  const timeZone = resolveTimeZone(profile?.timezone)
+  const today = dayInZone(new Date(), timeZone)
+  // A day either side of the week covers any timezone offset
+  const since = new Date(`${addDays(weekStart(today), -1)}T00:00:00Z`).toISOString()
+
+  const [logTimes, simTimes, weekLogsRes, weekSimsRes, restDays] = await Promise.all([
+    fetchAllCompletedAt('workout_logs', userId),
+    fetchAllCompletedAt('simulation_results', userId),
+    supabase.from('workout_logs').select('completed_at, duration_seconds, data, workouts(category)')
+      .eq('user_id', userId).gte('completed_at', since),
+    supabase.from('simulation_results').select('completed_at, total_time_ms, splits')
+      .eq('user_id', userId).gte('completed_at', since),
+    fetchRestDays(userId, profile)
+  ])
+  for (const res of [weekLogsRes, weekSimsRes]) if (res.error) throw res.error
+
+  const days = new Set([...logTimes, ...simTimes].map(at => dayInZone(at, timeZone)))
+  const goals = normalizeGoals(profile?.weekly_goals)
+  return {
+    timeZone,
+    today,
+    goals,
+    streak: activityStreak({ days, restDays, today }),
+    progress: weeklyProgress({ logs: weekLogsRes.data || [], sims: weekSimsRes.data || [], goals, timeZone, today })
+  }
+}
+
+/**
+ * Save weekly targets to the profile.
+ * @param {string} userId
+ * @param {Object} goals
+ */
+export async function saveWeeklyGoals(userId, goals) {
+  validateGoals(goals)
+  const { error } = await supabase
+    .from('profiles')
+    .update({ weekly_goals: goals, updated_at: new Date().toISOString() })
+    .eq('id', userId)
+  if (error) throw error
+}
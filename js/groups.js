@@ -0,0 +1,236 @@
+/**
+ * Training groups (migrations/add_training_groups.sql) — groups with coach
+ * and athlete roles, email invitations, and the coach's overview of each
+ * athlete: plan compliance, latest results and recovery status.
+ *
+ * Coaches read athletes' rows directly; RLS lets them see the workout_logs,
+ * race_results, health_metrics and user_plans of athletes in groups they
+ * coach.
+ */
+
+import { supabase } from './supabase-client.js'
+import { recoveryStatus, toDateStr, addDays, daysBetween } from './plan-adapter.js'
+import { planSessions, matchCompletions } from './plan-calendar.js'
+
+export const GROUP_ROLES = ['coach', 'athlete']
+
+// Window for compliance and the health baseline
+const OVERVIEW_DAYS = 28
+const COMPLIANCE_DAYS = 7
+
+// ── Groups ──
+
+/**
+ * Groups the user belongs to, with their role in each.
+ * @returns {Promise<Array<{id, name, description, role}>>}
+ */
+export async function listMyGroups(userId) {
+  const { data, error } = await supabase
+    .from('group_members')
+    .select('role, groups(id, name, description, created_at)')
+    .eq('user_id', userId)
+  if (error) throw error
+  return (data || [])
+    .filter(m => m.groups)
+    .map(m => ({ ...m.groups, role: m.role }))
+    .sort((a, b) => a.name.localeCompare(b.name))
+}
+
+/** Create a group; the creator is added as its coach. */
+export async function createGroup(userId, name, description = '') {
+  const trimmed = String(name || '').trim()
+  if (!trimmed) throw new Error('Group needs a name')
+  const { data, error } = await supabase
+    .from('groups')
+    .insert({ name: trimmed, description: description.trim() || null, created_by: userId })
+    .select('id, name, description, created_at')
+    .single()
+  if (error) throw error
+  return { ...data, role: 'coach' }
+}
+
+export async function deleteGroup(groupId) {
+  const { error } = await supabase.from('groups').delete().eq('id', groupId)
+  if (error) throw error
+}
+
+/**
+ * @returns {Promise<Array>} group_members rows with `profiles`, coaches first
+ */
+export async function listMembers(groupId) {
+  const { data, error } = await supabase
+    .from('group_members')
+    .select('user_id, role, joined_at, profiles(display_name, division, age_group, active_plan_id, plan_start_date)')
+    .eq('group_id', groupId)
+  if (error) throw error
+  return (data || []).sort((a, b) =>
+    (a.role === b.role ? 0 : a.role === 'coach' ? -1 : 1) ||
+    (a.profiles?.display_name || '').localeCompare(b.profiles?.display_name || ''))
+}
+
+/** Leave a group, or (as a coach) remove an athlete from it. */
+export async function removeMember(groupId, userId) {
+  const { error } = await supabase.from('group_members').delete().eq('group_id', groupId).eq('user_id', userId)
+  if (error) throw error
+}
+
+// ── Invitations ──
+
+export async function inviteToGroup(invitedBy, groupId, email, role = 'athlete') {
+  const address = String(email || '').trim().toLowerCase()
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) throw new Error('Enter a valid email address')
+  if (!GROUP_ROLES.includes(role)) throw new Error(`Unknown group role "${role}"`)
+  const { error } = await supabase
+    .from('group_invites')
+    .insert({ group_id: groupId, email: address, role, invited_by: invitedBy })
+  if (error?.code === '23505') throw new Error(`${address} already has a pending invite`)
+  if (error) throw error
+}
+
+/** Pending invites a coach has sent for a group. */
+export async function listGroupInvites(groupId) {
+  const { data, error } = await supabase
+    .from('group_invites')
+    .select('id, email, role, created_at')
+    .eq('group_id', groupId)
+    .eq('status', 'pending')
+    .order('created_at', { ascending: false })
+  if (error) throw error
+  return data || []
+}
+
+export async function revokeInvite(inviteId) {
+  const { error } = await supabase.from('group_invites').update({ status: 'revoked' }).eq('id', inviteId)
+  if (error) throw error
+}
+
+/** Pending invites addressed to the signed-in user's email. */
+export async function listMyInvites(email) {
+  const { data, error } = await supabase
+    .from('group_invites')
+    .select('id, role, created_at, groups(id, name), profiles!invited_by(display_name)')
+    .eq('status', 'pending')
+    .eq('email', email.toLowerCase())
+    .order('created_at', { ascending: false })
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Accept or decline an invite.
+ * @returns {Promise<string>} the group id
+ */
+export async function respondToInvite(inviteId, accept) {
+  const { data, error } = await supabase.rpc('respond_group_invite', { p_invite_id: inviteId, p_accept: accept })
+  if (error) throw error
+  return data
+}
+
+// ── Coach overview ──
+
+/**
+ * One athlete's overview from their rows.
+ * @param {Object} input
+ * @param {Object} input.profile - profiles row (active_plan_id, plan_start_date)
+ * @param {Array|null} input.schedule - personalised or base schedule of the active plan
+ * @param {Array} input.logs - workout_logs rows (id, completed_at, workout_id, workouts: {category})
+ * @param {Array} input.sims - simulation_results rows (id, completed_at, total_time_ms, format)
+ * @param {Array} input.races - race_results rows (id, race_name, race_date, overall_time_seconds)
+ * @param {Array} input.metrics - health_metrics rows (metric_type, value, recorded_at)
+ * @param {string} input.today - 'YYYY-MM-DD'
+ * @returns {{compliance: {done, planned, rate}|null, planWeek: number|null,
+ *   lastActive: string|null, latestSim: Object|null, latestRace: Object|null,
+ *   recovery: {status: 'ok'|'flagged'|'no_data', reason: string|null}}}
+ */
+export function athleteOverview({ profile, schedule, logs, sims, races, metrics, today }) {
+  let compliance = null
+  let planWeek = null
+  const start = profile?.plan_start_date
+  if (schedule?.length && start && start <= today) {
+    const from = addDays(today, -(COMPLIANCE_DAYS - 1))
+    const sessions = matchCompletions(planSessions(schedule, start), logs, sims, today)
+      .filter(s => s.date >= from && s.date <= today && (s.status === 'done' || s.status === 'missed'))
+    const done = sessions.filter(s => s.status === 'done').length
+    compliance = { done, planned: sessions.length, rate: sessions.length ? done / sessions.length : null }
+    planWeek = Math.floor(daysBetween(start, today) / 7) + 1
+  }
+
+  const byNewest = (rows, key) => [...rows].sort((a, b) => String(b[key]).localeCompare(String(a[key])))
+  const latestSim = byNewest(sims, 'completed_at')[0] || null
+  const latestRace = byNewest(races, 'race_date')[0] || null
+  const activity = [...logs.map(l => l.completed_at), ...sims.map(s => s.completed_at)].map(toDateStr).sort()
+
+  const recovery = recoveryStatus(metrics, today)
+  return {
+    compliance,
+    planWeek,
+    lastActive: activity.length ? activity[activity.length - 1] : null,
+    latestSim,
+    latestRace,
+    recovery: {
+      status: recovery.flag ? 'flagged' : recovery.hrvDrop === null && recovery.rhrRise === null ? 'no_data' : 'ok',
+      reason: recovery.reason
+    }
+  }
+}
+
+/**
+ * Overviews for every athlete in a group, loaded in one query per table.
+ * @param {Array} members - listMembers() rows
+ * @param {string} today - 'YYYY-MM-DD'
+ * @returns {Promise<Array<{member: Object, plan: Object|null, overview: Object}>>}
+ */
+export async function groupOverview(members, today) {
+  const athletes = members.filter(m => m.role === 'athlete')
+  if (!athletes.length) return []
+  const ids = athletes.map(m => m.user_id)
+  const since = new Date(Date.now() - OVERVIEW_DAYS * 24 * 60 * 60 * 1000).toISOString()
+  const planIds = [...new Set(athletes.map(m => m.profiles?.active_plan_id).filter(Boolean))]
+
+  const [logsRes, simsRes, racesRes, metricsRes, userPlansRes, plansRes] = await Promise.all([
+    supabase.from('workout_logs')
+      .select('id, user_id, completed_at, workout_id, workouts(category)')
+      .in('user_id', ids)
+      .gte('completed_at', since),
+    supabase.from('simulation_results')
+      .select('id, user_id, completed_at, total_time_ms, format')
+      .in('user_id', ids)
+      .order('completed_at', { ascending: false }),
+    supabase.from('race_results')
+      .select('id, user_id, race_name, race_date, overall_time_seconds')
+      .in('user_id', ids)
+      .order('race_date', { ascending: false }),
+    supabase.from('health_metrics')
+      .select('user_id, metric_type, value, recorded_at')
+      .in('user_id', ids)
+      .in('metric_type', ['hrv', 'resting_hr'])
+      .gte('recorded_at', since),
+    planIds.length
+      ? supabase.from('user_plans').select('user_id, plan_id, start_date, schedule').in('user_id', ids).in('plan_id', planIds)
+      : { data: [] },
+    planIds.length
+      ? supabase.from('training_plans').select('id, title, schedule').in('id', planIds)
+      : { data: [] }
+  ])
+  for (const res of [logsRes, simsRes, racesRes, metricsRes, userPlansRes, plansRes]) {
+    if (res.error) throw res.error
+  }
+
+  const forUser = (rows, id) => (rows || []).filter(r => r.user_id === id)
+  return athletes.map(member => {
+    const profile = member.profiles || {}
+    const plan = (plansRes.data || []).find(p => p.id === profile.active_plan_id) || null
+    const userPlan = (userPlansRes.data || []).find(p =>
+      p.user_id === member.user_id && p.plan_id === profile.active_plan_id && p.start_date === profile.plan_start_date)
+    const overview = athleteOverview({
+      profile,
+      schedule: userPlan?.schedule || plan?.schedule || null,
+      logs: forUser(logsRes.data, member.user_id),
+      sims: forUser(simsRes.data, member.user_id),
+      races: forUser(racesRes.data, member.user_id),
+      metrics: forUser(metricsRes.data, member.user_id),
+      today
+    })
+    return { member, plan, overview }
+  })
+}
@@ -0,0 +1,495 @@
+/**
+ * Import health_metrics from files, for athletes without the iOS app.
+ *
+ * Accepted files:
+ *   - Apple Health export.xml (unzipped from export.zip), read as a stream
+ *   - Garmin / Strava FIT: activities, weigh-ins and daily resting HR
+ *   - TCX activities
+ *   - CSV with a header row, either one column per metric
+ *       "Date,Resting HR,HRV,Sleep"
+ *     or one row per reading
+ *       "Date,Metric,Value"
+ *
+ * Parsers return point readings (resting HR, HRV, VO2 max, HR recovery,
+ * weight, sleep per night) and daily totals (running distance, steps, active
+ * calories). Daily totals are rolled up into Monday-to-Sunday weeks, the
+ * weekly figures health.html shows, recorded at the start of the week; a
+ * later import of the same week replaces its total.
+ *
+ * Rows are deduped on health_metrics' UNIQUE(user_id, recorded_at,
+ * metric_type) before they are upserted in batches, so re-importing a file
+ * updates values rather than adding copies.
+ */
+
+import { supabase } from './supabase-client.js'
+import { parseFit, isFit, SPORTS } from './fit-parser.js'
+import { toDateStr, addDays } from './plan-adapter.js'
+
+export const METRIC_UNITS = {
+  resting_hr: 'bpm',
+  vo2_max: 'mL/kg/min',
+  hrv: 'ms',
+  hr_recovery: 'bpm',
+  sleep_hours: 'hr',
+  weight: 'kg',
+  running_distance: 'km',
+  steps: 'count',
+  active_calories: 'kcal'
+}
+
+export const METRIC_LABELS = {
+  resting_hr: 'Resting HR',
+  vo2_max: 'VO2 Max',
+  hrv: 'HRV',
+  hr_recovery: 'HR Recovery',
+  sleep_hours: 'Sleep',
+  weight: 'Weight',
+  running_distance: 'Running Distance',
+  steps: 'Steps',
+  active_calories: 'Active Calories'
+}
+
+const DAILY_TOTALS = ['running_distance', 'steps', 'active_calories']
+const BATCH_SIZE = 500
+const LB_PER_KG = 2.20462
+const KJ_PER_KCAL = 4.184
+const KM_PER_MI = 1.609344
+
+export class HealthImportError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'HealthImportError'
+  }
+}
+
+function emptyResult() {
+  return { points: [], daily: [], skipped: 0 }
+}
+
+function point(result, metricType, at, value) {
+  if (!Number.isFinite(value) || value <= 0) {
+    result.skipped++
+    return
+  }
+  result.points.push({ metric_type: metricType, recorded_at: new Date(at).toISOString(), value })
+}
+
+function dailyTotal(result, metricType, date, value) {
+  if (!Number.isFinite(value) || value <= 0) return
+  result.daily.push({ metric_type: metricType, date, value })
+}
+
+// ── Apple Health ──
+
+const APPLE_QUANTITIES = {
+  HKQuantityTypeIdentifierRestingHeartRate: 'resting_hr',
+  HKQuantityTypeIdentifierHeartRateVariabilitySDNN: 'hrv',
+  HKQuantityTypeIdentifierVO2Max: 'vo2_max',
+  HKQuantityTypeIdentifierHeartRateRecoveryOneMinute: 'hr_recovery',
+  HKQuantityTypeIdentifierBodyMass: 'weight',
+  HKQuantityTypeIdentifierStepCount: 'steps',
+  HKQuantityTypeIdentifierActiveEnergyBurned: 'active_calories'
+}
+const APPLE_SLEEP = 'HKCategoryTypeIdentifierSleepAnalysis'
+const APPLE_RUNNING = 'HKWorkoutActivityTypeRunning'
+
+const ELEMENT_RE = /<Record\s[^>]*>|<Workout\s[^>]*?(?:\/>|>[\s\S]*?<\/Workout>)/g
+const ELEMENT_START_RE = /<(?:Record|Workout)\s/g
+
+function attributes(tag) {
+  const attrs = {}
+  for (const m of tag.matchAll(/(\w+)="([^"]*)"/g)) attrs[m[1]] = m[2]
+  return attrs
+}
+
+// "2024-03-02 06:45:00 +0100" → Date; the date part is the local day
+function appleDate(value) {
+  const m = String(value || '').match(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/)
+  return m ? { at: new Date(`${m[1]}T${m[2]}${m[3]}:${m[4]}`), day: m[1] } : null
+}
+
+function appleValue(type, value, unit) {
+  const n = parseFloat(value)
+  if (type === 'weight' && unit === 'lb') return n / LB_PER_KG
+  if (type === 'active_calories' && unit === 'kJ') return n / KJ_PER_KCAL
+  return n
+}
+
+/**
+ * Parse an Apple Health export.xml.
+ *
+ * Steps and active energy are counted from one source per day — whichever
+ * recorded the most — because the iPhone and the Watch both log the same
+ * movement. Sleep is the union of the night's asleep intervals, credited to
+ * the day it ended. Running distance comes from running workouts.
+ *
+ * @param {AsyncIterable<string>|Iterable<string>} chunks - the file text in pieces
+ * @returns {Promise<{points: Array, daily: Array, skipped: number}>}
+ */
+export async function parseAppleHealth(chunks) {
+  const result = emptyResult()
+  const bySource = new Map()      // 'type|day' → Map(source → total)
+  const sleep = new Map()         // day → [[start, end]]
+  let sawExport = false
+  let buffer = ''
+
+  const handle = (tag) => {
+    const attrs = attributes(tag.slice(0, tag.indexOf('>') + 1))
+    if (tag.startsWith('<Workout')) {
+      if (attrs.workoutActivityType !== APPLE_RUNNING) return
+      const start = appleDate(attrs.startDate)
+      // Older exports carry totalDistance; newer ones a WorkoutStatistics child
+      const stats = tag.match(/<WorkoutStatistics[^>]*type="HKQuantityTypeIdentifierDistanceWalkingRunning"[^>]*>/)
+      const source = stats ? attributes(stats[0]) : { sum: attrs.totalDistance, unit: attrs.totalDistanceUnit }
+      const km = parseFloat(source.sum) * (source.unit === 'mi' ? KM_PER_MI : source.unit === 'm' ? 0.001 : 1)
+      if (start) dailyTotal(result, 'running_distance', start.day, km)
+      return
+    }
+
+    if (attrs.type === APPLE_SLEEP) {
+      if (!/Asleep/.test(attrs.value || '')) return
+      const start = appleDate(attrs.startDate)
+      const end = appleDate(attrs.endDate)
+      if (!start || !end) return
+      if (!sleep.has(end.day)) sleep.set(end.day, [])
+      sleep.get(end.day).push([start.at.getTime(), end.at.getTime()])
+      return
+    }
+
+    const type = APPLE_QUANTITIES[attrs.type]
+    if (!type) return
+    const date = appleDate(attrs.startDate)
+    if (!date) {
+      result.skipped++
+      return
+    }
+    const value = appleValue(type, attrs.value, attrs.unit)
+    if (!DAILY_TOTALS.includes(type)) {
+      point(result, type, date.at, value)
+      return
+    }
+    const key = `${type}|${date.day}`
+    if (!bySource.has(key)) bySource.set(key, new Map())
+    const totals = bySource.get(key)
+    const source = attrs.sourceName || ''
+    totals.set(source, (totals.get(source) || 0) + (Number.isFinite(value) ? value : 0))
+  }
+
+  for await (const chunk of chunks) {
+    buffer += chunk
+    if (!sawExport) sawExport = /<HealthData[\s>]/.test(buffer)
+    ELEMENT_RE.lastIndex = 0
+    let consumed = 0
+    let m
+    while ((m = ELEMENT_RE.exec(buffer))) {
+      handle(m[0])
+      consumed = ELEMENT_RE.lastIndex
+    }
+    // Keep an element cut off at the end of this chunk
+    ELEMENT_START_RE.lastIndex = consumed
+    let open = -1
+    while ((m = ELEMENT_START_RE.exec(buffer))) open = m.index
+    buffer = open >= 0 ? buffer.slice(open) : buffer.slice(Math.max(consumed, buffer.length - 9))
+  }
+  if (!sawExport) throw new HealthImportError('Not an Apple Health export — choose export.xml from the unzipped export')
+
+  for (const [key, totals] of bySource) {
+    const [type, day] = key.split('|')
+    dailyTotal(result, type, day, Math.max(...totals.values()))
+  }
+  for (const [day, intervals] of sleep) {
+    intervals.sort((a, b) => a[0] - b[0])
+    let asleep = 0, coveredTo = -Infinity
+    for (const [start, end] of intervals) {
+      const from = Math.max(start, coveredTo)
+      if (end > from) asleep += end - from
+      coveredTo = Math.max(coveredTo, end)
+    }
+    point(result, 'sleep_hours', new Date(`${day}T00:00`), asleep / 3600000)
+  }
+  return result
+}
+
+/** Read a File as text chunks without loading it whole. */
+export async function* fileChunks(file) {
+  const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader()
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) return
+    yield value
+  }
+}
+
+// ── FIT ──
+
+/**
+ * Parse a FIT file: activity sessions (running distance, calories),
+ * weigh-ins and daily resting HR. HRV recorded during an activity isn't
+ * comparable with resting HRV and is left out.
+ * @param {ArrayBuffer} buffer
+ */
+export function parseHealthFit(buffer) {
+  const result = emptyResult()
+  const messages = parseFit(buffer)
+
+  for (const s of messages.session || []) {
+    const start = s.start_time || s.timestamp
+    if (!start) continue
+    const day = toDateStr(start)
+    if (SPORTS[s.sport] === 'running') dailyTotal(result, 'running_distance', day, (s.total_distance || 0) / 1000)
+    dailyTotal(result, 'active_calories', day, s.total_calories || 0)
+  }
+  for (const w of messages.weight_scale || []) {
+    if (w.timestamp) point(result, 'weight', w.timestamp, w.weight)
+  }
+  // Wellness files log resting HR repeatedly through the day; keep each
+  // day's last. resting_heart_rate is a 7-day average, so prefer the day's own.
+  const restingByDay = new Map()
+  for (const m of messages.monitoring_hr_data || []) {
+    const value = m.current_day_resting_heart_rate ?? m.resting_heart_rate
+    if (m.timestamp && value) restingByDay.set(toDateStr(m.timestamp), { at: m.timestamp, value })
+  }
+  for (const { at, value } of restingByDay.values()) point(result, 'resting_hr', at, value)
+
+  return result
+}
+
+// ── TCX ──
+
+function tagValue(xml, tag) {
+  const m = xml.match(new RegExp(`<(?:\\w+:)?${tag}>\\s*([^<]*?)\\s*</(?:\\w+:)?${tag}>`))
+  return m ? m[1] : null
+}
+
+/**
+ * Parse a TCX file: running distance and calories from each activity.
+ * @param {string} text
+ */
+export function parseHealthTcx(text) {
+  if (!/<TrainingCenterDatabase[\s>]/.test(text)) throw new HealthImportError('Not a TCX file')
+  const result = emptyResult()
+  for (const [, attrs, body] of text.matchAll(/<Activity\b([^>]*)>([\s\S]*?)<\/Activity>/g)) {
+    const sport = attributes(attrs).Sport
+    const id = tagValue(body, 'Id')
+    if (!id || Number.isNaN(Date.parse(id))) {
+      result.skipped++
+      continue
+    }
+    let meters = 0, calories = 0
+    for (const [lap] of body.matchAll(/<Lap\b[\s\S]*?<\/Lap>/g)) {
+      // Only the lap's own totals, not the last trackpoint's running distance
+      const totals = lap.replace(/<Track>[\s\S]*?<\/Track>/g, '')
+      meters += parseFloat(tagValue(totals, 'DistanceMeters')) || 0
+      calories += parseFloat(tagValue(totals, 'Calories')) || 0
+    }
+    const day = toDateStr(id)
+    if (sport === 'Running') dailyTotal(result, 'running_distance', day, meters / 1000)
+    dailyTotal(result, 'active_calories', day, calories)
+  }
+  return result
+}
+
+// ── CSV ──
+
+// First match wins, so the specific patterns come first
+const CSV_COLUMNS = [
+  [/recovery|\bhrr\b/, 'hr_recovery'],
+  [/resting|\brhr\b/, 'resting_hr'],
+  [/\bhrv\b|variability/, 'hrv'],
+  [/vo2/, 'vo2_max'],
+  [/sleep(?!.*score)/, 'sleep_hours'],
+  [/weight|body\s*mass/, 'weight'],
+  [/run.*dist|dist.*run|^distance/, 'running_distance'],
+  [/steps/, 'steps'],
+  [/calor|energy/, 'active_calories']
+]
+
+function csvMetric(header) {
+  const t = String(header || '').toLowerCase().trim()
+  if (METRIC_UNITS[t]) return t
+  return CSV_COLUMNS.find(([re]) => re.test(t))?.[1] || null
+}
+
+// Unit hints from the header: "Weight (lb)", "Sleep (min)", "Distance (mi)"
+function csvValue(metricType, raw, header) {
+  const text = String(raw ?? '').trim()
+  if (!text) return null
+  const h = String(header || '').toLowerCase()
+  const hm = text.match(/^(\d+):(\d{2})$/)
+  let n = hm ? parseInt(hm[1]) + parseInt(hm[2]) / 60 : parseFloat(text.replace(/,/g, ''))
+  if (metricType === 'sleep_hours' && !hm && /min/.test(h)) n /= 60
+  if (metricType === 'weight' && /\blbs?\b/.test(h)) n /= LB_PER_KG
+  if (metricType === 'running_distance' && /\bmi/.test(h)) n *= KM_PER_MI
+  if (metricType === 'running_distance' && /\(m\)|meters/.test(h)) n /= 1000
+  if (metricType === 'active_calories' && /\bkj\b/.test(h)) n /= KJ_PER_KCAL
+  return n
+}
+
+// ISO dates and times, or US-style M/D/YYYY
+function csvDate(text) {
+  const t = String(text || '').trim()
+  const us = t.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}:\d{2}(?::\d{2})?))?$/)
+  const iso = us
+    ? `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}${us[4] ? `T${us[4].padStart(5, '0')}` : ''}`
+    : t.replace(' ', 'T')
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(iso)
+  const at = new Date(dateOnly ? `${iso}T00:00` : iso)
+  return Number.isNaN(at.getTime()) ? null : { at, day: toDateStr(at) }
+}
+
+function csvCells(line, delimiter) {
+  const cells = []
+  let cell = '', quoted = false
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i]
+    if (ch === '"') {
+      if (quoted && line[i + 1] === '"') { cell += '"'; i++ } else quoted = !quoted
+    } else if (ch === delimiter && !quoted) {
+      cells.push(cell.trim())
+      cell = ''
+    } else {
+      cell += ch
+    }
+  }
+  cells.push(cell.trim())
+  return cells
+}
+
+/**
+ * Parse a CSV of health readings (see the module comment for the layouts).
+ * @param {string} text
+ */
+export function parseHealthCsv(text) {
+  const lines = String(text || '').split(/\r?\n/).filter(l => l.trim())
+  if (lines.length < 2) throw new HealthImportError('The CSV needs a header row and at least one reading')
+  const delimiter = [',', ';', '\t'].find(d => lines[0].includes(d)) || ','
+  const header = csvCells(lines[0], delimiter)
+  const lower = header.map(h => h.toLowerCase())
+
+  const dateCol = lower.findIndex(h => /date|time|day/.test(h))
+  if (dateCol === -1) throw new HealthImportError('No date column found in the CSV header')
+  const metricCol = lower.findIndex((h, i) => i !== dateCol && /^(metric|type|metric_type|measure)$/.test(h))
+  const valueCol = lower.findIndex(h => h === 'value')
+  const long = metricCol !== -1 && valueCol !== -1
+  const columns = long ? [] : header.map((h, i) => (i === dateCol ? null : csvMetric(h)))
+  if (!long && !columns.some(Boolean)) throw new HealthImportError('No health metric columns found in the CSV header')
+
+  const result = emptyResult()
+  const add = (metricType, date, value) => {
+    if (value === null) return
+    if (DAILY_TOTALS.includes(metricType)) dailyTotal(result, metricType, date.day, value)
+    else point(result, metricType, date.at, value)
+  }
+
+  for (const line of lines.slice(1)) {
+    const cells = csvCells(line, delimiter)
+    const date = csvDate(cells[dateCol])
+    if (!date) {
+      result.skipped++
+      continue
+    }
+    if (long) {
+      const metricType = csvMetric(cells[metricCol])
+      if (!metricType) result.skipped++
+      else add(metricType, date, csvValue(metricType, cells[valueCol], cells[metricCol]))
+    } else {
+      columns.forEach((metricType, i) => {
+        if (metricType) add(metricType, date, csvValue(metricType, cells[i], header[i]))
+      })
+    }
+  }
+  return result
+}
+
+// ── Files ──
+
+/**
+ * Parse one file by its contents and extension.
+ * @param {File} file
+ * @returns {Promise<{format: string, points: Array, daily: Array, skipped: number}>}
+ */
+export async function parseHealthFile(file) {
+  const name = file.name.toLowerCase()
+  if (name.endsWith('.fit')) {
+    const buffer = await file.arrayBuffer()
+    if (!isFit(buffer)) throw new HealthImportError(`${file.name} is not a FIT file`)
+    return { format: 'FIT', ...parseHealthFit(buffer) }
+  }
+  if (name.endsWith('.xml')) return { format: 'Apple Health', ...(await parseAppleHealth(fileChunks(file))) }
+  if (name.endsWith('.tcx')) return { format: 'TCX', ...parseHealthTcx(await file.text()) }
+  if (name.endsWith('.csv') || name.endsWith('.txt')) return { format: 'CSV', ...parseHealthCsv(await file.text()) }
+  if (name.endsWith('.zip')) throw new HealthImportError('Unzip the Apple Health export and choose export.xml')
+  throw new HealthImportError(`${file.name}: choose an export.xml, .fit, .tcx or .csv file`)
+}
+
+function weekStart(day) {
+  const weekday = (new Date(`${day}T00:00`).getDay() + 6) % 7   // Monday = 0
+  return addDays(day, -weekday)
+}
+
+/**
+ * Combine parsed files into health_metrics rows: daily totals summed into
+ * weeks, and one row per (recorded_at, metric_type) — the last one read wins.
+ * @param {Array} parsed - results of the parsers
+ * @returns {{rows: Array, duplicates: number}}
+ */
+export function toMetricRows(parsed) {
+  const rows = new Map()
+  let duplicates = 0
+  const put = (metricType, recordedAt, value) => {
+    const key = `${metricType}|${recordedAt}`
+    if (rows.has(key)) duplicates++
+    rows.set(key, { metric_type: metricType, recorded_at: recordedAt, value: Math.round(value * 100) / 100, unit: METRIC_UNITS[metricType] })
+  }
+
+  for (const p of parsed.flatMap(r => r.points)) put(p.metric_type, p.recorded_at, p.value)
+
+  const weeks = new Map()
+  for (const d of parsed.flatMap(r => r.daily)) {
+    const key = `${d.metric_type}|${weekStart(d.date)}`
+    weeks.set(key, (weeks.get(key) || 0) + d.value)
+  }
+  for (const [key, total] of weeks) {
+    const [metricType, week] = key.split('|')
+    put(metricType, new Date(`${week}T00:00`).toISOString(), total)
+  }
+
+  return { rows: [...rows.values()], duplicates }
+}
+
+/**
+ * Per-metric counts and date ranges for the import preview.
+ * @returns {Array<{metric_type, count, from, to}>}
+ */
+export function importSummary(rows) {
+  const byType = new Map()
+  for (const r of rows) {
+    const s = byType.get(r.metric_type) || { metric_type: r.metric_type, count: 0, from: r.recorded_at, to: r.recorded_at }
+    s.count++
+    if (r.recorded_at < s.from) s.from = r.recorded_at
+    if (r.recorded_at > s.to) s.to = r.recorded_at
+    byType.set(r.metric_type, s)
+  }
+  return Object.keys(METRIC_UNITS).filter(t => byType.has(t)).map(t => byType.get(t))
+}
+
+/**
+ * Upsert rows in batches.
+ * @param {string} userId
+ * @param {Array} rows - from toMetricRows()
+ * @param {Function} [onProgress] - called with the number saved so far
+ * @returns {Promise<number>} rows saved
+ */
+export async function saveMetricRows(userId, rows, onProgress = () => {}) {
+  let saved = 0
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    const batch = rows.slice(i, i + BATCH_SIZE).map(r => ({ ...r, user_id: userId }))
+    const { error } = await supabase
+      .from('health_metrics')
+      .upsert(batch, { onConflict: 'user_id,recorded_at,metric_type' })
+    if (error) throw error
+    saved += batch.length
+    onProgress(saved)
+  }
+  return saved
+}
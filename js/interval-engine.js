@@ -0,0 +1,388 @@
+/**
+ * Interval engine — timing structure for guided workouts.
+ *
+ * A workout resolves to a timing plan: a mode for the whole session plus
+ * per-step timing. Both come from structured fields when present and are
+ * otherwise inferred from the free-text seed data.
+ *
+ * Workout level (workouts.timing JSONB):
+ *   {mode: 'for_time'|'intervals'|'emom'|'amrap', rounds, interval_seconds,
+ *    cap_seconds, countdown_seconds, round_rest_seconds}
+ *
+ * Step level (extra keys on each workouts.stations entry):
+ *   {work_seconds, rest_seconds, sets, reps_target}
+ *
+ * The engine expands the plan into phases (countdown / work / rest) and runs
+ * them against an injectable clock: call tick() a few times a second and
+ * react to the returned events. Work phases without a duration wait for
+ * complete(); timed phases advance on their own, aligned to the phase end
+ * so EMOM minute boundaries don't drift.
+ */
+
+export const TIMING_MODES = ['for_time', 'intervals', 'emom', 'amrap']
+
+const DEFAULT_COUNTDOWN = 10
+
+// ── Parsing free text ──
+
+/**
+ * Seconds from text like "90 sec", "2 min", "2-3 min", "30s". Ranges use the
+ * lower bound.
+ * @returns {number|null}
+ */
+export function parseSeconds(text) {
+  const m = String(text || '').match(/(\d+(?:\.\d+)?)(?:\s*-\s*\d+(?:\.\d+)?)?\s*(s|sec|secs|seconds?|m|min|mins|minutes?)\b/i)
+  if (!m) return null
+  const value = parseFloat(m[1])
+  return Math.round(/^m/i.test(m[2]) ? value * 60 : value)
+}
+
+/**
+ * Timing hints from a station's duration / reps / distance text:
+ *   "8x (20s on / 10s off)" → {sets: 8, work_seconds: 20, rest_seconds: 10}
+ *   "30s work / 30s rest"   → {work_seconds: 30, rest_seconds: 30}
+ *   "3x45 sec"              → {sets: 3, work_seconds: 45}
+ *   "5x5" (reps)            → {sets: 5, reps_target: 5}
+ */
+export function parseStationText(station) {
+  const out = {}
+  const duration = String(station.duration || '')
+  const volume = String(station.reps || station.distance || '')
+
+  const sets = (duration || volume).match(/^(\d+)\s*x/i)
+  if (sets) out.sets = parseInt(sets[1])
+
+  const onOff = duration.match(/(\d+)\s*s(?:ec)?\s*(?:on|work)\s*\/\s*(\d+)\s*s(?:ec)?\s*(?:off|rest)/i)
+  if (onOff) {
+    out.work_seconds = parseInt(onOff[1])
+    out.rest_seconds = parseInt(onOff[2])
+  } else if (duration && !/max/i.test(duration)) {
+    const secs = parseSeconds(duration.replace(/^\d+\s*x\s*/i, ''))
+    if (secs) out.work_seconds = secs
+  }
+
+  if (station.rest && out.rest_seconds == null) {
+    const rest = parseSeconds(station.rest)
+    if (rest) out.rest_seconds = rest
+  }
+
+  if (station.reps) {
+    const reps = String(station.reps).replace(/^\d+\s*x\s*/i, '').match(/\d+/)
+    if (reps) out.reps_target = parseInt(reps[0])
+  }
+  return out
+}
+
+/**
+ * Workout-level timing inferred from title/description, e.g.
+ * "20 Min AMRAP", "Every minute on the minute for 24 minutes", "5 rounds for time".
+ */
+export function inferWorkoutTiming(workout, steps) {
+  const text = `${workout.title || ''} ${workout.description || ''}`
+  const minutes = text.match(/(\d+)\s*min/i)
+  const rounds = text.match(/(\d+)\s+rounds/i)
+
+  if (/\bamrap\b|as many rounds/i.test(text) && minutes) {
+    return { mode: 'amrap', cap_seconds: parseInt(minutes[1]) * 60 }
+  }
+  if (/\bemom\b|every minute on the minute/i.test(text)) {
+    const total = minutes ? parseInt(minutes[1]) : null
+    return {
+      mode: 'emom',
+      interval_seconds: 60,
+      rounds: total && steps.length ? Math.max(1, Math.round(total / steps.length)) : rounds ? parseInt(rounds[1]) : 1
+    }
+  }
+
+  // A circuit-level round count only applies when steps don't repeat themselves
+  const stepSets = steps.some(s => s.sets > 1)
+  const timed = steps.some(s => s.work_seconds)
+  return {
+    mode: timed ? 'intervals' : 'for_time',
+    rounds: rounds && !stepSets ? parseInt(rounds[1]) : 1
+  }
+}
+
+/**
+ * Resolve a workouts row into a timing plan. Structured fields win over
+ * anything parsed from text.
+ * @param {Object} workout - workouts row (title, description, stations, timing)
+ */
+export function resolveTiming(workout) {
+  const steps = (workout.stations || []).map(station => {
+    const parsed = parseStationText(station)
+    const pick = key => station[key] ?? parsed[key] ?? null
+    return {
+      name: station.name,
+      detail: [station.reps, station.distance, station.duration].filter(Boolean).join(' · '),
+      work_seconds: pick('work_seconds'),
+      rest_seconds: pick('rest_seconds'),
+      sets: pick('sets') || 1,
+      reps_target: pick('reps_target')
+    }
+  })
+
+  const timing = { ...inferWorkoutTiming(workout, steps), ...(workout.timing || {}) }
+  if (!TIMING_MODES.includes(timing.mode)) throw new Error(`Unknown timing mode "${timing.mode}"`)
+  if (timing.mode === 'amrap' && !timing.cap_seconds) throw new Error('AMRAP workouts need a time cap')
+
+  return {
+    mode: timing.mode,
+    rounds: timing.mode === 'amrap' ? Infinity : (timing.rounds || 1),
+    interval_seconds: timing.interval_seconds || 60,
+    cap_seconds: timing.cap_seconds || null,
+    countdown_seconds: timing.countdown_seconds ?? DEFAULT_COUNTDOWN,
+    round_rest_seconds: timing.round_rest_seconds || 0,
+    steps
+  }
+}
+
+// ── Phases ──
+
+/**
+ * Phases for one round of the plan.
+ * @returns {Array<{kind: string, step: number|null, round: number, set: number, name: string, seconds: number|null, fillsInterval?: boolean}>}
+ */
+export function roundPhases(plan, round) {
+  const phases = []
+  plan.steps.forEach((step, i) => {
+    for (let set = 1; set <= step.sets; set++) {
+      if (plan.mode === 'emom') {
+        // Work until done, then rest out the rest of the minute
+        phases.push({ kind: 'work', step: i, round, set, name: step.name, seconds: plan.interval_seconds, fillsInterval: true })
+        continue
+      }
+      phases.push({ kind: 'work', step: i, round, set, name: step.name, seconds: step.work_seconds })
+      if (step.rest_seconds) {
+        phases.push({ kind: 'rest', step: i, round, set, name: 'Rest', seconds: step.rest_seconds })
+      }
+    }
+  })
+  if (plan.round_rest_seconds && round < plan.rounds) {
+    phases.push({ kind: 'rest', step: null, round, set: 1, name: 'Round rest', seconds: plan.round_rest_seconds })
+  }
+  return phases
+}
+
+// ── Engine ──
+
+export class IntervalEngine {
+  /**
+   * @param {Object} plan - from resolveTiming()
+   * @param {Object} [options]
+   * @param {Function} [options.now] - clock in ms, injectable for tests
+   */
+  constructor(plan, options = {}) {
+    this.plan = plan
+    this.now = options.now || (() => Date.now())
+    this.phases = plan.countdown_seconds
+      ? [{ kind: 'countdown', step: null, round: 0, set: 0, name: 'Get ready', seconds: plan.countdown_seconds }]
+      : []
+    this.roundsBuilt = 0
+    this.index = -1
+    this.phaseStartMs = 0
+    this.originMs = 0        // end of the countdown; caps and totals start here
+    this.accumulatedMs = 0
+    this.resumedAt = null
+    this.finished = false
+    this.lastCountdown = null
+    this.pendingReps = null
+    this.steps = []          // recorded work phases
+    this.roundsCompleted = 0
+  }
+
+  get running() {
+    return this.resumedAt !== null
+  }
+
+  get current() {
+    return this.phases[this.index] || null
+  }
+
+  /** Active time (ms), excluding pauses. */
+  elapsedMs() {
+    return this.accumulatedMs + (this.running ? this.now() - this.resumedAt : 0)
+  }
+
+  /** Workout time (ms) since the countdown ended. */
+  workoutMs() {
+    return Math.max(0, this.elapsedMs() - this.originMs)
+  }
+
+  /** Time left in the current timed phase (ms), or null if open-ended. */
+  remainingMs() {
+    const phase = this.current
+    if (!phase || phase.seconds == null) return null
+    return Math.max(0, this.phaseStartMs + phase.seconds * 1000 - this.elapsedMs())
+  }
+
+  /** Time left under the workout cap (ms), or null without a cap. */
+  capRemainingMs() {
+    return this.plan.cap_seconds ? Math.max(0, this.plan.cap_seconds * 1000 - this.workoutMs()) : null
+  }
+
+  /** Next work phase after the current one, for "up next" cues. */
+  peekNextWork() {
+    for (let i = this.index + 1; this._ensurePhase(i); i++) {
+      if (this.phases[i].kind === 'work') return this.phases[i]
+    }
+    return null
+  }
+
+  start() {
+    if (this.index >= 0) return []
+    this.resumedAt = this.now()
+    return this._enter(0, 0)
+  }
+
+  pause() {
+    if (!this.running) return
+    this.accumulatedMs = this.elapsedMs()
+    this.resumedAt = null
+  }
+
+  resume() {
+    if (this.running || this.finished) return
+    this.resumedAt = this.now()
+  }
+
+  /**
+   * Advance the clock. Call several times a second.
+   * @returns {Array<Object>} events: {type: 'phase', phase}, {type: 'countdown', secondsLeft}, {type: 'finish'}
+   */
+  tick() {
+    if (!this.running || this.finished) return []
+    const events = []
+    const t = this.elapsedMs()
+
+    const capMs = this.plan.cap_seconds ? this.originMs + this.plan.cap_seconds * 1000 : null
+    if (capMs !== null && this.current.kind !== 'countdown' && t >= capMs) {
+      this._record(capMs, null, true)
+      return events.concat(this._finish(capMs))
+    }
+
+    let phase = this.current
+    while (!this.finished && phase.seconds != null && t >= this.phaseStartMs + phase.seconds * 1000) {
+      const endMs = this.phaseStartMs + phase.seconds * 1000
+      this._record(endMs, null)
+      events.push(...this._enter(this.index + 1, endMs))
+      phase = this.current
+    }
+
+    const remaining = this.remainingMs()
+    if (remaining !== null && !this.finished) {
+      const secondsLeft = Math.ceil(remaining / 1000)
+      if (secondsLeft !== this.lastCountdown) {
+        this.lastCountdown = secondsLeft
+        events.push({ type: 'countdown', secondsLeft, phase: this.current })
+      }
+    }
+    return events
+  }
+
+  /** Reps entered for the current work step, used if it times out. */
+  setReps(reps) {
+    this.pendingReps = reps
+  }
+
+  /**
+   * Finish the current phase now: "Done" on a work step, "Skip" on rest.
+   * @param {number|null} [reps] - reps actually completed on a work step
+   */
+  complete(reps = null) {
+    if (!this.running || this.finished) return []
+    const phase = this.current
+    const t = this.elapsedMs()
+    this._record(t, reps)
+
+    // EMOM: the rest of the minute becomes rest
+    if (phase.fillsInterval) {
+      const left = this.phaseStartMs + phase.seconds * 1000 - t
+      if (left > 0) {
+        this.phases.splice(this.index + 1, 0, { kind: 'rest', step: phase.step, round: phase.round, set: phase.set, name: 'Rest', seconds: left / 1000 })
+      }
+    }
+    return this._enter(this.index + 1, t)
+  }
+
+  /** Stop early and keep what was recorded. */
+  stop() {
+    if (this.finished) return []
+    this._record(this.elapsedMs(), null, true)
+    return this._finish()
+  }
+
+  /**
+   * Raw timing record. buildGuidedLog() in js/workout-log.js turns it into
+   * workout_logs.data.
+   */
+  record() {
+    return {
+      type: 'guided',
+      timing: {
+        mode: this.plan.mode,
+        rounds: Number.isFinite(this.plan.rounds) ? this.plan.rounds : null,
+        interval_seconds: this.plan.mode === 'emom' ? this.plan.interval_seconds : null,
+        cap_seconds: this.plan.cap_seconds
+      },
+      rounds_completed: this.roundsCompleted,
+      total_seconds: Math.round(this.workoutMs() / 1000),
+      steps: this.steps.map(s => ({ ...s }))
+    }
+  }
+
+  // ── Internals ──
+
+  _ensurePhase(i) {
+    while (i >= this.phases.length && this.roundsBuilt < this.plan.rounds) {
+      this.roundsBuilt++
+      const phases = roundPhases(this.plan, this.roundsBuilt)
+      if (phases.length === 0) return false
+      this.phases.push(...phases)
+    }
+    return i < this.phases.length
+  }
+
+  _enter(i, atMs) {
+    const prev = this.current
+    if (!this._ensurePhase(i)) return this._finish()
+
+    // Rest after the very last work phase is pointless
+    if (this.phases[i].kind === 'rest' && !this._ensurePhase(i + 1)) return this._finish()
+
+    const phase = this.phases[i]
+    if (prev && prev.round > 0 && phase.round > prev.round) this.roundsCompleted = prev.round
+    if (prev?.kind === 'countdown') this.originMs = atMs
+    this.index = i
+    this.phaseStartMs = atMs
+    this.lastCountdown = null
+    this.pendingReps = null
+    return [{ type: 'phase', phase }]
+  }
+
+  _record(endMs, reps, partial = false) {
+    const phase = this.current
+    if (!phase || phase.kind !== 'work') return
+    const step = this.plan.steps[phase.step]
+    const actual = Math.round((endMs - this.phaseStartMs) / 100) / 10
+    this.steps.push({
+      step: phase.step,
+      name: phase.name,
+      round: phase.round,
+      set: phase.set,
+      planned_seconds: phase.seconds,
+      actual_seconds: actual,
+      reps: reps ?? this.pendingReps ?? (partial ? null : step.reps_target),
+      ...(partial ? { partial: true } : {})
+    })
+  }
+
+  _finish(atMs = this.elapsedMs()) {
+    const last = this.current
+    if (last && last.round > 0 && !this.steps.some(s => s.partial)) this.roundsCompleted = last.round
+    this.accumulatedMs = atMs
+    this.resumedAt = null
+    this.finished = true
+    return [{ type: 'finish' }]
+  }
+}
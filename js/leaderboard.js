@@ -0,0 +1,66 @@
+/**
+ * Leaderboard service over the leaderboard_page / leaderboard_rank RPCs
+ * (migrations/add_leaderboard.sql): each athlete's best sim for a format,
+ * filtered by division, age group and period.
+ */
+
+import { supabase } from './supabase-client.js'
+
+// Formats that run a fixed course, so times compare across athletes
+export const LEADERBOARD_FORMATS = ['singles', 'half', 'doubles', 'relay']
+
+export const LEADERBOARD_PERIODS = [
+  { value: 'week', label: 'This Week' },
+  { value: 'month', label: 'This Month' },
+  { value: 'all', label: 'All Time' }
+]
+
+// profiles.age_group values
+export const AGE_GROUPS = ['16-24', '25-29', '30-34', '35-39', '40-44', '45-49', '50-54', '55-59', '60+']
+
+export const PAGE_SIZE = 10
+
+/**
+ * @typedef {Object} LeaderboardFilters
+ * @property {string} [format='singles']
+ * @property {string|null} [division] - profiles.division value
+ * @property {string|null} [ageGroup] - profiles.age_group value
+ * @property {string} [period='all'] - 'week' | 'month' | 'all'
+ */
+
+function rpcArgs({ format = 'singles', division = null, ageGroup = null, period = 'all' } = {}) {
+  if (!LEADERBOARD_FORMATS.includes(format)) throw new Error(`No leaderboard for format "${format}"`)
+  return {
+    p_format: format,
+    p_division: division || null,
+    p_age_group: ageGroup || null,
+    p_period: period
+  }
+}
+
+/**
+ * One page of the board.
+ * @param {LeaderboardFilters} filters
+ * @param {number} [page=0] - 0-based
+ * @returns {Promise<{rows: Array, total: number}>}
+ */
+export async function fetchLeaderboard(filters, page = 0) {
+  const { data, error } = await supabase.rpc('leaderboard_page', {
+    ...rpcArgs(filters),
+    p_limit: PAGE_SIZE,
+    p_offset: page * PAGE_SIZE
+  })
+  if (error) throw error
+  const rows = data || []
+  return { rows, total: rows.length ? Number(rows[0].total_count) : 0 }
+}
+
+/**
+ * An athlete's own row on the board.
+ * @returns {Promise<Object|null>} null when they have no result for the filters
+ */
+export async function fetchUserRank(userId, filters) {
+  const { data, error } = await supabase.rpc('leaderboard_rank', { p_user_id: userId, ...rpcArgs(filters) })
+  if (error) throw error
+  return data?.[0] || null
+}
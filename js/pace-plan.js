@@ -0,0 +1,103 @@
+/**
+ * Pace plan model — splits a goal finish time across the 16 race segments.
+ * Shared by the PaceMe calculator and the simulation timer's ghost.
+ */
+
+import { splitsFromDurations } from './splits.js'
+
+// Weights represent typical % of total race time per segment
+// Based on aggregated Hyrox race data analysis
+export const PACE_SEGMENTS = [
+  { name: 'Run 1 — 1km', type: 'run', weight: 5.8 },
+  { name: 'SkiErg — 1000m', type: 'station', weight: 5.5 },
+  { name: 'Run 2 — 1km', type: 'run', weight: 6.0 },
+  { name: 'Sled Push — 50m', type: 'station', weight: 4.8 },
+  { name: 'Run 3 — 1km', type: 'run', weight: 6.2 },
+  { name: 'Sled Pull — 50m', type: 'station', weight: 5.2 },
+  { name: 'Run 4 — 1km', type: 'run', weight: 6.3 },
+  { name: 'Burpee Broad Jumps — 80m', type: 'station', weight: 7.5 },
+  { name: 'Run 5 — 1km', type: 'run', weight: 6.5 },
+  { name: 'Rowing — 1000m', type: 'station', weight: 6.0 },
+  { name: 'Run 6 — 1km', type: 'run', weight: 6.8 },
+  { name: 'Farmers Carry — 200m', type: 'station', weight: 5.8 },
+  { name: 'Run 7 — 1km', type: 'run', weight: 7.0 },
+  { name: 'Sandbag Lunges — 100m', type: 'station', weight: 8.2 },
+  { name: 'Run 8 — 1km', type: 'run', weight: 7.5 },
+  { name: 'Wall Balls — 100 reps', type: 'station', weight: 4.9 }
+]
+
+// Bump when PACE_SEGMENTS or DIVISION_MODS change; stored with saved pace plans
+export const PACE_WEIGHTS_VERSION = 'default-v2'
+
+// Every value allowed by the profiles.division check constraint
+export const DIVISIONS = [
+  { value: 'men_open', label: 'Men Open', doubles: false },
+  { value: 'women_open', label: 'Women Open', doubles: false },
+  { value: 'men_pro', label: 'Men Pro', doubles: false },
+  { value: 'women_pro', label: 'Women Pro', doubles: false },
+  { value: 'men_doubles', label: 'Men Doubles', doubles: true },
+  { value: 'women_doubles', label: 'Women Doubles', doubles: true },
+  { value: 'mixed_doubles', label: 'Mixed Doubles', doubles: true }
+]
+
+// Division adjustments (modifies station vs run split).
+// Doubles partners run together but share the station work.
+export const DIVISION_MODS = {
+  men_open: { runMod: 1.0, stationMod: 1.0 },
+  women_open: { runMod: 0.95, stationMod: 1.05 },
+  men_pro: { runMod: 1.02, stationMod: 0.98 },
+  women_pro: { runMod: 0.97, stationMod: 1.03 },
+  men_doubles: { runMod: 1.0, stationMod: 0.7 },
+  women_doubles: { runMod: 0.95, stationMod: 0.74 },
+  mixed_doubles: { runMod: 0.97, stationMod: 0.72 }
+}
+
+const NEUTRAL_MODS = { runMod: 1.0, stationMod: 1.0 }
+
+/**
+ * Relative segment weights for a division (not normalized).
+ * @returns {number[]} one per PACE_SEGMENTS entry
+ */
+export function divisionWeights(division) {
+  const mods = DIVISION_MODS[division] || NEUTRAL_MODS
+  return PACE_SEGMENTS.map(s => s.weight * (s.type === 'run' ? mods.runMod : mods.stationMod))
+}
+
+/**
+ * Split a goal time across the segments.
+ * @param {number} totalGoalSecs
+ * @param {string} division - profiles.division value
+ * @param {number[]} [weights] - per-segment weights to use instead of the
+ *   division defaults, e.g. fitted by js/race-predictor.js
+ * @returns {Array<{name: string, type: string, weight: number, targetSecs: number}>}
+ */
+export function buildPacePlan(totalGoalSecs, division, weights = null) {
+  const segmentWeights = weights || divisionWeights(division)
+
+  // Normalize weights
+  const totalWeight = segmentWeights.reduce((sum, w) => sum + w, 0)
+
+  // Calculate target time per segment
+  const plan = PACE_SEGMENTS.map((s, i) => {
+    const targetSecs = (segmentWeights[i] / totalWeight) * totalGoalSecs
+    return { ...s, weight: segmentWeights[i], targetSecs }
+  })
+
+  // Re-normalize to match exact goal
+  const planTotal = plan.reduce((sum, s) => sum + s.targetSecs, 0)
+  const factor = totalGoalSecs / planTotal
+  plan.forEach(s => s.targetSecs *= factor)
+
+  return plan
+}
+
+/**
+ * Convert a pace plan into canonical splits, e.g. for use as a ghost.
+ */
+export function planToSplits(plan) {
+  return splitsFromDurations(plan.map((s, i) => ({
+    segment: i,
+    name: s.name,
+    splitMs: Math.round(s.targetSecs * 1000)
+  })))
+}
@@ -0,0 +1,159 @@
+/**
+ * Saved pace plans (pace_plans table) — named per-segment targets an athlete
+ * can keep several of ("A goal", "Conservative") and pick one of as the
+ * default ghost for the simulation timer and CourseTracker replay.
+ *
+ * A row stores the split as canonical splits (js/splits.js) together with the
+ * weights it was built from, so a saved plan never changes when the default
+ * weights or the athlete's fitted weights move on.
+ */
+
+import { supabase } from './supabase-client.js'
+import { planToSplits, DIVISIONS, PACE_SEGMENTS } from './pace-plan.js'
+import { normalizeSplits } from './splits.js'
+import { formatTimeSec } from './shared.js'
+
+const COLUMNS = 'id, name, division, goal_seconds, segments, weights_version, weights, is_default, updated_at'
+
+/**
+ * Build the insert/update fields for a plan from buildPacePlan() output.
+ * @param {Object} input
+ * @param {string} input.name
+ * @param {string} input.division
+ * @param {number} input.goalSeconds
+ * @param {Array} input.plan - buildPacePlan() result
+ * @param {string} input.weightsVersion - PACE_WEIGHTS_VERSION or PREDICTOR_VERSION
+ */
+export function pacePlanFields({ name, division, goalSeconds, plan, weightsVersion }) {
+  const total = plan.reduce((sum, s) => sum + s.weight, 0)
+  return {
+    name: String(name || '').trim(),
+    division: division || null,
+    goal_seconds: Math.round(goalSeconds),
+    segments: planToSplits(plan),
+    weights_version: weightsVersion,
+    weights: plan.map(s => Math.round(s.weight / total * 1e5) / 1e5)
+  }
+}
+
+/** Canonical splits of a saved plan, e.g. for a GhostPacer. */
+export function pacePlanSplits(row) {
+  return normalizeSplits(row.segments)
+}
+
+/**
+ * A saved plan back in buildPacePlan() form, with its stored targets.
+ */
+export function planFromRow(row) {
+  const splits = pacePlanSplits(row)
+  return PACE_SEGMENTS.map((s, i) => {
+    const split = splits.find(x => x.segment === i)
+    return { ...s, weight: row.weights?.[i] ?? s.weight, targetSecs: split ? split.split_ms / 1000 : 0 }
+  })
+}
+
+// ── API ──
+
+/**
+ * @returns {Promise<Array>} the user's plans, default first, then most recent
+ */
+export async function listPacePlans(userId) {
+  const { data, error } = await supabase
+    .from('pace_plans')
+    .select(COLUMNS)
+    .eq('user_id', userId)
+    .order('is_default', { ascending: false })
+    .order('updated_at', { ascending: false })
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * @returns {Promise<Object|null>} the default plan, if one is set
+ */
+export async function getDefaultPacePlan(userId) {
+  const { data, error } = await supabase
+    .from('pace_plans')
+    .select(COLUMNS)
+    .eq('user_id', userId)
+    .eq('is_default', true)
+    .maybeSingle()
+  if (error) throw error
+  return data
+}
+
+/**
+ * Create a plan, or overwrite the one with the same name.
+ * @param {string} userId
+ * @param {Object} fields - from pacePlanFields()
+ * @param {Object} [options]
+ * @param {boolean} [options.makeDefault=false]
+ */
+export async function savePacePlan(userId, fields, options = {}) {
+  if (!fields.name) throw new Error('Pace plan needs a name')
+  const { data, error } = await supabase
+    .from('pace_plans')
+    .upsert({ ...fields, user_id: userId, updated_at: new Date().toISOString() }, { onConflict: 'user_id,name' })
+    .select(COLUMNS)
+    .single()
+  if (error) throw error
+  if (options.makeDefault) return setDefaultPacePlan(userId, data.id)
+  return data
+}
+
+/**
+ * Make one plan the default ghost. Clears the old default first, since at
+ * most one row per user may have is_default set.
+ */
+export async function setDefaultPacePlan(userId, planId) {
+  const { error: clearError } = await supabase
+    .from('pace_plans')
+    .update({ is_default: false })
+    .eq('user_id', userId)
+    .eq('is_default', true)
+    .neq('id', planId)
+  if (clearError) throw clearError
+
+  const { data, error } = await supabase
+    .from('pace_plans')
+    .update({ is_default: true })
+    .eq('id', planId)
+    .select(COLUMNS)
+    .single()
+  if (error) throw error
+  return data
+}
+
+export async function deletePacePlan(planId) {
+  const { error } = await supabase.from('pace_plans').delete().eq('id', planId)
+  if (error) throw error
+}
+
+// ── Wristband ──
+
+/**
+ * Printable race-day wristband card for a saved plan: one row per segment
+ * with the split target and the race clock to hit at the end of it.
+ * @returns {string} HTML for a `.wristband` element (styles in the page)
+ */
+export function wristbandHTML(row) {
+  const splits = pacePlanSplits(row)
+  const division = DIVISIONS.find(d => d.value === row.division)?.label
+  return `
+    <div class="wristband">
+      <div class="wristband-head">
+        <strong>${row.name}</strong>
+        <span>${formatTimeSec(row.goal_seconds)}${division ? ` · ${division}` : ''}</span>
+      </div>
+      <table>
+        ${splits.map(s => `
+          <tr class="${s.type}">
+            <td>${s.type === 'run' ? s.name.replace('Run ', 'R') : s.name}</td>
+            <td>${formatTimeSec(Math.round(s.split_ms / 1000))}</td>
+            <td>${formatTimeSec(Math.round(s.cumulative_ms / 1000))}</td>
+          </tr>
+        `).join('')}
+      </table>
+    </div>
+  `
+}
@@ -0,0 +1,313 @@
+/**
+ * Plan adapter — turns a static training_plans schedule into a personalised
+ * copy (user_plans) that reacts to what actually happened.
+ *
+ * Rules, applied to the window from today to the end of next week:
+ *   shift    — a key session missed in the last 3 days moves to the next rest day
+ *   repeat   — a week with under half its sessions done is run again
+ *   deload   — HRV well below / resting HR well above baseline cuts volume
+ *   progress — a new sim PB, or two fully completed weeks, adds volume
+ *
+ * Days before today are never rewritten, and every change carries a rule key
+ * so adapting twice on the same data changes nothing. Each change records
+ * its reason for display.
+ *
+ * Dates are local 'YYYY-MM-DD' strings; day N of the plan is startDate + N.
+ */
+
+import { normalizeDay, normalizeSchedule, sessionType } from './plan-schema.js'
+
+export const DAY_MS = 24 * 60 * 60 * 1000
+
+const HRV_DROP = 0.10        // 7-day HRV this far below the 28-day baseline...
+const RHR_RISE = 5           // ...or 3-day resting HR this many bpm above it
+const DELOAD_FACTOR = 0.6
+const PROGRESS_FACTOR = 1.2
+const DELOAD_DAYS = 3
+
+// ── Sessions ──
+
+/** Sessions worth moving or scaling — not rest, mobility, races or easy runs. */
+export function isKeySession(day) {
+  const session = normalizeDay(day)
+  if (['rest', 'mobility', 'race'].includes(session.type)) return false
+  if (session.type === 'run') return !['z1', 'z2'].includes(session.intensity)
+  return true
+}
+
+/**
+ * Scale the volume in a session description: set counts ("6x800m" → "4x800m"),
+ * distances ("8km" → "5km") and durations ("20min" → "12min"). Loads, paces
+ * and rest periods are left alone.
+ */
+function scaleText(text, factor) {
+  const scale = n => Math.max(1, Math.round(n * factor))
+  return text
+    .replace(/\b(\d+)\s*x(?=\s*\d)/gi, (_, n) => `${scale(parseInt(n))}x`)
+    .replace(/(^|[^x\d.])(\d+(?:\.\d+)?)\s*km\b/gi, (_, pre, n) => `${pre}${scaleKm(parseFloat(n), factor)}km`)
+    .replace(/\b(\d+)\s*min\b(?!\s*rest)/gi, (_, n) => `${scale(parseInt(n))}min`)
+}
+
+function scaleKm(km, factor) {
+  return Math.max(1, Math.round(km * factor * 2) / 2)
+}
+
+/**
+ * Scale a session's volume — its title text plus the structured duration,
+ * distance, interval count and exercise sets — by `factor`.
+ * @returns {Object} a new session
+ */
+export function scaleSession(day, factor) {
+  const session = normalizeDay(day)
+  const scale = n => Math.max(1, Math.round(n * factor))
+  const targets = { ...session.targets }
+  if (targets.distance_km) targets.distance_km = scaleKm(targets.distance_km, factor)
+  if (targets.intervals) targets.intervals = { ...targets.intervals, count: scale(targets.intervals.count) }
+  if (targets.exercises) targets.exercises = targets.exercises.map(ex => ({ ...ex, sets: scale(ex.sets) }))
+  return {
+    ...session,
+    title: scaleText(session.title, factor),
+    duration_minutes: session.duration_minutes ? scale(session.duration_minutes) : session.duration_minutes,
+    targets
+  }
+}
+
+// ── Dates ──
+
+export function toDateStr(date) {
+  const d = new Date(date)
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`
+}
+
+function utc(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number)
+  return Date.UTC(y, m - 1, d)
+}
+
+/** Whole days from a to b ('YYYY-MM-DD'). */
+export function daysBetween(a, b) {
+  return Math.round((utc(b) - utc(a)) / DAY_MS)
+}
+
+export function addDays(dateStr, n) {
+  const d = new Date(utc(dateStr) + n * DAY_MS)
+  return d.toISOString().split('T')[0]
+}
+
+// ── Signals ──
+
+function average(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null
+}
+
+/**
+ * Recovery status from health_metrics rows (metric_type, value, recorded_at).
+ * @returns {{flag: boolean, reason: string|null, hrvDrop: number|null, rhrRise: number|null}}
+ */
+export function recoveryStatus(metrics, today) {
+  const series = type => metrics
+    .filter(m => m.metric_type === type)
+    .map(m => ({ age: daysBetween(toDateStr(m.recorded_at), today), value: Number(m.value) }))
+    .filter(m => m.age >= 0 && m.age < 28)
+
+  const hrv = series('hrv')
+  const rhr = series('resting_hr')
+  const hrvBase = average(hrv.map(m => m.value))
+  const hrvRecent = average(hrv.filter(m => m.age < 7).map(m => m.value))
+  const rhrBase = average(rhr.map(m => m.value))
+  const rhrRecent = average(rhr.filter(m => m.age < 3).map(m => m.value))
+
+  // Need a real baseline before drawing conclusions
+  const hrvDrop = hrv.length >= 10 && hrvRecent !== null ? (hrvBase - hrvRecent) / hrvBase : null
+  const rhrRise = rhr.length >= 10 && rhrRecent !== null ? rhrRecent - rhrBase : null
+
+  let reason = null
+  if (hrvDrop !== null && hrvDrop > HRV_DROP) {
+    reason = `HRV ${Math.round(hrvDrop * 100)}% below your 4-week baseline`
+  } else if (rhrRise !== null && rhrRise > RHR_RISE) {
+    reason = `Resting HR ${Math.round(rhrRise)} bpm above your 4-week baseline`
+  }
+  return { flag: reason !== null, reason, hrvDrop, rhrRise }
+}
+
+/**
+ * Share of prescribed sessions (non-rest) that had any logged activity.
+ * @param {Array} schedule - [{week, focus, days: [...]}]
+ * @param {Set<string>} activeDates - dates with a workout log or sim
+ * @returns {{planned: number, done: number, rate: number|null}}
+ */
+export function adherence(schedule, startDate, activeDates, fromDay, toDay) {
+  let planned = 0, done = 0
+  for (let d = fromDay; d <= toDay; d++) {
+    const day = dayAt(schedule, d)
+    if (!day || sessionType(day) === 'rest') continue
+    planned++
+    if (activeDates.has(addDays(startDate, d))) done++
+  }
+  return { planned, done, rate: planned ? done / planned : null }
+}
+
+/**
+ * A sim in the last 7 days that beat every earlier singles result.
+ * @returns {{time: number, improvement: number}|null}
+ */
+export function recentSimPB(sims, today) {
+  const singles = sims
+    .filter(s => (s.format || 'singles') === 'singles')
+    .sort((a, b) => new Date(a.completed_at) - new Date(b.completed_at))
+  let best = null, pb = null
+  for (const s of singles) {
+    if (best !== null && s.total_time_ms < best && daysBetween(toDateStr(s.completed_at), today) < 7) {
+      pb = { time: s.total_time_ms, improvement: best - s.total_time_ms }
+    }
+    best = best === null ? s.total_time_ms : Math.min(best, s.total_time_ms)
+  }
+  return pb
+}
+
+// ── Schedule helpers ──
+
+function dayAt(schedule, dayIdx) {
+  return schedule[Math.floor(dayIdx / 7)]?.days?.[dayIdx % 7] ?? null
+}
+
+function setDay(schedule, dayIdx, session) {
+  schedule[Math.floor(dayIdx / 7)].days[dayIdx % 7] = session
+}
+
+// ── Adapter ──
+
+/**
+ * Adapt the personalised schedule for today.
+ * @param {Object} input
+ * @param {Array} input.schedule - current personalised (or base) schedule
+ * @param {Array} [input.changes] - changes already applied
+ * @param {string} input.startDate - plan start 'YYYY-MM-DD'
+ * @param {string} input.today - 'YYYY-MM-DD'
+ * @param {Array} [input.logs] - workout_logs rows (completed_at)
+ * @param {Array} [input.sims] - simulation_results rows (completed_at, total_time_ms, format)
+ * @param {Array} [input.metrics] - health_metrics rows (metric_type, value, recorded_at)
+ * @returns {{schedule: Array, changes: Array, added: Array, recovery: Object}}
+ */
+export function adaptPlan(input) {
+  const { startDate, today } = input
+  const schedule = normalizeSchedule(input.schedule)
+  const changes = (input.changes || []).map(c => ({ ...c }))
+  const applied = new Set(changes.map(c => c.key))
+  const added = []
+
+  const todayIdx = daysBetween(startDate, today)
+  const totalDays = () => schedule.length * 7
+  if (todayIdx < 0 || todayIdx >= totalDays()) {
+    return { schedule, changes, added, recovery: recoveryStatus(input.metrics || [], today) }
+  }
+
+  const activeDates = new Set([...(input.logs || []), ...(input.sims || [])]
+    .filter(r => r.completed_at)
+    .map(r => toDateStr(r.completed_at)))
+
+  const record = (change) => {
+    if (applied.has(change.key)) return false
+    applied.add(change.key)
+    const full = { ...change, date: addDays(startDate, change.day), week: Math.floor(change.day / 7) + 1 }
+    changes.push(full)
+    added.push(full)
+    return true
+  }
+
+  const week = Math.floor(todayIdx / 7)
+  const weekEnd = (week + 1) * 7 - 1
+
+  // ── repeat: last week mostly missed ──
+  if (week > 0) {
+    const last = adherence(schedule, startDate, activeDates, (week - 1) * 7, week * 7 - 1)
+    const nextWeekStart = (week + 1) * 7
+    if (last.planned >= 2 && last.rate < 0.5 && nextWeekStart < totalDays() && !changes.some(c => c.type === 'repeat')) {
+      const repeated = { ...schedule[week - 1], days: [...schedule[week - 1].days], repeated: true }
+      if (record({
+        key: `repeat:${week}`,
+        type: 'repeat',
+        day: nextWeekStart,
+        before: null,
+        after: `Week ${week} repeated`,
+        reason: `Only ${last.done} of ${last.planned} sessions done in week ${week} — repeating it before moving on`
+      })) {
+        schedule.splice(week + 1, 0, repeated)
+        // Earlier changes after the insert point now fall a week later
+        for (const c of changes) {
+          if (c.type !== 'repeat' && c.day >= nextWeekStart) {
+            c.day += 7
+            c.date = addDays(startDate, c.day)
+            c.week = Math.floor(c.day / 7) + 1
+          }
+        }
+      }
+    }
+  }
+
+  // ── shift: recently missed key sessions ──
+  for (let d = Math.max(0, todayIdx - 3); d < todayIdx; d++) {
+    const missed = dayAt(schedule, d)
+    if (!missed || !isKeySession(missed) || activeDates.has(addDays(startDate, d))) continue
+
+    // Next rest day from today, not directly before another key session
+    for (let t = todayIdx; t <= Math.min(weekEnd + 7, totalDays() - 1); t++) {
+      const target = dayAt(schedule, t)
+      const after = dayAt(schedule, t + 1)
+      if (target.type !== 'rest') continue
+      if (after && isKeySession(after) && missed.type === after.type) continue
+      if (record({
+        key: `shift:${addDays(startDate, d)}`,
+        type: 'shift',
+        day: t,
+        before: target.title,
+        after: missed.title,
+        reason: `Missed on ${addDays(startDate, d)} — moved to the next rest day`
+      })) {
+        setDay(schedule, t, { ...missed })
+      }
+      break
+    }
+  }
+
+  // ── deload / progress ──
+  const recovery = recoveryStatus(input.metrics || [], today)
+  if (recovery.flag) {
+    for (let d = todayIdx; d < Math.min(todayIdx + DELOAD_DAYS, totalDays()); d++) {
+      const session = dayAt(schedule, d)
+      if (!isKeySession(session)) continue
+      const scaled = scaleSession(session, DELOAD_FACTOR)
+      scaled.title = `Deload — ${scaled.title}`
+      scaled.adapted = 'deload'
+      if (record({ key: `deload:${addDays(startDate, d)}`, type: 'deload', day: d, before: session.title, after: scaled.title, reason: recovery.reason })) {
+        setDay(schedule, d, scaled)
+      }
+    }
+  } else {
+    const pb = recentSimPB(input.sims || [], today)
+    const lastTwo = week >= 2 ? adherence(schedule, startDate, activeDates, (week - 2) * 7, week * 7 - 1) : null
+    let reason = null
+    if (pb) {
+      reason = `New sim PB (${Math.round(pb.improvement / 1000)}s faster) — adding volume next week`
+    } else if (lastTwo && lastTwo.planned >= 4 && lastTwo.rate === 1) {
+      reason = `Every session done for two weeks with normal recovery — adding volume next week`
+    }
+
+    const next = week + 1
+    const isFinalWeeks = next >= schedule.length - 1  // never load the taper
+    if (reason && !isFinalWeeks && !schedule[next].repeated && !changes.some(c => c.type === 'progress' && c.week === next + 1)) {
+      for (let d = next * 7; d < (next + 1) * 7; d++) {
+        const session = dayAt(schedule, d)
+        if (!session || !isKeySession(session) || session.adapted === 'deload') continue
+        const scaled = scaleSession(session, PROGRESS_FACTOR)
+        if (JSON.stringify(scaled) === JSON.stringify(session)) continue
+        scaled.adapted = 'progress'
+        if (record({ key: `progress:${addDays(startDate, d)}`, type: 'progress', day: d, before: session.title, after: scaled.title, reason })) {
+          setDay(schedule, d, scaled)
+        }
+      }
+    }
+  }
+
+  return { schedule, changes, added, recovery }
+}
@@ -0,0 +1,184 @@
+/**
+ * Plan calendar — dated sessions for the active plan, matched against what
+ * was actually logged, plus iCalendar (.ics) export.
+ *
+ * A session is one day of the (personalised) schedule:
+ *   {date: '2026-03-02', week: 1, day: 0, text: 'Tempo Run 5km', type: 'run',
+ *    session: {...}, status: 'done'|'missed'|'today'|'upcoming'|'rest', completions: [...]}
+ * `session` is the structured day from js/plan-schema.js.
+ * `completions` holds the workout_logs / simulation_results rows credited to it.
+ */
+
+import { addDays, toDateStr } from './plan-adapter.js'
+import { normalizeDay } from './plan-schema.js'
+
+// workouts.category values that count towards each session type
+const CATEGORY_FOR_TYPE = {
+  run: ['running'],
+  strength: ['strength'],
+  sim: ['hyrox_sim'],
+  conditioning: ['conditioning', 'hyrox_sim'],
+  mobility: ['mobility']
+}
+
+/**
+ * Expand a schedule into dated sessions.
+ * @param {Array} schedule - [{week, focus, days: [...]}]
+ * @param {string} startDate - 'YYYY-MM-DD'
+ */
+export function planSessions(schedule, startDate) {
+  const sessions = []
+  schedule.forEach((week, wi) => {
+    (week.days || []).forEach((day, di) => {
+      const session = normalizeDay(day)
+      sessions.push({
+        date: addDays(startDate, wi * 7 + di),
+        week: wi + 1,
+        day: wi * 7 + di,
+        focus: week.focus || '',
+        text: session.title,
+        type: session.type,
+        session,
+        status: null,
+        completions: []
+      })
+    })
+  })
+  return sessions
+}
+
+/**
+ * Credit logged activity to sessions on the same date. A log whose workout
+ * category fits the session type is preferred; each log is credited once.
+ * @param {Array} sessions - from planSessions()
+ * @param {Array} logs - workout_logs rows (id, completed_at, workout_id, workouts: {title, category})
+ * @param {Array} [sims] - simulation_results rows (id, completed_at, total_time_ms)
+ * @param {string} today - 'YYYY-MM-DD'
+ */
+export function matchCompletions(sessions, logs, sims = [], today) {
+  const byDate = new Map()
+  const add = (date, item) => {
+    if (!byDate.has(date)) byDate.set(date, [])
+    byDate.get(date).push(item)
+  }
+  logs.forEach(l => add(toDateStr(l.completed_at), { kind: 'workout', category: l.workouts?.category || null, row: l }))
+  sims.forEach(s => add(toDateStr(s.completed_at), { kind: 'sim', category: 'hyrox_sim', row: s }))
+
+  return sessions.map(session => {
+    const pool = byDate.get(session.date) || []
+    const fits = CATEGORY_FOR_TYPE[session.type] || []
+    const completions = []
+
+    if (session.type !== 'rest') {
+      const idx = pool.findIndex(p => fits.includes(p.category))
+      const pick = idx >= 0 ? idx : pool.length > 0 ? 0 : -1
+      if (pick >= 0) completions.push(...pool.splice(pick, 1))
+    }
+
+    let status
+    if (session.type === 'rest') status = 'rest'
+    else if (completions.length) status = 'done'
+    else if (session.date < today) status = 'missed'
+    else if (session.date === today) status = 'today'
+    else status = 'upcoming'
+
+    return { ...session, status, completions }
+  })
+}
+
+/**
+ * Per-week compliance, counting only sessions that are due (today or earlier).
+ * @returns {Array<{week: number, focus: string, planned: number, done: number, rate: number|null}>}
+ */
+export function weekCompliance(sessions) {
+  const weeks = new Map()
+  for (const s of sessions) {
+    if (!weeks.has(s.week)) weeks.set(s.week, { week: s.week, focus: s.focus, planned: 0, done: 0, rate: null })
+    const w = weeks.get(s.week)
+    if (s.status === 'done' || s.status === 'missed') w.planned++
+    if (s.status === 'done') w.done++
+  }
+  for (const w of weeks.values()) w.rate = w.planned ? w.done / w.planned : null
+  return [...weeks.values()]
+}
+
+// ── iCalendar ──
+
+/** Escape a TEXT value per RFC 5545. */
+function icsText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+}
+
+/** Fold content lines longer than 75 octets. */
+function foldLine(line) {
+  const bytes = new TextEncoder().encode(line)
+  if (bytes.length <= 75) return line
+  const parts = []
+  let current = ''
+  let size = 0
+  for (const char of line) {
+    const len = new TextEncoder().encode(char).length
+    if (size + len > (parts.length ? 74 : 75)) {
+      parts.push(current)
+      current = ''
+      size = 0
+    }
+    current += char
+    size += len
+  }
+  parts.push(current)
+  return parts.join('\r\n ')
+}
+
+function icsDate(dateStr) {
+  return dateStr.replace(/-/g, '')
+}
+
+/**
+ * Build an .ics calendar of all non-rest sessions as all-day events.
+ * @param {Array} sessions - from planSessions()
+ * @param {Object} options
+ * @param {string} options.name - calendar name
+ * @param {string} options.uidPrefix - stable per user+plan, keeps event UIDs
+ *   the same across exports so subscribed calendars update in place
+ * @param {string} [options.url] - link back to the plan
+ */
+export function buildICS(sessions, options) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '')
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//HyroxSim//Training Plan//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(options.name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT12H',
+    'X-PUBLISHED-TTL:PT12H'
+  ]
+
+  for (const s of sessions) {
+    if (s.type === 'rest') continue
+    const description = [`Week ${s.week}${s.focus ? ` — ${s.focus}` : ''}`, `Type: ${s.type}`]
+    if (s.session?.duration_minutes) description.push(`Duration: ${s.session.duration_minutes} min`)
+    if (s.session?.intensity) description.push(`Intensity: ${s.session.intensity.toUpperCase()}`)
+    if (options.url) description.push(options.url)
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${options.uidPrefix}-${s.day}@hyroxsim`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(s.date)}`,
+      `DTEND;VALUE=DATE:${icsDate(addDays(s.date, 1))}`,
+      `SUMMARY:${icsText(s.text)}`,
+      `DESCRIPTION:${icsText(description.join('\n'))}`,
+      `CATEGORIES:${icsText(s.type.toUpperCase())}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    )
+  }
+  lines.push('END:VCALENDAR')
+  return lines.map(foldLine).join('\r\n') + '\r\n'
+}
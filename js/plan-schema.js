@@ -0,0 +1,226 @@
+/**
+ * Training plan session schema.
+ *
+ * training_plans.schedule (and user_plans.schedule) is an array of weeks:
+ *   [{week: 1, focus: 'Foundation', days: [Session, ... up to 7]}]
+ *
+ * Session:
+ *   {
+ *     type: 'run'|'strength'|'sim'|'conditioning'|'mobility'|'rest'|'race',
+ *     title: 'Intervals: 6x400m with 90s rest',
+ *     duration_minutes: 30 | null,
+ *     intensity: 'z1'..'z5' | null,       // heart-rate zone; null for strength/rest
+ *     workout_id: '<uuid>' | null,         // links to the workouts library
+ *     targets: {
+ *       distance_km?: 5,
+ *       intervals?: {count: 6, distance_m?: 400, duration_s?: 900, rest_s?: 90},
+ *       exercises?: [{name: 'Deadlift', sets: 4, reps?: 5, distance_m?: 25}]
+ *     }
+ *   }
+ *
+ * Older schedules store each day as a free-text string. parseSessionText()
+ * turns those into sessions with the same rules as parse_plan_day() in
+ * migrations/structure_plan_sessions.sql — keep the two in step.
+ */
+
+export const SESSION_TYPES = ['run', 'strength', 'sim', 'conditioning', 'mobility', 'rest', 'race']
+export const INTENSITY_ZONES = ['z1', 'z2', 'z3', 'z4', 'z5']
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+export class PlanValidationError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [week] - week index, if any
+   * @param {number} [day] - day index within the week, if any
+   */
+  constructor(message, week = null, day = null) {
+    const where = week === null ? '' : day === null ? `Week ${week + 1}: ` : `Week ${week + 1}, day ${day + 1}: `
+    super(where + message)
+    this.name = 'PlanValidationError'
+    this.week = week
+    this.day = day
+  }
+}
+
+// ── Parsing free text ──
+
+function classify(t) {
+  if (/^\s*(full )?(rest|off)\b/.test(t)) return 'rest'
+  if (/race day/.test(t)) return 'race'
+  if (/\bsim\b|simulation/.test(t)) return 'sim'
+  if (/strength|deadlift|squat|\bdl\b|press/.test(t)) return 'strength'
+  if (/mobil|yoga|recovery|stretch|foam roll|activation/.test(t)) return 'mobility'
+  if (/condition|metcon|emom|amrap|erg\b/.test(t)) return 'conditioning'
+  if (/run|tempo|interval|jog|stride|pace|trial/.test(t)) return 'run'
+  return 'conditioning'
+}
+
+function zoneFor(type, t) {
+  switch (type) {
+    case 'mobility': return 'z1'
+    case 'sim':
+    case 'race':
+    case 'conditioning': return 'z4'
+    case 'run':
+      if (/^(easy|shake|recovery)|long run|\beasy$/.test(t)) return 'z2'
+      if (/stride|sprint|\b[24]00m\b|max|mile pace|all-out/.test(t)) return 'z5'
+      if (/interval|race pace|threshold|goal pace|5k pace|\dx\d/.test(t)) return 'z4'
+      if (/tempo|fartlek/.test(t)) return 'z3'
+      return 'z2'
+    default: return null
+  }
+}
+
+/**
+ * Build a session from a free-text day like "Tempo Run 5km".
+ */
+export function parseSessionText(text) {
+  const title = String(text || '').trim()
+  const t = title.toLowerCase()
+  const type = classify(t)
+  const targets = {}
+
+  const km = t.match(/(?<![x\d.])(\d+(?:\.\d+)?)\s*km\b/)
+  if (km && type !== 'strength') targets.distance_km = parseFloat(km[1])
+
+  // "2x15min" is the session's length only when no distance sets it
+  let duration = null
+  const repeated = t.match(/(\d+)\s*x\s*(\d+)\s*min/)
+  const single = t.match(/(?<![x\d])(\d+)\s*min\b(?!\s*(rest|jog|recovery))/)
+  if (single) duration = parseInt(single[1])
+  else if (repeated && !targets.distance_km) duration = parseInt(repeated[1]) * parseInt(repeated[2])
+
+  if (type === 'strength') {
+    const exercises = [...title.matchAll(/([A-Za-z][A-Za-z'-]*(?: [A-Za-z'-]+)*)\s+(\d+)\s*x\s*(\d+)\s*(m\b|km\b)?/g)].map(m => {
+      const ex = { name: m[1].trim(), sets: parseInt(m[2]) }
+      if (m[4]) ex.distance_m = parseInt(m[3]) * (m[4] === 'km' ? 1000 : 1)
+      else ex.reps = parseInt(m[3])
+      return ex
+    })
+    if (exercises.length) targets.exercises = exercises
+  } else if (type !== 'rest') {
+    const iv = t.match(/(\d+)\s*x\s*(\d+(?:\.\d+)?)\s*(km|m|min|s)\b/)
+    if (iv) {
+      const intervals = { count: parseInt(iv[1]) }
+      const n = parseFloat(iv[2])
+      if (iv[3] === 'km') intervals.distance_m = n * 1000
+      else if (iv[3] === 'm') intervals.distance_m = n
+      else intervals.duration_s = iv[3] === 'min' ? n * 60 : n
+      const rest = t.match(/(\d+)\s*(s|sec|min)\s*(rest|recovery|jog)/)
+      if (rest) intervals.rest_s = parseInt(rest[1]) * (rest[2] === 'min' ? 60 : 1)
+      targets.intervals = intervals
+    }
+  }
+
+  return {
+    type,
+    title,
+    duration_minutes: duration,
+    intensity: zoneFor(type, t),
+    workout_id: null,
+    targets
+  }
+}
+
+// ── Normalizing ──
+
+/** Session object for a day that may still be a legacy string. */
+export function normalizeDay(day) {
+  if (typeof day === 'string') return parseSessionText(day)
+  return {
+    type: day.type,
+    title: day.title || '',
+    duration_minutes: day.duration_minutes ?? null,
+    intensity: day.intensity ?? null,
+    workout_id: day.workout_id ?? null,
+    targets: day.targets || {},
+    ...(day.adapted ? { adapted: day.adapted } : {})
+  }
+}
+
+/** Copy of a schedule with every day as a session object. */
+export function normalizeSchedule(schedule) {
+  return (schedule || []).map(week => ({ ...week, days: (week.days || []).map(normalizeDay) }))
+}
+
+/** Session type for a day in either form. */
+export function sessionType(day) {
+  return normalizeDay(day).type
+}
+
+/** Display text for a day in either form. */
+export function sessionTitle(day) {
+  return typeof day === 'string' ? day : day.title
+}
+
+/**
+ * One-line prescription for display: "30 min · Z4 · 6 × 400m, 90s rest".
+ * @returns {string} empty when there is nothing beyond the title
+ */
+export function sessionSummary(day) {
+  const session = normalizeDay(day)
+  const parts = []
+  if (session.duration_minutes) parts.push(`${session.duration_minutes} min`)
+  if (session.intensity) parts.push(session.intensity.toUpperCase())
+  const { distance_km, intervals, exercises } = session.targets
+  if (distance_km) parts.push(`${distance_km} km`)
+  if (intervals) {
+    const each = intervals.distance_m
+      ? intervals.distance_m >= 1000 ? `${intervals.distance_m / 1000}km` : `${intervals.distance_m}m`
+      : intervals.duration_s >= 60 ? `${intervals.duration_s / 60}min` : `${intervals.duration_s}s`
+    parts.push(`${intervals.count} × ${each}${intervals.rest_s ? `, ${intervals.rest_s}s rest` : ''}`)
+  }
+  if (exercises) parts.push(`${exercises.length} exercise${exercises.length === 1 ? '' : 's'}`)
+  return parts.join(' · ')
+}
+
+// ── Validation ──
+
+/**
+ * Throws PlanValidationError unless the schedule matches the schema.
+ * Legacy string days are rejected; run normalizeSchedule() first.
+ */
+export function validateSchedule(schedule) {
+  if (!Array.isArray(schedule) || schedule.length === 0) {
+    throw new PlanValidationError('schedule must be a non-empty array of weeks')
+  }
+  schedule.forEach((week, wi) => {
+    if (!week || typeof week !== 'object') throw new PlanValidationError('must be an object', wi)
+    if (!Number.isInteger(week.week) || week.week < 1) throw new PlanValidationError('week must be a positive integer', wi)
+    if (!Array.isArray(week.days) || week.days.length === 0 || week.days.length > 7) {
+      throw new PlanValidationError('days must list 1-7 sessions', wi)
+    }
+    week.days.forEach((day, di) => validateSession(day, wi, di))
+  })
+  return schedule
+}
+
+function validateSession(day, wi, di) {
+  const fail = msg => { throw new PlanValidationError(msg, wi, di) }
+  if (!day || typeof day !== 'object' || Array.isArray(day)) fail('session must be an object')
+  if (!SESSION_TYPES.includes(day.type)) fail(`unknown type "${day.type}"`)
+  if (typeof day.title !== 'string' || !day.title.trim()) fail('title is required')
+  if (day.duration_minutes != null && !(Number.isFinite(day.duration_minutes) && day.duration_minutes > 0)) {
+    fail('duration_minutes must be a positive number')
+  }
+  if (day.intensity != null && !INTENSITY_ZONES.includes(day.intensity)) fail(`unknown intensity "${day.intensity}"`)
+  if (day.workout_id != null && !UUID_RE.test(day.workout_id)) fail('workout_id must be a UUID')
+
+  const targets = day.targets ?? {}
+  if (typeof targets !== 'object' || Array.isArray(targets)) fail('targets must be an object')
+  if (targets.distance_km != null && !(targets.distance_km > 0)) fail('targets.distance_km must be positive')
+  if (targets.intervals != null) {
+    const iv = targets.intervals
+    if (!Number.isInteger(iv.count) || iv.count < 1) fail('targets.intervals.count must be a positive integer')
+    if (iv.distance_m == null && iv.duration_s == null) fail('targets.intervals needs distance_m or duration_s')
+  }
+  if (targets.exercises != null) {
+    if (!Array.isArray(targets.exercises)) fail('targets.exercises must be an array')
+    targets.exercises.forEach((ex, i) => {
+      if (!ex?.name) fail(`exercise ${i + 1} needs a name`)
+      if (!Number.isInteger(ex.sets) || ex.sets < 1) fail(`exercise ${i + 1} sets must be a positive integer`)
+    })
+  }
+  if (day.type === 'rest' && day.workout_id) fail('rest days cannot link a workout')
+}
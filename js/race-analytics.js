@@ -0,0 +1,247 @@
+/**
+ * Split-level analytics across race_results and simulation_results: how each
+ * segment is trending, how much the runs fade, how consistent the athlete
+ * is, and where the most time is to be found against their pace plan.
+ *
+ * Every result is reduced to a sample of work-only segment times — the 16
+ * course segments with Roxzone time kept apart, as stored splits record it
+ * (js/splits.js). Sims rarely time transitions, so the Roxzone is measured
+ * only from results that recorded it. Results are compared like with like:
+ * singles and doubles are never mixed (see formatOf()).
+ *
+ * Pace plans (js/pace-plan.js) fold the Roxzone into every segment, so plan
+ * targets are scaled down by the Roxzone share and the Roxzone gets the rest
+ * of the goal, as in js/roxzone.js.
+ */
+
+import { RACE_SEGMENTS, ROXZONE_NAME, normalizeSplits } from './splits.js'
+import { DEFAULT_ROXZONE_SHARE, divisionFormat, HALF_LIFE_DAYS } from './race-predictor.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const RECENT_SAMPLES = 3   // "typical" time = weighted mean of the latest results
+const MIN_TREND_POINTS = 3
+const FLAT_TREND = 0.01           // change per 30 days, as a share of the mean, below which a trend is flat
+const CV_CEILING = 0.25           // coefficient of variation that scores 0 for consistency
+const MIN_GAIN_MS = 1000
+
+// Sim formats that run the standard course, and the race format they match
+const SIM_COURSE_FORMAT = { singles: 'singles', half: 'singles', doubles: 'doubles' }
+
+const COURSE_NAMES = new Set(RACE_SEGMENTS.map(s => s.name))
+
+// ── Samples ──
+
+/**
+ * 'singles' or 'doubles' for a race_results or simulation_results row, or
+ * null for sims that don't follow the standard course.
+ */
+export function formatOf(row) {
+  if ('race_date' in row) return divisionFormat(row.division)
+  return SIM_COURSE_FORMAT[row.format || 'singles'] || null
+}
+
+/**
+ * Reduce races and sims of one format to dated segment samples.
+ * @param {Object} input
+ * @param {Array} [input.races] - race_results rows
+ * @param {Array} [input.sims] - simulation_results rows
+ * @param {string} [input.format] - 'singles' | 'doubles'
+ * @returns {Array<{source: 'race'|'sim', id: string, date: string, label: string,
+ *   segments: Object<string, number>, roxzoneMs: number|null}>} oldest first
+ */
+export function splitSamples({ races = [], sims = [], format = 'singles' }) {
+  const samples = []
+  const add = (source, row, date, label) => {
+    if (formatOf(row) !== format) return
+    const segments = {}
+    let roxzoneMs = null
+    for (const s of normalizeSplits(row.splits)) {
+      if (s.type === 'roxzone') {
+        roxzoneMs = (roxzoneMs || 0) + s.split_ms
+      } else if (COURSE_NAMES.has(s.name) && s.split_ms > 0 && !(s.name in segments)) {
+        segments[s.name] = s.split_ms
+      }
+    }
+    if (Object.keys(segments).length) samples.push({ source, id: row.id, date, label, segments, roxzoneMs })
+  }
+
+  for (const r of races) add('race', r, r.race_date, r.race_name)
+  for (const s of sims) add('sim', s, s.completed_at, 'Simulation')
+  return samples.sort((a, b) => new Date(a.date) - new Date(b.date))
+}
+
+// ── Statistics ──
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length
+}
+
+function coefficientOfVariation(values) {
+  if (values.length < 2) return null
+  const m = mean(values)
+  if (!m) return null
+  const variance = values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1)
+  return Math.sqrt(variance) / m
+}
+
+/** 0-100, where 100 is no variation at all. */
+export function consistencyScore(cv) {
+  return cv === null ? null : Math.round(100 * (1 - Math.min(cv / CV_CEILING, 1)))
+}
+
+/**
+ * Recency-weighted mean of the latest values, so one bad day doesn't set the
+ * "typical" time on its own.
+ * @param {Array<{date: string, ms: number}>} points - oldest first
+ */
+function typicalMs(points) {
+  const recent = points.slice(-RECENT_SAMPLES)
+  const last = new Date(recent[recent.length - 1].date)
+  let sum = 0
+  let weights = 0
+  for (const p of recent) {
+    const w = Math.pow(0.5, (last - new Date(p.date)) / DAY_MS / HALF_LIFE_DAYS)
+    sum += p.ms * w
+    weights += w
+  }
+  return Math.round(sum / weights)
+}
+
+/**
+ * Least-squares change per 30 days.
+ * @returns {{msPer30d: number, direction: 'improving'|'declining'|'flat'}|null}
+ */
+function trendOf(points) {
+  if (points.length < MIN_TREND_POINTS) return null
+  const t0 = new Date(points[0].date)
+  const xs = points.map(p => (new Date(p.date) - t0) / DAY_MS)
+  const ys = points.map(p => p.ms)
+  const mx = mean(xs)
+  const my = mean(ys)
+  const sxx = xs.reduce((sum, x) => sum + (x - mx) ** 2, 0)
+  if (!sxx) return null
+  const slope = xs.reduce((sum, x, i) => sum + (x - mx) * (ys[i] - my), 0) / sxx
+  const msPer30d = Math.round(slope * 30)
+  const direction = Math.abs(msPer30d) < my * FLAT_TREND ? 'flat' : msPer30d < 0 ? 'improving' : 'declining'
+  return { msPer30d, direction }
+}
+
+// ── Analysis ──
+
+/**
+ * Run fade: how much slower Run 8 is than Run 1, as a share of Run 1.
+ * @returns {number|null} e.g. 0.12 for a Run 8 12% slower than Run 1
+ */
+export function fadeIndex(segments) {
+  const first = segments['Run 1']
+  const last = segments['Run 8']
+  return first && last ? (last - first) / first : null
+}
+
+/**
+ * Per-segment targets (work only) and the Roxzone target from a pace plan.
+ * @param {Array} planSplits - canonical splits, e.g. a pace_plans row's segments
+ * @param {number} [share] - Roxzone share of the goal
+ * @returns {Object<string, number>} target ms by segment name, plus ROXZONE_NAME
+ */
+export function planTargets(planSplits, share = DEFAULT_ROXZONE_SHARE) {
+  const splits = normalizeSplits(planSplits)
+  const targets = {}
+  let goalMs = 0
+  for (const s of splits) {
+    goalMs += s.split_ms
+    if (COURSE_NAMES.has(s.name)) targets[s.name] = Math.round(s.split_ms * (1 - share))
+  }
+  if (goalMs) targets[ROXZONE_NAME] = Math.round(goalMs * share)
+  return targets
+}
+
+/**
+ * Split analytics for one athlete.
+ * @param {Object} input
+ * @param {Array} [input.races] - race_results rows
+ * @param {Array} [input.sims] - simulation_results rows
+ * @param {Array} [input.planSplits] - default pace plan segments; without a
+ *   plan, gains are measured against the athlete's own best for each segment
+ * @param {string} [input.format] - defaults to the format of the latest race
+ * @returns {null|{
+ *   format: string,
+ *   samples: number,
+ *   segments: Array<{name: string, type: string, count: number, bestMs: number, latestMs: number,
+ *     typicalMs: number, trend: Object|null, consistency: number|null}>,
+ *   fade: {latestPct: number, averagePct: number, count: number}|null,
+ *   consistency: {segments: number|null, runPacing: number|null},
+ *   basis: 'plan'|'best',
+ *   gains: Array<{name: string, type: string, typicalMs: number, targetMs: number, gainMs: number,
+ *     trend: Object|null}>       // biggest gain first
+ * }} null when there are no split samples
+ */
+export function analyzeSplits({ races = [], sims = [], planSplits = null, format = null }) {
+  if (!format) {
+    const latest = [...races].sort((a, b) => b.race_date.localeCompare(a.race_date))[0]
+    format = latest ? divisionFormat(latest.division) : 'singles'
+  }
+  const samples = splitSamples({ races, sims, format })
+  if (!samples.length) return null
+
+  const targets = planSplits?.length ? planTargets(planSplits) : null
+
+  const pointsFor = name => samples
+    .map(s => ({ date: s.date, ms: name === ROXZONE_NAME ? s.roxzoneMs : s.segments[name] }))
+    .filter(p => p.ms)
+
+  const segments = [...RACE_SEGMENTS, { name: ROXZONE_NAME, type: 'roxzone' }]
+    .map(seg => {
+      const points = pointsFor(seg.name)
+      if (!points.length) return null
+      const values = points.map(p => p.ms)
+      return {
+        name: seg.name,
+        type: seg.type,
+        count: points.length,
+        bestMs: Math.min(...values),
+        latestMs: values[values.length - 1],
+        typicalMs: typicalMs(points),
+        trend: trendOf(points),
+        consistency: consistencyScore(coefficientOfVariation(values))
+      }
+    })
+    .filter(Boolean)
+
+  // Fade
+  const fades = samples.map(s => fadeIndex(s.segments)).filter(v => v !== null)
+  const fade = fades.length
+    ? { latestPct: fades[fades.length - 1] * 100, averagePct: mean(fades) * 100, count: fades.length }
+    : null
+
+  // Consistency: across results per segment, and of the runs within a race
+  const segmentScores = segments.map(s => s.consistency).filter(v => v !== null)
+  const runScores = samples.slice(-RECENT_SAMPLES)
+    .map(s => coefficientOfVariation(RACE_SEGMENTS.filter(r => r.type === 'run').map(r => s.segments[r.name]).filter(Boolean)))
+    .filter(v => v !== null)
+    .map(consistencyScore)
+
+  // Gains against the plan, or against the athlete's best
+  const gains = segments
+    .map(s => {
+      const targetMs = targets ? targets[s.name] : s.bestMs
+      if (!targetMs) return null
+      return { name: s.name, type: s.type, typicalMs: s.typicalMs, targetMs, gainMs: s.typicalMs - targetMs, trend: s.trend }
+    })
+    .filter(g => g && g.gainMs >= MIN_GAIN_MS)
+    .sort((a, b) => b.gainMs - a.gainMs)
+
+  return {
+    format,
+    samples: samples.length,
+    segments,
+    fade,
+    consistency: {
+      segments: segmentScores.length ? Math.round(mean(segmentScores)) : null,
+      runPacing: runScores.length ? Math.round(mean(runScores)) : null
+    },
+    basis: targets ? 'plan' : 'best',
+    gains
+  }
+}
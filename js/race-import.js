@@ -0,0 +1,391 @@
+/**
+ * Import race splits from an official HYROX results page or a CSV file.
+ *
+ * Accepted input (pasted text or file contents):
+ *   - the splits table copied from a results page, one segment per line:
+ *       "Running 1	10:05:12	00:04:32	00:04:32"
+ *   - a saved results page (.html); table cells become tab-separated text
+ *   - a CSV with one row per segment:       "Run 1,4:32"
+ *   - a CSV with one column per segment:    "Run 1,SkiErg,...,Roxzone,Total"
+ *
+ * Cells may be separated by tabs, commas, semicolons, "|" or runs of spaces.
+ * Times are m:ss, h:mm:ss or hh:mm:ss with optional fractions. Columns headed
+ * "Diff" / "Split" / "Duration" hold segment times; a race-clock column
+ * ("Time", "Cumulative") is used when no segment times are given, and
+ * "Time of Day" columns are ignored.
+ *
+ * The result maps onto race_results.splits: the 16 course segments in order
+ * plus one trailing Roxzone total (see js/splits.js); transitions listed one
+ * by one are added up into that total. A "Division" cell or column, when
+ * present, gives race_results.division ("HYROX PRO Men" → "Men Pro").
+ */
+
+import { RACE_SEGMENTS, ROXZONE_NAME, ROXZONE_COURSE, splitsFromDurations, validateSplits } from './splits.js'
+
+// Anything longer is a time of day, not a race time
+const MAX_RACE_MS = 4 * 3600 * 1000
+// A race clock passes this well before the finish; no single segment takes it
+const CLOCK_MIN_MS = 20 * 60 * 1000
+// Official times are whole seconds, so a full set of rounded splits can drift from the total
+const ROUNDING_TOLERANCE_MS = 10000
+
+const ROXZONE_SEGMENT = RACE_SEGMENTS.length
+
+const TIME_RE = /(?<![\d:.])(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.(\d{1,3}))?(?![\d:])/
+
+// Official results label stations with their distance ("1000m SkiErg")
+const STATION_PATTERNS = [
+  [/ski/, 'SkiErg'],
+  [/sled\s*push/, 'Sled Push'],
+  [/sled\s*pull/, 'Sled Pull'],
+  [/burpee/, 'Burpee Broad Jumps'],
+  [/\brow/, 'Rowing'],
+  [/farmer/, 'Farmers Carry'],
+  [/lunge/, 'Sandbag Lunges'],
+  [/wall\s*ball/, 'Wall Balls']
+]
+
+const COLUMN_ROLES = [
+  [/time\s*of\s*day|\btod\b|clock\s*time|wall\s*time/, 'ignore'],
+  [/diff|duration|split\s*time|segment\s*time|\blap\b|\bnet\b/, 'split'],
+  [/cumul|elapsed|race\s*time|total\s*time/, 'clock']
+]
+
+export class RaceImportError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'RaceImportError'
+  }
+}
+
+// ── Tokens ──
+
+/**
+ * Parse one time token to milliseconds.
+ * "4:32" → 272000, "01:04:32" → 3872000, "4:32.5" → 272500
+ * @returns {number|null}
+ */
+export function parseTime(token) {
+  const m = String(token || '').match(TIME_RE)
+  if (!m) return null
+  const [, a, b, c, frac] = m
+  const secs = c === undefined
+    ? parseInt(a) * 60 + parseInt(b)
+    : parseInt(a) * 3600 + parseInt(b) * 60 + parseInt(c)
+  const ms = frac ? Math.round(parseFloat(`0.${frac}`) * 1000) : 0
+  return secs * 1000 + ms
+}
+
+function timesIn(text) {
+  return [...String(text).matchAll(new RegExp(TIME_RE, 'g'))].map(m => parseTime(m[0]))
+}
+
+/**
+ * What a results label refers to.
+ * @returns {{kind: 'segment', segment: number}|{kind: 'roxzone', total: boolean}|{kind: 'overall'}|null}
+ */
+export function matchLabel(label) {
+  const t = String(label || '').toLowerCase().replace(/\s+/g, ' ').trim()
+  if (!t || !/[a-z]/.test(t)) return null
+
+  if (/rox\s*zone/.test(t)) return { kind: 'roxzone', total: /total|time/.test(t) }
+
+  const run = t.match(/\brun(?:ning)?\s*#?\s*(\d)\b/)
+  if (run) {
+    const n = parseInt(run[1])
+    return n >= 1 && n <= 8 ? { kind: 'segment', segment: (n - 1) * 2 } : null
+  }
+  // "Run Total", "Best Run Lap" and the like are summaries
+  if (/\brun/.test(t)) return null
+
+  if (/^(overall|total|finish|final|net)( time)?\b/.test(t)) return { kind: 'overall' }
+
+  const station = STATION_PATTERNS.find(([re]) => re.test(t))
+  if (!station || /total|average|\bavg\b/.test(t)) return null
+  return { kind: 'segment', segment: RACE_SEGMENTS.findIndex(s => s.name === station[1]) }
+}
+
+// ── Text ──
+
+/**
+ * Flatten a saved results page to text: one line per table row, cells
+ * separated by tabs.
+ */
+export function htmlToText(html) {
+  return String(html)
+    .replace(/<(script|style|head)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<\/t[dh]\s*>/gi, '\t')
+    .replace(/<br\s*\/?>|<\/(tr|p|div|li|h\d)\s*>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&ndash;|&mdash;/g, '–')
+    .replace(/&amp;/g, '&')
+    .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(parseInt(n)))
+}
+
+function splitCsvLine(line, delimiter) {
+  const cells = []
+  let cell = ''
+  let quoted = false
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i]
+    if (ch === '"') {
+      if (quoted && line[i + 1] === '"') { cell += '"'; i++ } else quoted = !quoted
+    } else if (ch === delimiter && !quoted) {
+      cells.push(cell)
+      cell = ''
+    } else {
+      cell += ch
+    }
+  }
+  cells.push(cell)
+  return cells
+}
+
+function splitCells(line) {
+  let cells
+  if (line.includes('\t')) cells = line.split('\t')
+  else if (line.includes(',')) cells = splitCsvLine(line, ',')
+  else if (line.includes(';')) cells = splitCsvLine(line, ';')
+  else if (line.includes('|')) cells = line.split('|')
+  else cells = line.split(/\s{2,}/)
+  return cells.map(c => c.trim())
+}
+
+function columnRole(header) {
+  const t = String(header || '').toLowerCase()
+  return COLUMN_ROLES.find(([re]) => re.test(t))?.[1] || null
+}
+
+// ── Rows ──
+
+/**
+ * One entry per labelled row: what it refers to and its time values keyed
+ * by column, so values from the same column can be compared across rows.
+ */
+function longEntries(rows) {
+  const entries = []
+  let roles = {}
+  rows.forEach(cells => {
+    // The last header row before the data decides what each column holds
+    if (cells.length > 1 && !cells.some(c => timesIn(c).length)) {
+      const found = {}
+      cells.forEach((c, i) => { const role = columnRole(c); if (role) found[i] = role })
+      if (Object.keys(found).length) roles = found
+      return
+    }
+
+    const labelIdx = cells.findIndex(c => matchLabel(c))
+    if (labelIdx < 0) return
+
+    const times = {}
+    if (cells.length > 1) {
+      cells.forEach((c, i) => {
+        if (i === labelIdx) return
+        const [ms] = timesIn(c)
+        if (ms !== undefined) times[i] = ms
+      })
+    } else {
+      // Free text: "Running 1 10:05:12 00:04:32" — columns by position
+      const text = cells[0]
+      const first = text.search(/\d{1,2}:\d{2}/)
+      if (first < 0 || !matchLabel(text.slice(0, first))) return
+      timesIn(text.slice(first)).forEach((ms, i) => { times[i + 1] = ms })
+    }
+    entries.push({ ...matchLabel(cells[labelIdx]), times, roles })
+  })
+  return entries
+}
+
+/** A header row naming several segments, with the values on the next row. */
+function wideEntries(rows) {
+  const headerIdx = rows.findIndex(cells =>
+    cells.filter(c => matchLabel(c)?.kind === 'segment').length >= 4
+  )
+  if (headerIdx < 0) return null
+  const header = rows[headerIdx]
+  const values = rows.slice(headerIdx + 1).find(cells => cells.some(c => timesIn(c).length))
+  if (!values) return null
+
+  return header.flatMap((c, i) => {
+    const label = matchLabel(c)
+    const [ms] = timesIn(values[i] || '')
+    return label && ms !== undefined ? [{ ...label, times: { 0: ms }, roles: {} }] : []
+  })
+}
+
+// ── Division ──
+
+/**
+ * Division name as race_results.division stores it.
+ * "HYROX PRO Men" → "Men Pro", "Doubles Mixed" → "Mixed Doubles"
+ * @returns {string|null}
+ */
+export function matchDivision(text) {
+  const t = String(text || '').toLowerCase()
+  const sex = /mixed/.test(t) ? 'Mixed'
+    : /women|female/.test(t) ? 'Women'
+    : /\bmen\b|\bmale\b/.test(t) ? 'Men'
+    : null
+  if (!sex) return null
+  const type = sex === 'Mixed' || /double/.test(t) ? 'Doubles' : /\bpro\b/.test(t) ? 'Pro' : 'Open'
+  return `${sex} ${type}`
+}
+
+/** "Division: HYROX PRO Men", a "Division" cell beside its value, or a "Division" column. */
+function findDivision(rows) {
+  for (let r = 0; r < rows.length; r++) {
+    const cells = rows[r]
+    const i = cells.findIndex(c => /^division\b/i.test(c))
+    if (i < 0) continue
+    const candidates = [cells[i].replace(/^division\s*:?\s*/i, ''), cells[i + 1], rows[r + 1]?.[i]]
+    for (const value of candidates) {
+      const division = matchDivision(value)
+      if (division) return division
+    }
+  }
+  return null
+}
+
+// ── Columns ──
+
+function isRaceClock(values) {
+  if (values.length < 2 || values[values.length - 1] < CLOCK_MIN_MS) return false
+  return values.every((v, i) => i === 0 || v > values[i - 1])
+}
+
+/**
+ * Decide which column holds segment times and which (if any) the race clock.
+ */
+function chooseColumns(segmentEntries) {
+  const ordered = [...segmentEntries].sort((a, b) => a.segment - b.segment)
+  const role = col => ordered.find(e => e.roles[col])?.roles[col] || null
+  const cols = [...new Set(ordered.flatMap(e => Object.keys(e.times)))]
+    .filter(col => role(col) !== 'ignore' && ordered.every(e => !(e.times[col] > MAX_RACE_MS)))
+  const values = col => ordered.map(e => e.times[col]).filter(v => v !== undefined)
+
+  const clock = cols.find(c => role(c) === 'clock') ??
+    cols.find(c => role(c) !== 'split' && isRaceClock(values(c)))
+  const split = cols.find(c => role(c) === 'split') ??
+    cols.find(c => c !== clock && role(c) !== 'clock')
+  return { split, clock }
+}
+
+function entryTime(entry, col) {
+  if (col !== undefined && entry.times[col] <= MAX_RACE_MS) return entry.times[col]
+  return Object.values(entry.times).find(ms => ms <= MAX_RACE_MS) ?? null
+}
+
+// ── Parse ──
+
+/**
+ * Parse pasted results text, CSV or a saved results page.
+ * @param {string} input
+ * @returns {{
+ *   splits: Array,           // canonical splits, Roxzone last when known
+ *   roxzoneMs: number|null,
+ *   overallMs: number|null,  // finish time, if the input has one
+ *   division: string|null,   // e.g. "Men Pro", if the input names one
+ *   missing: string[],       // course segments with no time
+ *   warnings: string[]
+ * }}
+ * @throws {RaceImportError} when no segment times can be found
+ */
+export function parseRaceText(input) {
+  let text = String(input || '')
+  if (/<t[dhr][\s>]/i.test(text)) text = htmlToText(text)
+
+  const rows = text.split(/\r?\n/).map(splitCells).filter(cells => cells.some(Boolean))
+  const entries = wideEntries(rows) || longEntries(rows)
+  const warnings = []
+
+  const segmentEntries = []
+  entries.filter(e => e.kind === 'segment').forEach(e => {
+    if (segmentEntries.some(x => x.segment === e.segment)) {
+      warnings.push(`${RACE_SEGMENTS[e.segment].name} is listed more than once; using the first time`)
+    } else {
+      segmentEntries.push(e)
+    }
+  })
+  if (!segmentEntries.length) {
+    throw new RaceImportError('No HYROX splits found. Paste the splits table from the results page or a CSV with one row per segment.')
+  }
+
+  const { split, clock } = chooseColumns(segmentEntries)
+  const bySegment = new Map(segmentEntries.map(e => [e.segment, e]))
+  let fromClock = false
+  const durations = []
+  RACE_SEGMENTS.forEach((seg, i) => {
+    const entry = bySegment.get(i)
+    if (!entry) return
+    let ms = split !== undefined ? entry.times[split] : undefined
+    if (ms === undefined && clock !== undefined && entry.times[clock] !== undefined) {
+      const prev = i === 0 ? 0 : bySegment.get(i - 1)?.times[clock]
+      if (prev !== undefined) {
+        ms = entry.times[clock] - prev
+        fromClock = true
+      }
+    }
+    if (ms > 0) durations.push({ segment: i, name: seg.name, splitMs: ms })
+  })
+  if (!durations.length) {
+    throw new RaceImportError('Found segment names but no times next to them.')
+  }
+
+  const overallEntry = entries.find(e => e.kind === 'overall')
+  const overallMs = overallEntry ? entryTime(overallEntry, clock ?? split) : null
+
+  const roxEntries = entries.filter(e => e.kind === 'roxzone')
+  const roxTotal = roxEntries.find(e => e.total) || (roxEntries.length === 1 ? roxEntries[0] : null)
+  let roxzoneMs = roxTotal
+    ? entryTime(roxTotal, split)
+    : roxEntries.reduce((sum, e) => sum + (entryTime(e, split) || 0), 0) || null
+
+  const segmentMs = durations.reduce((sum, d) => sum + d.splitMs, 0)
+  if (roxzoneMs && overallMs && durations.length === RACE_SEGMENTS.length &&
+      Math.abs(segmentMs - overallMs) <= ROUNDING_TOLERANCE_MS) {
+    // Differences of the race clock already contain the transitions
+    warnings.push(`Segment times ${fromClock ? 'come from the race clock and ' : ''}already include the Roxzone, so it is not added as a split`)
+    roxzoneMs = null
+  } else if (fromClock) {
+    warnings.push('Segment times were worked out from the race clock and may include Roxzone time')
+  }
+
+  if (roxzoneMs) durations.push({ segment: ROXZONE_SEGMENT, name: ROXZONE_NAME, splitMs: roxzoneMs })
+
+  return {
+    splits: splitsFromDurations(durations),
+    roxzoneMs,
+    overallMs,
+    division: findDivision(rows),
+    missing: RACE_SEGMENTS.filter((_, i) => !durations.some(d => d.segment === i)).map(s => s.name),
+    warnings
+  }
+}
+
+// ── Validation ──
+
+/**
+ * True when splits cover all 16 segments and the Roxzone, either as a total
+ * or as every transition.
+ */
+export function isCompleteRace(splits) {
+  const names = new Set(splits.map(s => s.name))
+  return RACE_SEGMENTS.every(s => names.has(s.name)) &&
+    (names.has(ROXZONE_NAME) || ROXZONE_COURSE.every(s => names.has(s.name)))
+}
+
+/**
+ * Check race splits against the finish time. A complete set (every segment
+ * plus Roxzone) must add up to the total within rounding; a partial set may
+ * fall short of it but never exceed it.
+ * @throws {SplitValidationError}
+ */
+export function validateRaceSplits(splits, totalMs) {
+  const complete = isCompleteRace(splits)
+  return validateSplits(splits, {
+    totalMs,
+    toleranceMs: complete ? ROUNDING_TOLERANCE_MS : 1000,
+    allowUnaccounted: !complete
+  })
+}
@@ -0,0 +1,317 @@
+/**
+ * Race time predictor — estimates a realistic finish time, with a range,
+ * from the athlete's own race_results, simulation_results and logged runs,
+ * and fits personal segment weights for the PaceMe split.
+ *
+ * Every input is converted to a race-equivalent time for the target division:
+ *   - sims usually carry no Roxzone (transition) time, so it is added back
+ *     using the athlete's own races where possible; sims that timed their
+ *     transitions are taken as they are;
+ *   - singles results feed doubles predictions (and vice versa) through the
+ *     division weights in js/pace-plan.js, which scale the station work.
+ * Recent results count more (90-day half-life); a trend across results is
+ * projected to the race date but capped so a few data points can't run away.
+ */
+
+import { PACE_SEGMENTS, DIVISIONS, divisionWeights } from './pace-plan.js'
+import { RACE_SEGMENTS, normalizeSplits, hasRoxzone } from './splits.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Stored with pace plans built from fitted weights; bump when the fit changes
+export const PREDICTOR_VERSION = 'personal-v1'
+
+export const DEFAULT_ROXZONE_SHARE = 0.07  // of a race finish time
+export const HALF_LIFE_DAYS = 90
+const MAX_AGE_DAYS = 365
+const MAX_TREND = 0.05           // projected change capped at ±5%
+const PRIOR_STRENGTH = 2         // results needed before personal weights outweigh the defaults
+const RANGE_Z = 1.28             // 80% range
+const COMPROMISED_RUN = 1.08     // race runs are slower than fresh training runs
+
+// ── Divisions ──
+
+/**
+ * 'doubles' or 'singles' for a profiles.division value, or the label
+ * ("Men Doubles") that race_results.division stores.
+ */
+export function divisionFormat(division) {
+  return DIVISIONS.find(d => d.value === division || d.label === division)?.doubles ? 'doubles' : 'singles'
+}
+
+// Representative division per format, for converting between them
+const FORMAT_DIVISION = { singles: 'men_open', doubles: 'men_doubles' }
+
+/**
+ * Factor that converts a time done in one format into the other,
+ * e.g. a singles result into a doubles prediction.
+ */
+export function formatFactor(fromFormat, toFormat) {
+  if (fromFormat === toFormat) return 1
+  const sum = w => w.reduce((a, b) => a + b, 0)
+  return sum(divisionWeights(FORMAT_DIVISION[toFormat])) / sum(divisionWeights(FORMAT_DIVISION[fromFormat]))
+}
+
+// ── Samples ──
+
+function ageDays(date, today) {
+  return (new Date(today) - new Date(date)) / DAY_MS
+}
+
+function recencyWeight(age) {
+  return Math.pow(0.5, age / HALF_LIFE_DAYS)
+}
+
+/** Per-segment seconds in course order, or null unless all 16 are present. */
+function segmentSeconds(rawSplits) {
+  const splits = normalizeSplits(rawSplits)
+  const secs = RACE_SEGMENTS.map(seg => {
+    const s = splits.find(x => x.name === seg.name)
+    return s ? s.split_ms / 1000 : null
+  })
+  return secs.every(v => v !== null && v > 0) ? secs : null
+}
+
+/**
+ * Share of race time spent in the Roxzone, from races with a full set of
+ * splits, falling back to DEFAULT_ROXZONE_SHARE.
+ */
+export function roxzoneShare(races) {
+  const shares = races
+    .map(r => {
+      const segs = segmentSeconds(r.splits)
+      if (!segs || !r.overall_time_seconds) return null
+      const share = 1 - segs.reduce((a, b) => a + b, 0) / r.overall_time_seconds
+      return share > 0 && share < 0.2 ? share : null
+    })
+    .filter(v => v !== null)
+  return shares.length ? shares.reduce((a, b) => a + b, 0) / shares.length : DEFAULT_ROXZONE_SHARE
+}
+
+/**
+ * Turn races and sims into race-equivalent samples for the target division.
+ * @param {Object} input
+ * @param {Array} input.races - race_results rows (race_date, division, overall_time_seconds, splits)
+ * @param {Array} input.sims - simulation_results rows (completed_at, format, total_time_ms, splits)
+ * @param {string} input.division - target profiles.division value
+ * @param {string|Date} input.today
+ * @returns {Array<{source: 'race'|'sim', date: string, age: number, weight: number, secs: number, segments: number[]|null}>}
+ */
+export function collectSamples({ races = [], sims = [], division, today }) {
+  const target = divisionFormat(division)
+  const roxzone = roxzoneShare(races)
+  const samples = []
+
+  const add = (source, date, format, secs, segments) => {
+    const age = ageDays(date, today)
+    if (age < 0 || age > MAX_AGE_DAYS || !(secs > 0)) return
+    const factor = formatFactor(format, target)
+    samples.push({
+      source,
+      date,
+      age,
+      weight: recencyWeight(age),
+      secs: secs * factor,
+      segments: segments ? convertSegments(segments, format, target) : null
+    })
+  }
+
+  for (const r of races) {
+    add('race', r.race_date, divisionFormat(r.division), r.overall_time_seconds, segmentSeconds(r.splits))
+  }
+  for (const s of sims) {
+    const format = s.format || 'singles'
+    if (format !== 'singles' && format !== 'doubles') continue
+    const secs = s.total_time_ms / 1000 / (hasRoxzone(s.splits) ? 1 : 1 - roxzone)
+    add('sim', s.completed_at, format, secs, segmentSeconds(s.splits))
+  }
+  return samples.sort((a, b) => a.age - b.age)
+}
+
+// Scale station (or run) segments from one format's weights to another's
+function convertSegments(segments, fromFormat, toFormat) {
+  if (fromFormat === toFormat) return segments
+  const from = divisionWeights(FORMAT_DIVISION[fromFormat])
+  const to = divisionWeights(FORMAT_DIVISION[toFormat])
+  return segments.map((secs, i) => secs * to[i] / from[i])
+}
+
+// ── Segment weights ──
+
+/**
+ * Personal segment weights: the athlete's average share of time per segment,
+ * shrunk towards the division defaults when there are few results.
+ * @returns {{weights: number[], spread: number[], personal: number}}
+ *   weights sum to 1; spread is the standard deviation of each share;
+ *   personal counts the results with full splits that were used
+ */
+export function fitSegmentWeights(samples, division) {
+  const prior = divisionWeights(division)
+  const priorTotal = prior.reduce((a, b) => a + b, 0)
+  const priorShares = prior.map(w => w / priorTotal)
+
+  const withSplits = samples.filter(s => s.segments)
+  if (withSplits.length === 0) {
+    return { weights: priorShares, spread: priorShares.map(p => p * 0.1), personal: 0 }
+  }
+
+  const shares = withSplits.map(s => {
+    const total = s.segments.reduce((a, b) => a + b, 0)
+    return s.segments.map(v => v / total)
+  })
+  const wTotal = withSplits.reduce((t, s) => t + s.weight, 0)
+  const nEff = effectiveCount(withSplits.map(s => s.weight))
+  const blend = nEff / (nEff + PRIOR_STRENGTH)
+
+  const weights = PACE_SEGMENTS.map((_, i) => {
+    const mean = withSplits.reduce((t, s, k) => t + s.weight * shares[k][i], 0) / wTotal
+    return blend * mean + (1 - blend) * priorShares[i]
+  })
+  const sum = weights.reduce((a, b) => a + b, 0)
+
+  const spread = PACE_SEGMENTS.map((_, i) => {
+    if (withSplits.length < 2) return priorShares[i] * 0.1
+    const mean = weights[i] / sum
+    const variance = withSplits.reduce((t, s, k) => t + s.weight * (shares[k][i] - mean) ** 2, 0) / wTotal
+    return Math.max(Math.sqrt(variance), priorShares[i] * 0.03)
+  })
+
+  return { weights: weights.map(w => w / sum), spread, personal: withSplits.length }
+}
+
+function effectiveCount(weights) {
+  const sum = weights.reduce((a, b) => a + b, 0)
+  const sq = weights.reduce((a, b) => a + b * b, 0)
+  return sq ? (sum * sum) / sq : 0
+}
+
+// ── Estimates ──
+
+/**
+ * Race-equivalent estimate from race/sim samples, projecting any trend to
+ * `daysAhead` days after today.
+ * @returns {{secs: number, sigma: number, trendPerWeek: number|null}|null}
+ */
+export function estimateFromSamples(samples, daysAhead = 0) {
+  if (samples.length === 0) return null
+  const wTotal = samples.reduce((t, s) => t + s.weight, 0)
+  const mean = samples.reduce((t, s) => t + s.weight * s.secs, 0) / wTotal
+  const meanX = samples.reduce((t, s) => t + s.weight * -s.age, 0) / wTotal
+
+  let secs = mean
+  let slope = null
+  let residualVar = samples.reduce((t, s) => t + s.weight * (s.secs - mean) ** 2, 0) / wTotal
+
+  const span = Math.max(...samples.map(s => s.age)) - Math.min(...samples.map(s => s.age))
+  if (samples.length >= 3 && span >= 28) {
+    const sxx = samples.reduce((t, s) => t + s.weight * (-s.age - meanX) ** 2, 0)
+    const sxy = samples.reduce((t, s) => t + s.weight * (-s.age - meanX) * (s.secs - mean), 0)
+    slope = sxx ? sxy / sxx : 0
+    const projected = mean + slope * (daysAhead - meanX)
+    secs = Math.min(mean * (1 + MAX_TREND), Math.max(mean * (1 - MAX_TREND), projected))
+    residualVar = samples.reduce((t, s) => t + s.weight * (s.secs - (mean + slope * (-s.age - meanX))) ** 2, 0) / wTotal
+  }
+
+  // Few results: never claim better than ~4% per result
+  const nEff = effectiveCount(samples.map(s => s.weight))
+  const base = secs * 0.04
+  const sigma = Math.max(secs * 0.015, Math.sqrt(residualVar + base * base / nEff))
+  return { secs, sigma, trendPerWeek: slope === null ? null : slope * 7 }
+}
+
+/**
+ * Typical race-pace running from logged workouts: the faster quarter of
+ * recent efforts of 800m or more, slowed for running between stations.
+ * @param {Array} logs - workout_logs rows (completed_at, data) — see js/workout-log.js
+ * @returns {{secPerKm: number, runs: number}|null}
+ */
+export function trainingRunPace(logs, today, days = 56) {
+  const paces = []
+  for (const log of logs) {
+    if (ageDays(log.completed_at, today) > days) continue
+    for (const e of log.data?.exercises || []) {
+      if (e.distance_m >= 800 && e.pace_sec_per_km > 150 && e.pace_sec_per_km < 900) paces.push(e.pace_sec_per_km)
+    }
+  }
+  if (paces.length < 3) return null
+  paces.sort((a, b) => a - b)
+  const fast = paces.slice(0, Math.max(1, Math.ceil(paces.length / 4)))
+  return { secPerKm: fast.reduce((a, b) => a + b, 0) / fast.length * COMPROMISED_RUN, runs: paces.length }
+}
+
+/**
+ * Race-equivalent estimate from training runs alone: 8km at race pace, then
+ * scaled up by the share of race time the athlete spends running.
+ */
+export function estimateFromTraining(pace, runShare, roxzone = DEFAULT_ROXZONE_SHARE) {
+  if (!pace) return null
+  const secs = (pace.secPerKm * 8) / runShare / (1 - roxzone)
+  return { secs, sigma: secs * 0.08 }
+}
+
+// ── Prediction ──
+
+/**
+ * Predict a finish time for a division.
+ * @param {Object} input
+ * @param {Array} [input.races] - race_results rows
+ * @param {Array} [input.sims] - simulation_results rows
+ * @param {Array} [input.logs] - workout_logs rows with data
+ * @param {string} input.division
+ * @param {string|Date} [input.today]
+ * @param {string} [input.raceDate] - 'YYYY-MM-DD' to project trends to
+ * @returns {null|{
+ *   secs: number, low: number, high: number, confidence: 'low'|'medium'|'high',
+ *   roxzoneSecs: number, weights: number[], personalWeights: boolean,
+ *   segments: Array<{name, type, targetSecs, low, high}>,
+ *   basis: {races: number, sims: number, trainingRuns: number, trendPerWeek: number|null}
+ * }}
+ */
+export function predictFinish(input) {
+  const { races = [], sims = [], logs = [], division } = input
+  const today = input.today || new Date()
+  const daysAhead = input.raceDate ? Math.max(0, Math.round(ageDays(today, input.raceDate))) : 0
+
+  const samples = collectSamples({ races, sims, division, today })
+  const fit = fitSegmentWeights(samples, division)
+  const runShare = PACE_SEGMENTS.reduce((t, s, i) => t + (s.type === 'run' ? fit.weights[i] : 0), 0)
+  const roxzone = roxzoneShare(races)
+
+  const pace = trainingRunPace(logs, today)
+  const fromSamples = estimateFromSamples(samples, daysAhead)
+  const estimates = [fromSamples, estimateFromTraining(pace, runShare, roxzone)].filter(Boolean)
+  if (estimates.length === 0) return null
+
+  // Inverse-variance combination
+  const inv = estimates.map(e => 1 / (e.sigma * e.sigma))
+  const invTotal = inv.reduce((a, b) => a + b, 0)
+  const secs = estimates.reduce((t, e, i) => t + e.secs * inv[i], 0) / invTotal
+  const sigma = Math.sqrt(1 / invTotal)
+
+  const relative = sigma / secs
+  const confidence = samples.length >= 4 && relative < 0.03 ? 'high' : samples.length >= 2 || (samples.length && pace) ? 'medium' : 'low'
+
+  const segmentTotal = secs * (1 - roxzone)
+  const segments = PACE_SEGMENTS.map((s, i) => {
+    const targetSecs = fit.weights[i] * segmentTotal
+    const spread = Math.sqrt((fit.spread[i] * segmentTotal) ** 2 + (fit.weights[i] * sigma) ** 2)
+    return { name: s.name, type: s.type, targetSecs, low: targetSecs - RANGE_Z * spread, high: targetSecs + RANGE_Z * spread }
+  })
+
+  return {
+    secs,
+    low: secs - RANGE_Z * sigma,
+    high: secs + RANGE_Z * sigma,
+    confidence,
+    roxzoneSecs: secs * roxzone,
+    weights: fit.weights,
+    personalWeights: fit.personal > 0,
+    segments,
+    basis: {
+      races: samples.filter(s => s.source === 'race').length,
+      sims: samples.filter(s => s.source === 'sim').length,
+      trainingRuns: pace?.runs || 0,
+      trendPerWeek: fromSamples?.trendPerWeek ?? null
+    }
+  }
+}
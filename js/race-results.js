@@ -0,0 +1,126 @@
+/**
+ * Logged race results (race_results table): list, load, save, edit and
+ * delete, plus the lookups the race pages share.
+ *
+ * A row's splits are canonical splits (js/splits.js); event_id links the race
+ * to the hyrox_events row it was run at, when the athlete picked one, and
+ * `venue` carries that event's city, country and venue name.
+ */
+
+import { supabase } from './supabase-client.js'
+import { getDefaultPacePlan } from './pace-plans.js'
+
+// hyrox_events has one row per edition, so venues are compared by place
+const RACE_COLUMNS = '*, venue:hyrox_events(city, country, venue_name)'
+
+// ── API ──
+
+/**
+ * @returns {Promise<Array>} the user's races, most recent first
+ */
+export async function listRaces(userId) {
+  const { data, error } = await supabase
+    .from('race_results')
+    .select(RACE_COLUMNS)
+    .eq('user_id', userId)
+    .order('race_date', { ascending: false })
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * @returns {Promise<Object|null>} one race, or null if it doesn't exist or
+ *   isn't the user's
+ */
+export async function getRace(raceId) {
+  const { data, error } = await supabase
+    .from('race_results')
+    .select(RACE_COLUMNS)
+    .eq('id', raceId)
+    .maybeSingle()
+  if (error) throw error
+  return data
+}
+
+/**
+ * Insert a race, or update it when `raceId` is given.
+ * @param {string} userId
+ * @param {Object} fields - race_results columns
+ * @param {string} [raceId]
+ */
+export async function saveRace(userId, fields, raceId = null) {
+  const query = raceId
+    ? supabase.from('race_results').update({ ...fields, updated_at: new Date().toISOString() }).eq('id', raceId)
+    : supabase.from('race_results').insert({ ...fields, user_id: userId })
+  const { data, error } = await query.select(RACE_COLUMNS).single()
+  if (error) throw error
+  return data
+}
+
+export async function deleteRace(raceId) {
+  const { error } = await supabase.from('race_results').delete().eq('id', raceId)
+  if (error) throw error
+}
+
+/**
+ * @returns {Promise<Object|null>} the hyrox_events row a race was run at
+ */
+export async function getRaceEvent(race) {
+  if (!race.event_id) return null
+  const { data, error } = await supabase
+    .from('hyrox_events')
+    .select('*')
+    .eq('id', race.event_id)
+    .maybeSingle()
+  if (error) throw error
+  return data
+}
+
+/**
+ * The finish goal races are measured against: the default pace plan's goal,
+ * else the profile's target time.
+ * @returns {Promise<number|null>} ms
+ */
+export async function raceGoalMs(userId) {
+  const plan = await getDefaultPacePlan(userId)
+  if (plan) return plan.goal_seconds * 1000
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('target_time_seconds')
+    .eq('id', userId)
+    .maybeSingle()
+  if (error) throw error
+  return data?.target_time_seconds ? data.target_time_seconds * 1000 : null
+}
+
+// ── Comparisons ──
+
+const norm = text => text?.trim().toLowerCase() || ''
+
+/**
+ * Whether two races were run at the same venue. Races linked to an event
+ * compare the events' city and country, and venue name when both have one;
+ * otherwise the location text is compared.
+ */
+export function sameVenue(a, b) {
+  const va = a.event_id && a.venue
+  const vb = b.event_id && b.venue
+  if (va && vb) {
+    if (!norm(va.city) || norm(va.city) !== norm(vb.city) || norm(va.country) !== norm(vb.country)) return false
+    return !norm(va.venue_name) || !norm(vb.venue_name) || norm(va.venue_name) === norm(vb.venue_name)
+  }
+  const la = norm(a.location)
+  return !!la && la === norm(b.location)
+}
+
+/**
+ * The most recent race before `race` at the same venue.
+ * @param {Object} race
+ * @param {Array} races - the user's races, any order
+ * @returns {Object|null}
+ */
+export function previousRaceAtVenue(race, races) {
+  return races
+    .filter(r => r.id !== race.id && r.race_date < race.race_date && sameVenue(r, race))
+    .sort((a, b) => b.race_date.localeCompare(a.race_date))[0] || null
+}
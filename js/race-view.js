@@ -0,0 +1,202 @@
+/**
+ * Race result views shared by the race history list, the race detail page
+ * and the dashboard: the split bar chart, the Roxzone summary and the split
+ * analytics report (js/race-analytics.js).
+ *
+ * The chart uses the global Chart.js the pages load from the CDN.
+ */
+
+import { formatTimeSec } from './shared.js'
+import { normalizeSplits } from './splits.js'
+import { transitionReport } from './roxzone.js'
+import { formatDelta } from './ghost-pacer.js'
+
+const BAR_COLORS = {
+  run: ['rgba(200,255,0,.6)', '#c8ff00'],
+  station: ['rgba(255,60,0,.6)', '#ff3c00'],
+  roxzone: ['rgba(136,136,136,.6)', '#888']
+}
+
+/**
+ * Bar chart of a race's splits, optionally with an earlier race's split for
+ * each segment alongside.
+ * @param {HTMLCanvasElement} canvas
+ * @param {Array} rawSplits - any stored split shape
+ * @param {Object} [options]
+ * @param {Array} [options.compareSplits] - splits to show next to these
+ * @param {string} [options.compareLabel]
+ * @returns {Object} the Chart instance
+ */
+export function renderSplitChart(canvas, rawSplits, options = {}) {
+  const splits = normalizeSplits(rawSplits)
+  const datasets = [{
+    label: 'This race',
+    data: splits.map(s => Math.round(s.split_ms / 1000)),
+    backgroundColor: splits.map(s => BAR_COLORS[s.type][0]),
+    borderColor: splits.map(s => BAR_COLORS[s.type][1]),
+    borderWidth: 1
+  }]
+
+  if (options.compareSplits?.length) {
+    const compare = normalizeSplits(options.compareSplits)
+    datasets.push({
+      label: options.compareLabel || 'Previous',
+      data: splits.map(s => {
+        const match = compare.find(c => c.name === s.name)
+        return match ? Math.round(match.split_ms / 1000) : null
+      }),
+      backgroundColor: 'rgba(100,149,237,.35)',
+      borderColor: '#6495ed',
+      borderWidth: 1
+    })
+  }
+
+  return new Chart(canvas, {
+    type: 'bar',
+    data: { labels: splits.map(s => s.name), datasets },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: datasets.length > 1, labels: { color: '#888' } },
+        tooltip: {
+          callbacks: {
+            label: (ctx) => datasets.length > 1 ? `${ctx.dataset.label}: ${formatTimeSec(ctx.raw)}` : formatTimeSec(ctx.raw)
+          }
+        }
+      },
+      scales: {
+        x: {
+          ticks: { color: '#888', font: { size: 9 }, maxRotation: 45 },
+          grid: { display: false }
+        },
+        y: {
+          ticks: {
+            color: '#888',
+            callback: (v) => formatTimeSec(v)
+          },
+          grid: { color: 'rgba(255,255,255,.05)' }
+        }
+      }
+    }
+  })
+}
+
+function lossHTML(ms) {
+  return `<span class="${ms > 0 ? 'roxzone-loss' : 'roxzone-gain'}">${formatDelta(ms)}</span>`
+}
+
+/**
+ * Roxzone summary and per-transition table for a race (styles in the page).
+ * @param {Object} race - race_results row
+ * @param {number|null} goalMs - pace target the transition targets come from;
+ *   without one the race is compared with a typical Roxzone share at its
+ *   finish time
+ * @returns {string} HTML, empty when the race has no Roxzone time
+ */
+export function roxzoneHTML(race, goalMs = null) {
+  const totalMs = race.overall_time_seconds * 1000
+  const report = transitionReport(race.splits, { goalMs: goalMs ?? totalMs })
+  if (!report) return ''
+  const worst = new Set(report.worst.map(t => t.name))
+  return `
+    <div class="roxzone-summary">
+      Roxzone <strong>${formatTimeSec(Math.round(report.totalMs / 1000))}</strong>
+      · ${(report.totalMs / totalMs * 100).toFixed(1)}% of race
+      · ${goalMs ? 'pace target' : 'typical'} ${formatTimeSec(Math.round(report.targetMs / 1000))} ${lossHTML(report.lossMs)}
+      ${report.worst.length ? `<br>Most time lost: ${report.worst.map(t => `${t.name} (${formatDelta(t.lossMs)})`).join(', ')}` : ''}
+    </div>
+    ${report.transitions.length ? `
+      <table class="roxzone-table">
+        <thead><tr><th>Transition</th><th>Time</th><th>Target</th><th>Lost</th></tr></thead>
+        <tbody>
+          ${report.transitions.map(t => `
+            <tr class="${worst.has(t.name) ? 'worst' : ''}">
+              <td>${t.name}</td>
+              <td>${formatTimeSec(Math.round(t.splitMs / 1000))}</td>
+              <td>${formatTimeSec(Math.round(t.targetMs / 1000))}</td>
+              <td>${lossHTML(t.lossMs)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    ` : ''}
+  `
+}
+
+// ── Split analytics ──
+
+function secsText(ms) {
+  return formatTimeSec(Math.round(ms / 1000))
+}
+
+function trendHTML(trend) {
+  if (!trend) return '<span class="trend-flat">—</span>'
+  if (trend.direction === 'flat') return '<span class="trend-flat">steady</span>'
+  const arrow = trend.direction === 'improving' ? '&darr;' : '&uarr;'
+  return `<span class="trend-${trend.direction}">${arrow} ${formatDelta(trend.msPer30d)}/mo</span>`
+}
+
+/**
+ * "Biggest time gains available" report (styles in the page).
+ * @param {Object} analysis - analyzeSplits() result
+ * @param {Object} [options]
+ * @param {number} [options.limit=5] - gains to list
+ * @returns {string} HTML
+ */
+export function gainsReportHTML(analysis, options = {}) {
+  const { limit = 5 } = options
+  const { gains, fade, consistency, basis, samples } = analysis
+  const total = gains.slice(0, limit).reduce((sum, g) => sum + g.gainMs, 0)
+  return `
+    <div class="gains-summary">
+      ${gains.length
+        ? `Up to <strong>${secsText(total)}</strong> available in your top ${Math.min(limit, gains.length)} segments`
+        : `Every segment is on ${basis === 'plan' ? 'pace plan' : 'your best'}`}
+      · ${samples} result${samples === 1 ? '' : 's'} · vs ${basis === 'plan' ? 'your pace plan' : 'your best splits'}
+    </div>
+    ${gains.length ? `
+      <ol class="gains-list">
+        ${gains.slice(0, limit).map(g => `
+          <li class="gains-item ${g.type}">
+            <span class="gains-name">${g.name}</span>
+            <span class="gains-times">${secsText(g.typicalMs)} vs ${secsText(g.targetMs)}</span>
+            <span class="gains-trend">${trendHTML(g.trend)}</span>
+            <span class="gains-ms">${formatDelta(g.gainMs)}</span>
+          </li>
+        `).join('')}
+      </ol>
+    ` : ''}
+    <div class="gains-stats">
+      ${fade ? `<span>Run fade <strong>${fade.latestPct >= 0 ? '+' : ''}${fade.latestPct.toFixed(1)}%</strong> (Run 8 vs Run 1${fade.count > 1 ? `, avg ${fade.averagePct.toFixed(1)}%` : ''})</span>` : ''}
+      ${consistency.runPacing !== null ? `<span>Run pacing <strong>${consistency.runPacing}</strong>/100</span>` : ''}
+      ${consistency.segments !== null ? `<span>Consistency <strong>${consistency.segments}</strong>/100</span>` : ''}
+    </div>
+  `
+}
+
+/**
+ * Per-segment table: best, latest and typical time, trend and consistency.
+ * @param {Object} analysis - analyzeSplits() result
+ * @returns {string} HTML for a `.trends-table`
+ */
+export function segmentTrendsHTML(analysis) {
+  return `
+    <table class="trends-table">
+      <thead><tr><th>Segment</th><th>Results</th><th>Best</th><th>Latest</th><th>Typical</th><th>Trend</th><th>Consistency</th></tr></thead>
+      <tbody>
+        ${analysis.segments.map(s => `
+          <tr class="${s.type}">
+            <td>${s.name}</td>
+            <td>${s.count}</td>
+            <td>${secsText(s.bestMs)}</td>
+            <td>${secsText(s.latestMs)}</td>
+            <td>${secsText(s.typicalMs)}</td>
+            <td>${trendHTML(s.trend)}</td>
+            <td>${s.consistency ?? '—'}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `
+}
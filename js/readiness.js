@@ -0,0 +1,206 @@
+/**
+ * Daily readiness — how today's HRV, resting HR, sleep and recent training
+ * load compare with the athlete's own baselines.
+ *
+ * Each health metric gets rolling 7- and 28-day baselines from the days
+ * before the scored date, and a z-score of that day's value against the
+ * 28-day one. Z-scores map to 0-100 component scores (50 = a normal day for
+ * you), and load scores from the acute:chronic ratio in js/training-load.js. The
+ * daily score is the weighted mean of whichever components have data:
+ *
+ *   hrv 35% · resting_hr 25% · sleep 20% · load 20%
+ *
+ * A score needs HRV or resting HR against a real baseline; otherwise status
+ * is 'no_data' and callers fall back to their fixed thresholds.
+ *
+ * Dates are local 'YYYY-MM-DD' strings, as in js/plan-adapter.js.
+ */
+
+import { supabase } from './supabase-client.js'
+import { toDateStr, addDays, daysBetween } from './plan-adapter.js'
+import { fetchSessions, dailyLoad, loadRatio } from './training-load.js'
+
+const BASELINE_DAYS = 28
+const SHORT_DAYS = 7
+const MIN_BASELINE = 7         // readings needed before a z-score means anything
+const MAX_Z = 3
+
+// direction: +1 when higher is better. minSd stops a very steady baseline
+// turning small wobbles into huge z-scores.
+const METRICS = {
+  hrv: { weight: 0.35, direction: 1, minSd: 3 },
+  resting_hr: { weight: 0.25, direction: -1, minSd: 1 },
+  sleep_hours: { weight: 0.2, direction: 1, minSd: 0.3 }
+}
+const LOAD_WEIGHT = 0.2
+
+export const READINESS_METRICS = Object.keys(METRICS)
+
+export const READINESS_LABELS = {
+  ready: 'Ready for high intensity',
+  moderate: 'Moderate intensity recommended',
+  rest: 'Consider active recovery today',
+  no_data: 'Not enough data for a readiness score'
+}
+
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null
+}
+
+function sd(values, avg) {
+  if (values.length < 2) return null
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1))
+}
+
+const clamp = (n, lo, hi) => Math.min(hi, Math.max(lo, n))
+
+// ── Series ──
+
+/**
+ * One value per day for a metric type (the mean when a day has several).
+ * @param {Array} metrics - health_metrics rows (metric_type, value, recorded_at)
+ * @returns {Map<string, number>} date → value
+ */
+export function dailySeries(metrics, type) {
+  const byDay = new Map()
+  for (const m of metrics) {
+    if (m.metric_type !== type) continue
+    const day = toDateStr(m.recorded_at)
+    if (!byDay.has(day)) byDay.set(day, [])
+    byDay.get(day).push(Number(m.value))
+  }
+  return new Map([...byDay].map(([day, values]) => [day, mean(values)]))
+}
+
+/**
+ * Rolling baselines for one metric on a date, from the days before it. A
+ * date with no reading uses the previous day's (this morning's sync may not
+ * have landed yet), scored against the baseline before that day.
+ * @returns {{value: number|null, mean7: number|null, mean28: number|null, sd28: number|null, n28: number, z: number|null}}
+ */
+export function metricBaseline(series, date, minSd = 0) {
+  const valueDay = series.has(date) ? date : addDays(date, -1)
+  const window = days => [...series]
+    .filter(([day]) => {
+      const age = daysBetween(day, valueDay)
+      return age > 0 && age <= days
+    })
+    .map(([, value]) => value)
+
+  const last28 = window(BASELINE_DAYS)
+  const mean7 = mean(window(SHORT_DAYS))
+  const mean28 = mean(last28)
+  const sd28 = mean28 === null ? null : sd(last28, mean28)
+  const value = series.get(valueDay) ?? null
+
+  const z = value !== null && last28.length >= MIN_BASELINE
+    ? clamp((value - mean28) / Math.max(sd28 || 0, minSd), -MAX_Z, MAX_Z)
+    : null
+  return { value, mean7, mean28, sd28, n28: last28.length, z }
+}
+
+// ── Score ──
+
+/** 0-100 from a z-score: 50 at baseline, 0/100 at three deviations. */
+function zScore(z, direction) {
+  return clamp(50 + (direction * z * 50) / MAX_Z, 0, 100)
+}
+
+/** 100 up to a ratio of 0.8, falling to 0 at 1.6. */
+function loadScore(ratio) {
+  return clamp(100 - Math.max(0, ratio - 0.8) * 125, 0, 100)
+}
+
+function statusFor(score) {
+  if (score === null) return 'no_data'
+  if (score >= 60) return 'ready'
+  if (score >= 40) return 'moderate'
+  return 'rest'
+}
+
+/**
+ * Readiness on one date.
+ * @param {Object} input
+ * @param {Array} input.metrics - health_metrics rows covering the 28 days before `date`
+ * @param {Map} [input.load] - from dailyLoad() in js/training-load.js
+ * @param {string} input.date - 'YYYY-MM-DD'
+ * @returns {{date: string, score: number|null, status: string, components: Object, reasons: string[]}}
+ */
+export function readinessScore({ metrics, load = new Map(), date }) {
+  const components = {}
+  const reasons = []
+  let weighted = 0, weights = 0
+
+  for (const [type, rule] of Object.entries(METRICS)) {
+    const base = metricBaseline(dailySeries(metrics, type), date, rule.minSd)
+    const score = base.z === null ? null : zScore(base.z, rule.direction)
+    components[type] = { ...base, score }
+    if (score === null) continue
+    weighted += score * rule.weight
+    weights += rule.weight
+    if (rule.direction * base.z <= -1.5) reasons.push(reasonFor(type, base))
+  }
+
+  if (components.hrv.score === null && components.resting_hr.score === null) {
+    return { date, score: null, status: 'no_data', components, reasons: [] }
+  }
+
+  const ratio = loadRatio(load, date)
+  const loadPoints = ratio.ratio === null ? null : loadScore(ratio.ratio)
+  components.load = { ...ratio, score: loadPoints }
+  if (loadPoints !== null) {
+    weighted += loadPoints * LOAD_WEIGHT
+    weights += LOAD_WEIGHT
+    if (ratio.ratio >= 1.3) reasons.push(`Training load ${ratio.ratio.toFixed(1)}× your 4-week average`)
+  }
+
+  const score = Math.round(weighted / weights)
+  return { date, score, status: statusFor(score), components, reasons }
+}
+
+function reasonFor(type, base) {
+  switch (type) {
+    case 'hrv': return `HRV ${Math.round(base.value)} ms vs ${Math.round(base.mean28)} ms baseline`
+    case 'resting_hr': return `Resting HR ${Math.round(base.value)} bpm vs ${Math.round(base.mean28)} bpm baseline`
+    default: return `Sleep ${base.value.toFixed(1)} h vs ${base.mean28.toFixed(1)} h baseline`
+  }
+}
+
+/**
+ * Readiness for each of the last `days` days, oldest first.
+ * @returns {Array} readinessScore() results
+ */
+export function readinessHistory({ metrics, load = new Map(), today, days = BASELINE_DAYS }) {
+  const history = []
+  for (let i = days - 1; i >= 0; i--) {
+    history.push(readinessScore({ metrics, load, date: addDays(today, -i) }))
+  }
+  return history
+}
+
+// ── Data ──
+
+/**
+ * Load what readiness needs for a user and score today plus history.
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {string} [options.today] - 'YYYY-MM-DD', defaults to the local date
+ * @param {number} [options.days] - history length
+ * @returns {Promise<{today: Object, history: Array}>}
+ */
+export async function fetchReadiness(userId, { today = toDateStr(new Date()), days = BASELINE_DAYS } = {}) {
+  // History needs a full baseline behind its first day
+  const sinceDay = addDays(today, -(days + BASELINE_DAYS))
+  const since = new Date(`${sinceDay}T00:00`).toISOString()
+  const [metricsRes, { sessions, profile }] = await Promise.all([
+    supabase.from('health_metrics').select('metric_type, value, recorded_at')
+      .eq('user_id', userId).in('metric_type', READINESS_METRICS).gte('recorded_at', since),
+    fetchSessions(userId, sinceDay)
+  ])
+  if (metricsRes.error) throw metricsRes.error
+
+  const metrics = metricsRes.data || []
+  const load = dailyLoad(sessions, profile)
+  const history = readinessHistory({ metrics, load, today, days })
+  return { today: history[history.length - 1], history }
+}
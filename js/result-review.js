@@ -0,0 +1,128 @@
+/**
+ * Leaderboard integrity: reporting suspicious results and the admin review
+ * queue (migrations/add_result_review.sql).
+ *
+ * Results are checked by a trigger on insert. Segment times under the
+ * segment_minimums table, or a finish faster than the format allows, set
+ * review_status 'flagged' and keep the result off the leaderboard until an
+ * admin verifies or rejects it. REPORT_FLAG_THRESHOLD open reports from other
+ * users flag a result the same way.
+ */
+
+import { supabase } from './supabase-client.js'
+import { formatTimeMs } from './shared.js'
+
+export const REPORT_FLAG_THRESHOLD = 3
+
+export const REPORT_REASONS = [
+  { value: 'impossible_time', label: 'Impossible time' },
+  { value: 'incomplete', label: 'Didn\'t do the full course' },
+  { value: 'wrong_format', label: 'Wrong format or division' },
+  { value: 'other', label: 'Other' }
+]
+
+/** Human-readable reason for one entry of simulation_results.flags. */
+export function flagText(flag) {
+  switch (flag.code) {
+    case 'segment_below_minimum':
+      return `${flag.segment} ${formatTimeMs(flag.split_ms)} (min ${formatTimeMs(flag.min_ms)})`
+    case 'total_below_minimum':
+      return `Finish ${formatTimeMs(flag.total_ms)} (min ${formatTimeMs(flag.min_ms)})`
+    case 'reported':
+      return 'Reported by other athletes'
+    default:
+      return flag.code
+  }
+}
+
+// ── Reports ──
+
+/**
+ * Report a result as suspicious. Each user can report a result once.
+ * @param {string} reporterId
+ * @param {string} resultId - simulation_results id
+ * @param {string} reason - REPORT_REASONS value
+ * @param {string} [details]
+ */
+export async function reportResult(reporterId, resultId, reason, details = '') {
+  if (!REPORT_REASONS.some(r => r.value === reason)) throw new Error(`Unknown report reason "${reason}"`)
+  const { error } = await supabase.from('result_reports').insert({
+    result_id: resultId,
+    reporter_id: reporterId,
+    reason,
+    details: details.trim() || null
+  })
+  // Unique violation: already reported by this user
+  if (error && error.code !== '23505') throw error
+}
+
+// ── Admin ──
+
+export async function isAdmin() {
+  const { data, error } = await supabase.rpc('is_admin')
+  if (error) throw error
+  return !!data
+}
+
+const QUEUE_COLUMNS = 'id, user_id, total_time_ms, splits, format, completed_at, review_status, flags, profiles!user_id(display_name, division)'
+
+/**
+ * Flagged results and results with open reports, oldest first.
+ * @returns {Promise<Array>} simulation_results rows with `profiles` and `reports`
+ */
+export async function listReviewQueue() {
+  const [flaggedRes, reportsRes] = await Promise.all([
+    supabase
+      .from('simulation_results')
+      .select(QUEUE_COLUMNS)
+      .eq('review_status', 'flagged')
+      .order('completed_at', { ascending: true }),
+    supabase
+      .from('result_reports')
+      .select('id, result_id, reason, details, created_at, profiles!reporter_id(display_name)')
+      .eq('status', 'open')
+      .order('created_at', { ascending: true })
+  ])
+  if (flaggedRes.error) throw flaggedRes.error
+  if (reportsRes.error) throw reportsRes.error
+
+  const results = flaggedRes.data || []
+  const reports = reportsRes.data || []
+
+  // Reported results that haven't been flagged (yet)
+  const missing = [...new Set(reports.map(r => r.result_id))].filter(id => !results.some(r => r.id === id))
+  if (missing.length) {
+    const { data, error } = await supabase
+      .from('simulation_results')
+      .select(QUEUE_COLUMNS)
+      .in('id', missing)
+    if (error) throw error
+    results.push(...(data || []))
+  }
+
+  return results.map(r => ({ ...r, reports: reports.filter(rep => rep.result_id === r.id) }))
+}
+
+/**
+ * Verify or reject a result, and close its open reports: upheld when the
+ * result is rejected, dismissed when it is verified.
+ * @param {string} adminId
+ * @param {string} resultId
+ * @param {'verified'|'rejected'} status
+ */
+export async function reviewResult(adminId, resultId, status) {
+  if (status !== 'verified' && status !== 'rejected') throw new Error(`Unknown review status "${status}"`)
+  const now = new Date().toISOString()
+  const { error } = await supabase
+    .from('simulation_results')
+    .update({ review_status: status, reviewed_by: adminId, reviewed_at: now })
+    .eq('id', resultId)
+  if (error) throw error
+
+  const { error: reportError } = await supabase
+    .from('result_reports')
+    .update({ status: status === 'rejected' ? 'upheld' : 'dismissed', resolved_by: adminId, resolved_at: now })
+    .eq('result_id', resultId)
+    .eq('status', 'open')
+  if (reportError) throw reportError
+}
@@ -0,0 +1,106 @@
+/**
+ * Roxzone transition analytics: total transition time and per-transition
+ * losses against pace targets.
+ *
+ * Pace plans (js/pace-plan.js) split a goal across the 16 course segments
+ * with the Roxzone folded in. Transition targets carve the Roxzone share of
+ * the goal back out and spread it evenly over the course's transitions, so a
+ * plan can pace a timer run or a race that records transitions.
+ */
+
+import {
+  RACE_SEGMENTS, ROXZONE_COURSE, normalizeSplits, splitsFromDurations,
+  parseTransition, canonicalName, hasRoxzone
+} from './splits.js'
+import { DEFAULT_ROXZONE_SHARE } from './race-predictor.js'
+
+export const TRANSITION_COUNT = ROXZONE_COURSE.length - RACE_SEGMENTS.length
+
+/**
+ * Target for one transition, in ms.
+ * @param {number} goalMs - finish goal, Roxzone included
+ * @param {number} [share] - Roxzone share of the finish time
+ * @param {number} [count] - transitions on the course
+ */
+export function transitionTargetMs(goalMs, share = DEFAULT_ROXZONE_SHARE, count = TRANSITION_COUNT) {
+  return count > 0 ? Math.round(goalMs * share / count) : 0
+}
+
+/**
+ * Ghost splits for a timer run that records transitions. Plan splits without
+ * Roxzone time are scaled down by the Roxzone share and the transitions in
+ * `segments` get an even share of it; splits that already have Roxzone time
+ * are returned unchanged.
+ * @param {Array} ghostSplits - canonical splits, e.g. planToSplits()
+ * @param {Array<{name: string, type: string}>} segments - the run's segments
+ * @param {number} [share]
+ */
+export function ghostWithTransitions(ghostSplits, segments, share = DEFAULT_ROXZONE_SHARE) {
+  const splits = normalizeSplits(ghostSplits)
+  if (hasRoxzone(splits) || !hasRoxzone(segments)) return splits
+
+  const totalMs = splits.reduce((sum, s) => sum + s.split_ms, 0)
+  const count = segments.filter(s => s.type === 'roxzone').length
+  const targetMs = transitionTargetMs(totalMs, share, count)
+  const used = new Set()
+  const durations = []
+  segments.forEach((seg, i) => {
+    if (seg.type === 'roxzone') {
+      durations.push({ segment: i, name: seg.name, splitMs: targetMs })
+      return
+    }
+    const idx = splits.findIndex((s, j) => !used.has(j) && s.name === canonicalName(seg.name))
+    if (idx < 0) return
+    used.add(idx)
+    durations.push({ segment: i, name: seg.name, splitMs: Math.round(splits[idx].split_ms * (1 - share)) })
+  })
+  return splitsFromDurations(durations)
+}
+
+/**
+ * Roxzone time in a set of splits, compared with pace targets.
+ * @param {Array} rawSplits - any stored split shape
+ * @param {Object} [options]
+ * @param {number} [options.goalMs] - finish goal the targets come from
+ * @param {number} [options.share] - Roxzone share of the goal
+ * @returns {null|{
+ *   totalMs: number,
+ *   targetMs: number|null,
+ *   lossMs: number|null,
+ *   transitions: Array<{name: string, direction: string, station: number, splitMs: number, targetMs: number|null, lossMs: number|null}>,
+ *   worst: Array                // transitions that lost the most time, worst first
+ * }} null when the splits hold no Roxzone time
+ */
+export function transitionReport(rawSplits, options = {}) {
+  const { goalMs = null, share = DEFAULT_ROXZONE_SHARE } = options
+  const roxzone = normalizeSplits(rawSplits).filter(s => s.type === 'roxzone')
+  if (!roxzone.length) return null
+
+  const eachMs = goalMs ? transitionTargetMs(goalMs, share) : null
+  const transitions = roxzone
+    .map(s => ({ split: s, transition: parseTransition(s.name) }))
+    .filter(t => t.transition)
+    .map(({ split, transition }) => ({
+      name: split.name,
+      ...transition,
+      splitMs: split.split_ms,
+      targetMs: eachMs,
+      lossMs: eachMs === null ? null : split.split_ms - eachMs
+    }))
+
+  const totalMs = roxzone.reduce((sum, s) => sum + s.split_ms, 0)
+  // A partial set of transitions is only measured against its own targets
+  const targetMs = goalMs === null ? null
+    : transitions.length ? eachMs * transitions.length : Math.round(goalMs * share)
+
+  return {
+    totalMs,
+    targetMs,
+    lossMs: targetMs === null ? null : totalMs - targetMs,
+    transitions,
+    worst: transitions
+      .filter(t => t.lossMs > 0)
+      .sort((a, b) => b.lossMs - a.lossMs)
+      .slice(0, 3)
+  }
+}
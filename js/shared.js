@@ -107,6 +107,16 @@ export function showToast(message, type = 'success', duration = 3000) {
   }, duration)
 }
 
+// ── Escape user text for innerHTML (element content and quoted attributes) ──
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
 // ── Require Auth (redirect if not logged in) ──
 export async function requireAuth() {
   const { data: { session } } = await supabase.auth.getSession()
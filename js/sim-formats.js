@@ -0,0 +1,136 @@
+/**
+ * Simulation formats for the timer: the segment sequence to run and who
+ * does each segment.
+ *
+ * A format resolves to an array of segments:
+ *   {name: 'SkiErg', type: 'station', detail: '1000m', partner: 'A'}
+ * `partner` is null for segments everyone does together (singles, doubles runs).
+ *
+ * Every simulation_results row stores its `format` (and `workout_id` for
+ * workout-based sims) so results are only compared like with like — see
+ * comparisonKey().
+ */
+
+import { RACE_SEGMENTS, canonicalName, segmentType, hasRoxzone } from './splits.js'
+
+export const PARTNER_IDS = ['A', 'B', 'C', 'D']
+
+export const SIM_FORMATS = {
+  singles: { label: 'Full Sim (Singles)', partners: 1 },
+  half:    { label: 'Half Sim', partners: 1 },
+  doubles: { label: 'Doubles', partners: 2 },
+  relay:   { label: 'Relay (4 athletes)', partners: 4 },
+  workout: { label: 'Workout Sim', partners: 1 },
+  custom:  { label: 'Custom', partners: 1 }
+}
+
+/**
+ * Build the segment list for a built-in format.
+ * @param {string} format - key of SIM_FORMATS (not 'workout' / 'custom')
+ */
+export function buildFormatSegments(format) {
+  switch (format) {
+    case 'half':
+      return RACE_SEGMENTS.slice(0, 8).map(s => ({ ...s, partner: null }))
+    case 'doubles': {
+      // Runs together; station work alternates by default and can be reassigned live
+      let station = 0
+      return RACE_SEGMENTS.map(s => ({
+        ...s,
+        partner: s.type === 'station' ? PARTNER_IDS[station++ % 2] : null
+      }))
+    }
+    case 'relay':
+      // Each athlete covers two run + station pairs back to back
+      return RACE_SEGMENTS.map((s, i) => ({ ...s, partner: PARTNER_IDS[Math.floor(i / 4)] }))
+    case 'singles':
+      return RACE_SEGMENTS.map(s => ({ ...s, partner: null }))
+    default:
+      throw new Error(`Unknown simulation format "${format}"`)
+  }
+}
+
+/**
+ * Parse one entry of a workouts.stations JSONB array into a timer segment.
+ * Understands the doubles prefixes used in the seed data:
+ * "Both Run 1", "Partner A: SkiErg".
+ */
+export function segmentFromStation(station) {
+  let name = String(station.name || '').trim()
+  let partner = null
+
+  const partnerMatch = name.match(/^Partner\s+([A-D])\s*:\s*(.+)$/i)
+  if (partnerMatch) {
+    partner = partnerMatch[1].toUpperCase()
+    name = partnerMatch[2]
+  }
+  name = canonicalName(name.replace(/^Both\s+/i, ''))
+
+  return {
+    name,
+    type: segmentType(name),
+    detail: station.distance || station.reps || station.duration || '',
+    partner
+  }
+}
+
+/**
+ * Resolve a workouts row into a format + segment list. Workouts that match a
+ * built-in format exactly are recorded as that format so they share its
+ * leaderboard; anything else is a 'workout' sim keyed by workout_id.
+ * @param {Object} workout - workouts row with a stations array
+ * @returns {{format: string, workoutId: string|null, segments: Array}}
+ */
+export function formatFromWorkout(workout) {
+  const segments = (workout.stations || []).map(segmentFromStation)
+  if (segments.length === 0) throw new Error(`Workout "${workout.title}" has no stations`)
+
+  for (const key of ['singles', 'half', 'doubles']) {
+    const builtin = buildFormatSegments(key)
+    const same = builtin.length === segments.length && builtin.every((b, i) =>
+      b.name === segments[i].name &&
+      b.detail === segments[i].detail &&
+      (key !== 'doubles' || b.partner === segments[i].partner)
+    )
+    if (same) return { format: key, workoutId: workout.id, segments }
+  }
+
+  return { format: 'workout', workoutId: workout.id, segments }
+}
+
+/**
+ * Build a custom format from free text, one segment per line.
+ * Lines may carry a detail after an em dash or hyphen: "SkiErg — 500m".
+ */
+export function parseCustomSegments(text) {
+  const segments = String(text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const [rawName, ...rest] = line.split(/\s+[—-]\s+/)
+      const name = canonicalName(rawName)
+      return { name, type: segmentType(name), detail: rest.join(' — '), partner: null }
+    })
+  if (segments.length === 0) throw new Error('Add at least one segment to the custom simulation')
+  return segments
+}
+
+/**
+ * Key that groups results which can be fairly compared.
+ * @param {Object} row - simulation_results row (format, workout_id, splits)
+ */
+export function comparisonKey(row) {
+  const format = row.format || 'singles'
+  if (format === 'custom') {
+    const names = (row.splits || []).map(s => s.name || s.station).join('|')
+    return `custom:${names}`
+  }
+  // Runs that timed Roxzone transitions include time the others don't
+  const key = format === 'workout' ? `workout:${row.workout_id}` : format
+  return hasRoxzone(row.splits) ? `${key}+roxzone` : key
+}
+
+export function formatLabel(format) {
+  return SIM_FORMATS[format]?.label || SIM_FORMATS.singles.label
+}
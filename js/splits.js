@@ -0,0 +1,361 @@
+/**
+ * Canonical split model shared by the timer, race history, dashboard and
+ * CourseTracker.
+ *
+ * Every stored split (simulation_results.splits, race_results.splits) uses
+ * one shape:
+ *
+ *   {
+ *     segment: 0,            // 0-based position in the course
+ *     name: 'Run 1',         // segment name without the distance suffix
+ *     type: 'run',           // 'run' | 'station' | 'roxzone'
+ *     split_ms: 245000,      // time spent in this segment
+ *     cumulative_ms: 245000, // race clock at the end of this segment
+ *     partner: 'A'           // optional — doubles/relay athlete who did the segment
+ *   }
+ *
+ * Roxzone time (transitions between runs and stations) is recorded one of two
+ * ways, both with type 'roxzone':
+ *   - per transition, as segments of their own between the run and the
+ *     station: 'Roxzone In 3' before station 3, 'Roxzone Out 3' after it
+ *     (see withRoxzone())
+ *   - as one trailing 'Roxzone' total after the 16 course segments, when only
+ *     the total is known (official results)
+ * Either way the splits add up to the finish time.
+ *
+ * Older rows were written in other shapes; normalizeSplits() reads all of them:
+ *   - timer:        {station: 'Run 1 — 1km', cumulative_ms, split_ms}
+ *   - race history: {station: 'Run 1', time_seconds}
+ *   - tracker:      {stationNum, timeMs, name}
+ */
+
+export const SPLIT_TYPES = ['run', 'station', 'roxzone']
+
+export const ROXZONE_NAME = 'Roxzone'
+
+const TRANSITION_RE = /^roxzone (in|out) (\d+)$/i
+
+// Standard singles course, in race order
+export const RACE_SEGMENTS = [
+  { name: 'Run 1', type: 'run', detail: '1km' },
+  { name: 'SkiErg', type: 'station', detail: '1000m' },
+  { name: 'Run 2', type: 'run', detail: '1km' },
+  { name: 'Sled Push', type: 'station', detail: '50m' },
+  { name: 'Run 3', type: 'run', detail: '1km' },
+  { name: 'Sled Pull', type: 'station', detail: '50m' },
+  { name: 'Run 4', type: 'run', detail: '1km' },
+  { name: 'Burpee Broad Jumps', type: 'station', detail: '80m' },
+  { name: 'Run 5', type: 'run', detail: '1km' },
+  { name: 'Rowing', type: 'station', detail: '1000m' },
+  { name: 'Run 6', type: 'run', detail: '1km' },
+  { name: 'Farmers Carry', type: 'station', detail: '200m' },
+  { name: 'Run 7', type: 'run', detail: '1km' },
+  { name: 'Sandbag Lunges', type: 'station', detail: '100m' },
+  { name: 'Run 8', type: 'run', detail: '1km' },
+  { name: 'Wall Balls', type: 'station', detail: '100 reps' }
+]
+
+// Short names used by the tracker reference pace and older clients
+const NAME_ALIASES = {
+  'burpee bj': 'Burpee Broad Jumps',
+  'burpee broad jump': 'Burpee Broad Jumps',
+  'farmers': 'Farmers Carry',
+  'lunges': 'Sandbag Lunges',
+  'row': 'Rowing'
+}
+
+export class SplitValidationError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [index] - position of the offending split, if any
+   */
+  constructor(message, index = null) {
+    super(index === null ? message : `Split ${index + 1}: ${message}`)
+    this.name = 'SplitValidationError'
+    this.index = index
+  }
+}
+
+/**
+ * Display label for a course segment, e.g. "Run 1 — 1km".
+ */
+export function segmentLabel(segment) {
+  return segment.detail ? `${segment.name} — ${segment.detail}` : segment.name
+}
+
+/**
+ * Strip the distance suffix and expand known aliases.
+ * "Run 1 — 1km" → "Run 1", "Burpee BJ" → "Burpee Broad Jumps"
+ */
+export function canonicalName(name) {
+  const base = String(name || '').split('—')[0].trim()
+  return NAME_ALIASES[base.toLowerCase()] || base
+}
+
+/**
+ * Infer the segment type from its name.
+ */
+export function segmentType(name) {
+  const text = String(name || '').trim()
+  if (/^roxzone\b/i.test(text)) return 'roxzone'
+  return /^(both\s+)?run\b/i.test(text) ? 'run' : 'station'
+}
+
+// ── Roxzone ──
+
+/**
+ * Name of one Roxzone transition, e.g. "Roxzone In 3".
+ * @param {'in'|'out'} direction - into the station or back out to the run
+ * @param {number} station - 1-based station number
+ */
+export function transitionName(direction, station) {
+  return `${ROXZONE_NAME} ${direction === 'in' ? 'In' : 'Out'} ${station}`
+}
+
+/**
+ * Parse a transition name.
+ * @returns {{direction: 'in'|'out', station: number}|null}
+ */
+export function parseTransition(name) {
+  const m = String(name || '').trim().match(TRANSITION_RE)
+  return m ? { direction: m[1].toLowerCase(), station: parseInt(m[2]) } : null
+}
+
+/**
+ * Interleave Roxzone transitions into a segment list: "Roxzone In N" after
+ * each run that leads into a station, "Roxzone Out N" after each station
+ * that leads back to a run. A transition belongs to the partner doing the
+ * station, since that is who enters or leaves the Roxzone with the sled,
+ * erg or bag.
+ * @param {Array<{name: string, type: string, partner?: string}>} segments
+ */
+export function withRoxzone(segments) {
+  const out = []
+  let station = 0
+  segments.forEach((seg, i) => {
+    if (seg.type === 'roxzone') return
+    const next = segments[i + 1]
+    if (seg.type === 'station') station++
+    out.push(seg)
+    if (seg.type === 'run' && next?.type === 'station') {
+      out.push({ name: transitionName('in', station + 1), type: 'roxzone', detail: '', partner: next.partner ?? null })
+    } else if (seg.type === 'station' && next?.type === 'run') {
+      out.push({ name: transitionName('out', station), type: 'roxzone', detail: '', partner: seg.partner ?? null })
+    }
+  })
+  return out
+}
+
+/** True when any split or segment is Roxzone time. */
+export function hasRoxzone(splits) {
+  return (splits || []).some(s => s.type === 'roxzone' || segmentType(s.name || s.station) === 'roxzone')
+}
+
+// Full race course with its 15 transitions, in race order
+export const ROXZONE_COURSE = withRoxzone(RACE_SEGMENTS)
+
+/**
+ * Convert any stored split array (or JSON string) into canonical splits.
+ * Unknown entries are skipped; missing split_ms / cumulative_ms are derived
+ * from their neighbours.
+ * @param {Array|string|null} raw
+ * @returns {Array<{segment: number, name: string, type: string, split_ms: number, cumulative_ms: number}>}
+ */
+export function normalizeSplits(raw) {
+  const list = typeof raw === 'string' ? JSON.parse(raw) : raw
+  if (!Array.isArray(list)) return []
+
+  const out = []
+  let cumulative = 0
+  list.forEach((entry, i) => {
+    const split = normalizeSplit(entry, i, cumulative)
+    if (!split) return
+    cumulative = split.cumulative_ms
+    out.push(split)
+  })
+  return out
+}
+
+function normalizeSplit(entry, index, prevCumulative) {
+  if (!entry || typeof entry !== 'object') return null
+
+  // Canonical already
+  if ('segment' in entry && 'split_ms' in entry) {
+    const name = canonicalName(entry.name)
+    return {
+      segment: entry.segment,
+      name,
+      type: entry.type || segmentType(name),
+      split_ms: entry.split_ms,
+      cumulative_ms: entry.cumulative_ms ?? prevCumulative + entry.split_ms,
+      ...(entry.partner ? { partner: entry.partner } : {})
+    }
+  }
+
+  // CourseTracker: {stationNum, timeMs, name}
+  if ('timeMs' in entry) {
+    const name = canonicalName(entry.name)
+    return {
+      segment: index,
+      name,
+      type: segmentType(name),
+      split_ms: entry.timeMs,
+      cumulative_ms: prevCumulative + entry.timeMs
+    }
+  }
+
+  // Race history: {station, time_seconds}
+  if ('time_seconds' in entry) {
+    const name = canonicalName(entry.station)
+    const courseIdx = RACE_SEGMENTS.findIndex(s => s.name === name)
+    const splitMs = Math.round(entry.time_seconds * 1000)
+    return {
+      segment: courseIdx >= 0 ? courseIdx : index,
+      name,
+      type: segmentType(name),
+      split_ms: splitMs,
+      cumulative_ms: prevCumulative + splitMs
+    }
+  }
+
+  // Timer: {station, cumulative_ms, split_ms}
+  if ('cumulative_ms' in entry || 'split_ms' in entry) {
+    const name = canonicalName(entry.station)
+    const cumulative = entry.cumulative_ms ?? prevCumulative + entry.split_ms
+    return {
+      segment: index,
+      name,
+      type: segmentType(name),
+      split_ms: entry.split_ms ?? cumulative - prevCumulative,
+      cumulative_ms: cumulative
+    }
+  }
+
+  return null
+}
+
+/**
+ * Build canonical splits from cumulative clock readings, as recorded by the
+ * simulation timer.
+ * @param {Array<{name: string, cumulativeMs: number, partner?: string}>} marks
+ */
+export function splitsFromCumulative(marks) {
+  return marks.map((m, i) => {
+    const name = canonicalName(m.name)
+    const prev = i > 0 ? marks[i - 1].cumulativeMs : 0
+    return {
+      segment: i,
+      name,
+      type: segmentType(name),
+      split_ms: m.cumulativeMs - prev,
+      cumulative_ms: m.cumulativeMs,
+      ...(m.partner ? { partner: m.partner } : {})
+    }
+  })
+}
+
+/**
+ * Build canonical splits from per-segment durations. Segments may be sparse
+ * (e.g. only some race splits entered), so each entry carries its own index.
+ * @param {Array<{segment: number, name: string, splitMs: number}>} durations
+ */
+export function splitsFromDurations(durations) {
+  let cumulative = 0
+  return durations.map(d => {
+    const name = canonicalName(d.name)
+    cumulative += d.splitMs
+    return {
+      segment: d.segment,
+      name,
+      type: segmentType(name),
+      split_ms: d.splitMs,
+      cumulative_ms: cumulative
+    }
+  })
+}
+
+/**
+ * Throw a SplitValidationError if splits are not well-formed canonical splits.
+ * @param {Array} splits
+ * @param {Object} [options]
+ * @param {number} [options.totalMs] - expected finish time; checked against the last cumulative_ms
+ * @param {number} [options.toleranceMs=1000] - allowed difference from totalMs
+ * @param {boolean} [options.allowUnaccounted=false] - allow splits to add up to less than totalMs
+ *   (official race totals include Roxzone time that is not part of the 16 segments)
+ */
+export function validateSplits(splits, options = {}) {
+  const { totalMs = null, toleranceMs = 1000, allowUnaccounted = false } = options
+
+  if (!Array.isArray(splits)) {
+    throw new SplitValidationError('splits must be an array')
+  }
+
+  let prevSegment = -1
+  let prevCumulative = 0
+  splits.forEach((s, i) => {
+    if (!s || typeof s !== 'object') {
+      throw new SplitValidationError('must be an object', i)
+    }
+    if (!Number.isInteger(s.segment) || s.segment < 0) {
+      throw new SplitValidationError('segment must be a non-negative integer', i)
+    }
+    if (s.segment <= prevSegment) {
+      throw new SplitValidationError(`segment ${s.segment} is out of order`, i)
+    }
+    if (!s.name || typeof s.name !== 'string') {
+      throw new SplitValidationError('name is required', i)
+    }
+    if (!SPLIT_TYPES.includes(s.type)) {
+      throw new SplitValidationError(`type must be one of ${SPLIT_TYPES.join(', ')} (got "${s.type}")`, i)
+    }
+    if (!Number.isFinite(s.split_ms) || s.split_ms <= 0) {
+      throw new SplitValidationError(`${s.name} time must be greater than zero`, i)
+    }
+    if (!Number.isFinite(s.cumulative_ms) || s.cumulative_ms !== prevCumulative + s.split_ms) {
+      throw new SplitValidationError(`${s.name} cumulative time does not match the sum of splits`, i)
+    }
+    if (s.partner !== undefined && (typeof s.partner !== 'string' || !s.partner)) {
+      throw new SplitValidationError(`${s.name} partner must be a non-empty string`, i)
+    }
+    prevSegment = s.segment
+    prevCumulative = s.cumulative_ms
+  })
+
+  if (totalMs !== null && splits.length > 0) {
+    const diff = prevCumulative - totalMs
+    if (diff > toleranceMs || (!allowUnaccounted && diff < -toleranceMs)) {
+      throw new SplitValidationError(
+        `splits add up to ${Math.round(prevCumulative / 1000)}s but the total is ${Math.round(totalMs / 1000)}s`
+      )
+    }
+  }
+
+  return true
+}
+
+/**
+ * Convert canonical splits to the {stationNum, timeMs, name, type} shape
+ * CourseTracker consumes. Each run and transition is grouped with the station
+ * it leads to or comes out of; a Roxzone total has no place on the course and
+ * is left out.
+ */
+export function toTrackerSplits(splits) {
+  let lap = 0
+  let lapHasStation = true
+  return normalizeSplits(splits)
+    .map(s => {
+      const transition = parseTransition(s.name)
+      if (transition) {
+        lap = transition.station
+      } else if (s.type === 'run') {
+        if (lapHasStation) { lap++; lapHasStation = false }
+      } else if (s.type === 'station') {
+        if (lapHasStation) lap++
+        lapHasStation = true
+      } else {
+        return null
+      }
+      return { stationNum: lap, timeMs: s.split_ms, name: s.name, type: s.type }
+    })
+    .filter(Boolean)
+}
@@ -0,0 +1,150 @@
+/**
+ * IndexedDB persistence for the simulation timer.
+ *
+ * - timer state: a single record holding the in-progress run so a reload,
+ *   phone lock or crash can resume where it left off
+ * - outbox: simulation_results rows that could not be saved (offline, flaky
+ *   gym Wi-Fi) and are replayed when connectivity returns
+ */
+
+const DB_NAME = 'hyrox-sim'
+const DB_VERSION = 1
+const STATE_STORE = 'timer_state'
+const OUTBOX_STORE = 'result_outbox'
+const STATE_KEY = 'current'
+
+export const SYNC_TAG = 'sync-sim-results'
+
+// Errors a retry can't fix: check_violation from check_simulation_result(),
+// invalid_text_representation from a malformed split
+const REJECTED_CODES = ['23514', '22P02']
+
+let dbPromise = null
+
+function openDb() {
+  if (dbPromise) return dbPromise
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION)
+    req.onupgradeneeded = () => {
+      const db = req.result
+      if (!db.objectStoreNames.contains(STATE_STORE)) db.createObjectStore(STATE_STORE)
+      if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+        db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true })
+      }
+    }
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => { dbPromise = null; reject(req.error) }
+  })
+  return dbPromise
+}
+
+async function run(storeName, mode, fn) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode)
+    const req = fn(tx.objectStore(storeName))
+    tx.oncomplete = () => resolve(req?.result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+// ── Timer state ──
+
+/**
+ * Persist the in-progress run.
+ * @param {Object} state - {elapsed, running, startEpoch, stationIdx, splits, ...}
+ */
+export function saveTimerState(state) {
+  return run(STATE_STORE, 'readwrite', store => store.put({ ...state, savedAt: Date.now() }, STATE_KEY))
+}
+
+/**
+ * @returns {Promise<Object|null>} the saved run, or null if none
+ */
+export async function loadTimerState() {
+  return (await run(STATE_STORE, 'readonly', store => store.get(STATE_KEY))) || null
+}
+
+export function clearTimerState() {
+  return run(STATE_STORE, 'readwrite', store => store.delete(STATE_KEY))
+}
+
+// ── Result outbox ──
+
+/**
+ * Queue a simulation_results row for later upload and ask the service worker
+ * for a background sync if the browser supports it.
+ */
+export async function queueResult(row) {
+  await run(OUTBOX_STORE, 'readwrite', store => store.add({ row, queuedAt: Date.now() }))
+  try {
+    const reg = await navigator.serviceWorker?.ready
+    await reg?.sync?.register(SYNC_TAG)
+  } catch (e) {
+    // Background Sync unsupported — the 'online' listener replays instead
+  }
+}
+
+export async function getQueuedResults() {
+  return (await run(OUTBOX_STORE, 'readonly', store => store.getAll())) || []
+}
+
+/**
+ * Take a row out of the outbox before uploading it, so another tab flushing
+ * at the same time can't upload it too.
+ * @returns {Promise<Object|null>} the queued item, or null if already taken
+ */
+async function claimQueued(id) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(OUTBOX_STORE, 'readwrite')
+    const store = tx.objectStore(OUTBOX_STORE)
+    let item = null
+    const req = store.get(id)
+    req.onsuccess = () => {
+      item = req.result || null
+      if (item) store.delete(id)
+    }
+    tx.oncomplete = () => resolve(item)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+let flushing = null
+
+/**
+ * Upload queued rows in order. Rows that fail go back in the queue for the
+ * next attempt, except rows the result check rejects, which would never
+ * upload and are dropped. Calls made while a flush is running share it.
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<{synced: number, rejected: number, remaining: number}>}
+ */
+export function flushQueuedResults(supabase) {
+  flushing ||= flushOutbox(supabase).finally(() => { flushing = null })
+  return flushing
+}
+
+async function flushOutbox(supabase) {
+  const queued = await getQueuedResults()
+  let synced = 0
+  let rejected = 0
+  for (const { id } of queued) {
+    const item = await claimQueued(id)
+    if (!item) continue
+    let error
+    try {
+      ({ error } = await supabase.from('simulation_results').insert(item.row))
+    } catch (err) {
+      error = err
+    }
+    if (error && !REJECTED_CODES.includes(error.code)) {
+      await run(OUTBOX_STORE, 'readwrite', store => store.put(item))
+      break
+    }
+    if (error) rejected++
+    else synced++
+  }
+  return { synced, rejected, remaining: (await getQueuedResults()).length }
+}
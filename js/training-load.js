@@ -0,0 +1,335 @@
+/**
+ * Training load across everything an athlete logs — workout_logs and
+ * simulation_results — on one scale, session-RPE arbitrary units
+ * (minutes × RPE 1-10):
+ *
+ *   - a session RPE, when the athlete gave one, is used as is
+ *   - otherwise average heart rate gives a Banister TRIMP, scaled onto the
+ *     RPE scale (see TRIMP_SCALE)
+ *   - otherwise the category's typical RPE (sims 9, everything else 5)
+ *
+ * From the daily totals come the 7:28-day acute:chronic workload ratio,
+ * fitness / fatigue curves (42- and 7-day exponentially weighted averages;
+ * form = fitness − fatigue), weekly load by category and spike warnings.
+ *
+ * Dates are local 'YYYY-MM-DD' strings, as in js/plan-adapter.js.
+ */
+
+import { supabase } from './supabase-client.js'
+import { toDateStr, addDays, daysBetween } from './plan-adapter.js'
+
+const ACUTE_DAYS = 7
+const CHRONIC_DAYS = 28
+const FITNESS_DAYS = 42
+const FATIGUE_DAYS = 7
+const DEFAULT_RPE = 5
+const SIM_RPE = 9
+const DEFAULT_REST_HR = 60
+const DEFAULT_MAX_HR = 190
+// Banister TRIMP per minute runs from about 1.2 at an easy effort to 3.8
+// flat out, roughly a third of the matching RPE, so ×3 lines the two up
+const TRIMP_SCALE = 3
+// Below this the ratio swings wildly on a single session
+const MIN_CHRONIC = 300
+const SPIKE_RATIO = 1.5
+const HIGH_RATIO = 1.3
+
+export const LOAD_CATEGORIES = ['running', 'strength', 'conditioning', 'hyrox_sim', 'mobility', 'other']
+
+export const CATEGORY_LABELS = {
+  running: 'Running',
+  strength: 'Strength',
+  conditioning: 'Conditioning',
+  hyrox_sim: 'HYROX Sim',
+  mobility: 'Mobility',
+  other: 'Other'
+}
+
+export const CATEGORY_COLORS = {
+  running: '#38bdf8',
+  strength: '#f97316',
+  conditioning: '#a855f7',
+  hyrox_sim: '#c8ff00',
+  mobility: '#34d399',
+  other: '#888'
+}
+
+// Imported activity sports (js/activity-import.js) → category
+const SPORT_CATEGORIES = {
+  running: 'running',
+  walking: 'running',
+  training: 'strength',
+  fitness_equipment: 'conditioning'
+}
+
+// ── Sessions ──
+
+/**
+ * Heart rate inputs for TRIMP. Women's divisions use the female weighting.
+ * @param {Object} [inputs]
+ * @param {number} [inputs.restingHr] - latest resting HR
+ * @param {number} [inputs.maxHr] - highest HR seen
+ * @param {string} [inputs.division] - profiles.division
+ * @returns {{rest: number, max: number, k: number}}
+ */
+export function hrProfile({ restingHr = null, maxHr = null, division = null } = {}) {
+  const rest = restingHr || DEFAULT_REST_HR
+  return {
+    rest,
+    max: maxHr > rest + 20 ? maxHr : DEFAULT_MAX_HR,
+    k: String(division || '').startsWith('women') ? 1.67 : 1.92
+  }
+}
+
+/**
+ * Banister TRIMP: minutes × HR reserve fraction × 0.64e^(k × fraction).
+ * @returns {number|null}
+ */
+export function trimp(minutes, avgHr, profile) {
+  if (!(minutes > 0) || !(avgHr > 0)) return null
+  const fraction = Math.min(1, Math.max(0, (avgHr - profile.rest) / (profile.max - profile.rest)))
+  return minutes * fraction * 0.64 * Math.exp(profile.k * fraction)
+}
+
+/**
+ * Load of one session.
+ * @param {{minutes: number, rpe: number|null, hrAvg: number|null, category: string}} session
+ * @param {Object} profile - from hrProfile()
+ * @returns {{load: number, method: 'rpe'|'hr'|'default'}}
+ */
+export function sessionLoad(session, profile = hrProfile()) {
+  const minutes = session.minutes || 0
+  if (session.rpe) return { load: minutes * session.rpe, method: 'rpe' }
+  const t = trimp(minutes, session.hrAvg, profile)
+  if (t !== null) return { load: t * TRIMP_SCALE, method: 'hr' }
+  return { load: minutes * (session.category === 'hyrox_sim' ? SIM_RPE : DEFAULT_RPE), method: 'default' }
+}
+
+function logCategory(log) {
+  const category = log.workouts?.category
+  if (category) return category
+  const sport = log.data?.sport
+  if (sport) return SPORT_CATEGORIES[sport] || 'other'
+  return 'other'
+}
+
+/**
+ * One list of sessions from logs and sims. A log saved alongside a sim from
+ * the same watch file shares its completed_at; it counts once, as the sim,
+ * lending the sim its heart rate.
+ * @param {Array} logs - workout_logs rows (completed_at, duration_seconds, heart_rate_avg, data, workouts(category))
+ * @param {Array} [sims] - simulation_results rows (completed_at, total_time_ms)
+ * @returns {Array<{at: string, date: string, category: string, minutes: number, rpe: number|null, hrAvg: number|null, kind: 'log'|'sim'}>}
+ */
+export function toSessions(logs, sims = []) {
+  const logsByTime = new Map(logs.map(l => [new Date(l.completed_at).getTime(), l]))
+  const sessions = sims.map(s => {
+    const twin = logsByTime.get(new Date(s.completed_at).getTime())
+    if (twin) logsByTime.delete(new Date(s.completed_at).getTime())
+    return {
+      at: s.completed_at,
+      date: toDateStr(s.completed_at),
+      category: 'hyrox_sim',
+      minutes: (s.total_time_ms || 0) / 60000,
+      rpe: Number(twin?.data?.rpe) || null,
+      hrAvg: twin?.heart_rate_avg || null,
+      kind: 'sim'
+    }
+  })
+  for (const l of logsByTime.values()) {
+    sessions.push({
+      at: l.completed_at,
+      date: toDateStr(l.completed_at),
+      category: logCategory(l),
+      minutes: (l.duration_seconds || 0) / 60,
+      rpe: Number(l.data?.rpe) || null,
+      hrAvg: l.heart_rate_avg || null,
+      kind: 'log'
+    })
+  }
+  return sessions
+    .filter(s => s.minutes > 0)
+    .sort((a, b) => new Date(a.at) - new Date(b.at))
+}
+
+// ── Daily load ──
+
+/**
+ * Total load per day.
+ * @param {Array} sessions - from toSessions()
+ * @param {Object} [profile] - from hrProfile()
+ * @returns {Map<string, number>} date → load
+ */
+export function dailyLoad(sessions, profile = hrProfile()) {
+  const load = new Map()
+  for (const s of sessions) {
+    load.set(s.date, (load.get(s.date) || 0) + sessionLoad(s, profile).load)
+  }
+  return load
+}
+
+/**
+ * Acute:chronic load on a date — the 7 days up to and including it against
+ * the weekly average of the 28.
+ * @returns {{acute: number, chronic: number, ratio: number|null}}
+ */
+export function loadRatio(load, date) {
+  let acute = 0, total = 0
+  for (const [day, value] of load) {
+    const age = daysBetween(day, date)
+    if (age < 0 || age >= CHRONIC_DAYS) continue
+    total += value
+    if (age < ACUTE_DAYS) acute += value
+  }
+  const chronic = total / (CHRONIC_DAYS / ACUTE_DAYS)
+  return { acute, chronic, ratio: chronic > 0 ? acute / chronic : null }
+}
+
+/**
+ * Fitness, fatigue and form for each day from `from` to `to`. The averages
+ * start warming up at the first day with load, so pass load from at least
+ * six weeks before `from` for settled numbers.
+ * @returns {Array<{date: string, load: number, fitness: number, fatigue: number, form: number, ratio: number|null}>}
+ */
+export function fitnessFatigue(load, { from, to }) {
+  const days = [...load.keys()].sort()
+  const start = days.length && days[0] < from ? days[0] : from
+  const out = []
+  let fitness = 0, fatigue = 0
+  for (let day = start; day <= to; day = addDays(day, 1)) {
+    const value = load.get(day) || 0
+    fitness += (value - fitness) / FITNESS_DAYS
+    fatigue += (value - fatigue) / FATIGUE_DAYS
+    if (day >= from) {
+      out.push({ date: day, load: value, fitness, fatigue, form: fitness - fatigue, ratio: loadRatio(load, day).ratio })
+    }
+  }
+  return out
+}
+
+function weekStart(day) {
+  const weekday = (new Date(`${day}T00:00`).getDay() + 6) % 7   // Monday = 0
+  return addDays(day, -weekday)
+}
+
+/**
+ * Load per Monday-start week by category, oldest first, ending with the week
+ * that holds `today`.
+ * @returns {Array<{week: string, total: number, byCategory: Object<string, number>}>}
+ */
+export function weeklyLoad(sessions, profile = hrProfile(), { today = toDateStr(new Date()), weeks = 8 } = {}) {
+  const last = weekStart(today)
+  const out = []
+  for (let i = weeks - 1; i >= 0; i--) {
+    out.push({ week: addDays(last, -7 * i), total: 0, byCategory: Object.fromEntries(LOAD_CATEGORIES.map(c => [c, 0])) })
+  }
+  const byWeek = new Map(out.map(w => [w.week, w]))
+  for (const s of sessions) {
+    const w = byWeek.get(weekStart(s.date))
+    if (!w) continue
+    const { load } = sessionLoad(s, profile)
+    w.total += load
+    w.byCategory[s.category] = (w.byCategory[s.category] || 0) + load
+  }
+  return out
+}
+
+// ── Warnings ──
+
+/**
+ * Load spikes worth telling the athlete about, most serious first: the
+ * overall acute:chronic ratio, then any category whose last 7 days are
+ * well above its own 4-week weekly average.
+ * @param {Object} input
+ * @param {Array} input.sessions - from toSessions()
+ * @param {Map} input.load - from dailyLoad()
+ * @param {Object} [input.profile]
+ * @param {string} input.today
+ * @returns {Array<{level: 'high'|'caution', message: string}>}
+ */
+export function loadWarnings({ sessions, load, profile = hrProfile(), today }) {
+  const warnings = []
+  const { acute, chronic, ratio } = loadRatio(load, today)
+  if (ratio !== null && chronic >= MIN_CHRONIC) {
+    if (ratio >= SPIKE_RATIO) {
+      warnings.push({ level: 'high', message: `Load spike: this week is ${ratio.toFixed(1)}× your 4-week average. Injury risk rises sharply above 1.5 — ease off for a few days.` })
+    } else if (ratio >= HIGH_RATIO) {
+      warnings.push({ level: 'caution', message: `Load is building fast: ${ratio.toFixed(1)}× your 4-week average. Keep the next sessions easy or hold steady.` })
+    }
+  }
+
+  for (const category of LOAD_CATEGORIES) {
+    let catAcute = 0, catTotal = 0
+    for (const s of sessions) {
+      if (s.category !== category) continue
+      const age = daysBetween(s.date, today)
+      if (age < 0 || age >= CHRONIC_DAYS) continue
+      const value = sessionLoad(s, profile).load
+      catTotal += value
+      if (age < ACUTE_DAYS) catAcute += value
+    }
+    const catChronic = catTotal / (CHRONIC_DAYS / ACUTE_DAYS)
+    // A category that is a small share of the week can't drive a spike
+    if (catChronic < MIN_CHRONIC / 2 || catAcute < acute * 0.25) continue
+    const catRatio = catAcute / catChronic
+    if (catRatio >= SPIKE_RATIO) {
+      warnings.push({ level: 'caution', message: `${CATEGORY_LABELS[category]} load is ${catRatio.toFixed(1)}× its 4-week average.` })
+    }
+  }
+  return warnings
+}
+
+// ── Data ──
+
+/**
+ * Sessions and the heart rate profile for a user since a date.
+ * @param {string} userId
+ * @param {string} since - 'YYYY-MM-DD'
+ * @returns {Promise<{sessions: Array, profile: Object}>}
+ */
+export async function fetchSessions(userId, since) {
+  const sinceIso = new Date(`${since}T00:00`).toISOString()
+  const [logsRes, simsRes, rhrRes, profileRes] = await Promise.all([
+    supabase.from('workout_logs').select('completed_at, duration_seconds, heart_rate_avg, heart_rate_max, data, workouts(category)')
+      .eq('user_id', userId).gte('completed_at', sinceIso),
+    supabase.from('simulation_results').select('completed_at, total_time_ms')
+      .eq('user_id', userId).gte('completed_at', sinceIso),
+    supabase.from('health_metrics').select('value')
+      .eq('user_id', userId).eq('metric_type', 'resting_hr').order('recorded_at', { ascending: false }).limit(1),
+    supabase.from('profiles').select('division').eq('id', userId).maybeSingle()
+  ])
+  for (const res of [logsRes, simsRes, rhrRes, profileRes]) if (res.error) throw res.error
+
+  const logs = logsRes.data || []
+  const maxes = logs.map(l => l.heart_rate_max).filter(Boolean)
+  const profile = hrProfile({
+    restingHr: rhrRes.data?.[0] ? Number(rhrRes.data[0].value) : null,
+    maxHr: maxes.length ? Math.max(...maxes) : null,
+    division: profileRes.data?.division
+  })
+  return { sessions: toSessions(logs, simsRes.data || []), profile }
+}
+
+/**
+ * Everything the dashboard load view needs.
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {string} [options.today] - 'YYYY-MM-DD', defaults to the local date
+ * @param {number} [options.days=42] - length of the fitness / fatigue series
+ * @param {number} [options.weeks=8] - weeks of category load
+ * @returns {Promise<{today: Object, series: Array, weekly: Array, warnings: Array, sessions: Array}>}
+ */
+export async function fetchTrainingLoad(userId, { today = toDateStr(new Date()), days = FITNESS_DAYS, weeks = 8 } = {}) {
+  // Warm-up for the fitness average, and whole weeks for the weekly chart
+  const since = addDays(today, -Math.max(days + FITNESS_DAYS * 2, weeks * 7 + 7))
+  const { sessions, profile } = await fetchSessions(userId, since)
+  const load = dailyLoad(sessions, profile)
+  const series = fitnessFatigue(load, { from: addDays(today, -(days - 1)), to: today })
+  return {
+    today: { ...series[series.length - 1], ...loadRatio(load, today) },
+    series,
+    weekly: weeklyLoad(sessions, profile, { today, weeks }),
+    warnings: loadWarnings({ sessions, load, profile, today }),
+    sessions
+  }
+}
@@ -0,0 +1,272 @@
+/**
+ * Workout log data — the schema of workout_logs.data.
+ *
+ *   {
+ *     version: 1,
+ *     type: 'guided' | 'manual',
+ *     rpe: 7,                      // session RPE 1-10, or null
+ *     total_seconds: 1500,         // active time, or null
+ *     timing: {...} | null,        // guided only, see js/interval-engine.js
+ *     rounds_completed: 3 | null,  // guided only
+ *     sport: 'running' | null,     // imported watch sessions, see js/activity-import.js
+ *     exercises: [{
+ *       step: 0,                   // index into workouts.stations, null if ad hoc
+ *       name: 'Wall Balls',
+ *       round: 1, set: 1, sets: 1, // sets > 1 = identical sets logged together
+ *       reps: 15, load_kg: 9, distance_m: null,
+ *       duration_seconds: 48.2, planned_seconds: null,
+ *       pace_sec_per_km: null,     // derived from distance + duration
+ *       rpe: 8, notes: '',
+ *       partial: true              // only when the step was cut off
+ *     }]
+ *   }
+ *
+ * Rows logged before this schema have data = null; normalizeLogData() turns
+ * them into an empty v1 log so history views can treat every row alike.
+ */
+
+export const LOG_SCHEMA_VERSION = 1
+
+const NUMERIC_FIELDS = ['reps', 'load_kg', 'distance_m', 'duration_seconds', 'planned_seconds', 'pace_sec_per_km', 'rpe']
+
+export class LogValidationError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [index] - position of the offending exercise, if any
+   */
+  constructor(message, index = null) {
+    super(index === null ? message : `Exercise ${index + 1}: ${message}`)
+    this.name = 'LogValidationError'
+    this.index = index
+  }
+}
+
+// ── Parsing ──
+
+/**
+ * Metres per set from station text: "1km" → 1000, "4x25m" → 25,
+ * "3x50m each hand" → 50.
+ * @returns {number|null}
+ */
+export function parseDistanceMeters(text) {
+  const m = String(text || '').replace(/^\d+\s*x\s*/i, '').match(/(\d+(?:\.\d+)?)\s*(km|m)\b/i)
+  if (!m) return null
+  return Math.round(parseFloat(m[1]) * (m[2].toLowerCase() === 'km' ? 1000 : 1))
+}
+
+/** Seconds per km, or null when either input is missing. */
+export function paceSecPerKm(distanceM, durationSeconds) {
+  if (!distanceM || !durationSeconds) return null
+  return Math.round(durationSeconds / (distanceM / 1000))
+}
+
+/** "4:52 /km" */
+export function formatPace(secPerKm) {
+  if (!secPerKm) return '—'
+  return `${Math.floor(secPerKm / 60)}:${String(Math.round(secPerKm % 60)).padStart(2, '0')} /km`
+}
+
+/**
+ * Seconds from a clock string: "4:30" → 270, "1:02:10" → 3730, "90" → 90.
+ * @returns {number|null}
+ */
+export function parseDuration(text) {
+  const parts = String(text || '').trim().split(':')
+  if (parts.length > 3 || parts.some(p => !/^\d+(\.\d+)?$/.test(p))) return null
+  return parts.reduce((total, p) => total * 60 + parseFloat(p), 0)
+}
+
+function toNumber(value) {
+  if (value === '' || value === null || value === undefined) return null
+  const n = Number(value)
+  return Number.isFinite(n) ? n : null
+}
+
+// ── Building ──
+
+/**
+ * Normalize one exercise entry: coerce numbers, fill defaults, derive pace.
+ */
+export function exerciseEntry(fields) {
+  const entry = {
+    step: Number.isInteger(fields.step) ? fields.step : null,
+    name: String(fields.name || '').trim(),
+    round: fields.round ?? 1,
+    set: fields.set ?? 1,
+    sets: fields.sets ?? 1,
+    notes: fields.notes ? String(fields.notes).trim() : ''
+  }
+  for (const key of NUMERIC_FIELDS) entry[key] = toNumber(fields[key])
+  // distance_m is per set while duration covers all sets
+  if (entry.pace_sec_per_km === null && entry.sets === 1) {
+    entry.pace_sec_per_km = paceSecPerKm(entry.distance_m, entry.duration_seconds)
+  }
+  if (fields.partial) entry.partial = true
+  return entry
+}
+
+/**
+ * Build log data from an IntervalEngine record plus what the athlete entered
+ * on the summary screen.
+ * @param {Object} record - IntervalEngine#record()
+ * @param {Object} [inputs]
+ * @param {number} [inputs.rpe] - session RPE
+ * @param {Object<number, {load_kg, rpe, notes}>} [inputs.perStep] - keyed by step index
+ * @param {Array} [stations] - workouts.stations, for distances
+ */
+export function buildGuidedLog(record, inputs = {}, stations = []) {
+  const perStep = inputs.perStep || {}
+  return {
+    version: LOG_SCHEMA_VERSION,
+    type: 'guided',
+    rpe: toNumber(inputs.rpe),
+    total_seconds: record.total_seconds,
+    timing: record.timing,
+    rounds_completed: record.rounds_completed,
+    sport: null,
+    exercises: record.steps.map(s => exerciseEntry({
+      ...s,
+      duration_seconds: s.actual_seconds,
+      distance_m: s.partial ? null : parseDistanceMeters(stations[s.step]?.distance),
+      ...perStep[s.step]
+    }))
+  }
+}
+
+/**
+ * Build log data from the manual log form.
+ * @param {Object} inputs
+ * @param {number} [inputs.rpe]
+ * @param {number} [inputs.total_seconds]
+ * @param {string} [inputs.sport]
+ * @param {Array<Object>} inputs.exercises - raw form rows
+ */
+export function buildManualLog(inputs) {
+  return {
+    version: LOG_SCHEMA_VERSION,
+    type: 'manual',
+    rpe: toNumber(inputs.rpe),
+    total_seconds: toNumber(inputs.total_seconds),
+    timing: null,
+    rounds_completed: null,
+    sport: inputs.sport || null,
+    exercises: (inputs.exercises || [])
+      .map(exerciseEntry)
+      .filter(e => e.name && (NUMERIC_FIELDS.some(k => k !== 'planned_seconds' && e[k] !== null) || e.notes))
+  }
+}
+
+// ── Reading ──
+
+/**
+ * Bring any stored data into the current schema. Accepts null (legacy rows)
+ * and raw IntervalEngine records.
+ */
+export function normalizeLogData(data, durationSeconds = null) {
+  if (!data) {
+    return { version: LOG_SCHEMA_VERSION, type: 'manual', rpe: null, total_seconds: durationSeconds, timing: null, rounds_completed: null, sport: null, exercises: [] }
+  }
+  if (!data.version && Array.isArray(data.steps)) return buildGuidedLog(data)
+  return {
+    version: LOG_SCHEMA_VERSION,
+    type: data.type || 'manual',
+    rpe: toNumber(data.rpe),
+    total_seconds: toNumber(data.total_seconds) ?? durationSeconds,
+    timing: data.timing || null,
+    rounds_completed: data.rounds_completed ?? null,
+    sport: data.sport || null,
+    exercises: (data.exercises || []).map(exerciseEntry)
+  }
+}
+
+/**
+ * Throws LogValidationError if data doesn't match the schema.
+ */
+export function validateLogData(data) {
+  if (!data || typeof data !== 'object') throw new LogValidationError('log data must be an object')
+  if (data.version !== LOG_SCHEMA_VERSION) throw new LogValidationError(`unsupported version ${data.version}`)
+  if (!['guided', 'manual'].includes(data.type)) throw new LogValidationError(`unknown type "${data.type}"`)
+  if (data.rpe !== null && (data.rpe < 1 || data.rpe > 10)) throw new LogValidationError('session RPE must be 1-10')
+  if (!Array.isArray(data.exercises)) throw new LogValidationError('exercises must be an array')
+
+  data.exercises.forEach((e, i) => {
+    if (!e.name) throw new LogValidationError('name is required', i)
+    for (const key of NUMERIC_FIELDS) {
+      if (e[key] !== null && (typeof e[key] !== 'number' || e[key] < 0)) {
+        throw new LogValidationError(`${key} must be a non-negative number`, i)
+      }
+    }
+    if (e.rpe !== null && (e.rpe < 1 || e.rpe > 10)) throw new LogValidationError('RPE must be 1-10', i)
+  })
+  return data
+}
+
+/**
+ * Roll a log's entries up to one line per exercise (all sets and rounds).
+ * @returns {Array<{key, name, sets, reps, load_kg, distance_m, duration_seconds, pace_sec_per_km, rpe}>}
+ */
+export function summarizeExercises(data) {
+  const byKey = new Map()
+  for (const e of data.exercises) {
+    const key = e.step ?? e.name
+    if (!byKey.has(key)) byKey.set(key, { key, name: e.name, entries: [] })
+    byKey.get(key).entries.push(e)
+  }
+
+  const sum = (entries, field) => {
+    const vals = entries.filter(e => e[field] !== null)
+    return vals.length ? vals.reduce((t, e) => t + e[field] * (field === 'duration_seconds' ? 1 : e.sets), 0) : null
+  }
+  const max = (entries, field) => {
+    const vals = entries.map(e => e[field]).filter(v => v !== null)
+    return vals.length ? Math.max(...vals) : null
+  }
+
+  return [...byKey.values()].map(({ key, name, entries }) => {
+    const distance = sum(entries, 'distance_m')
+    const duration = sum(entries, 'duration_seconds')
+    const rpes = entries.map(e => e.rpe).filter(v => v !== null)
+    return {
+      key,
+      name,
+      sets: entries.reduce((t, e) => t + e.sets, 0),
+      reps: sum(entries, 'reps'),
+      load_kg: max(entries, 'load_kg'),
+      distance_m: distance,
+      duration_seconds: duration,
+      pace_sec_per_km: paceSecPerKm(distance, duration),
+      rpe: rpes.length ? Math.round(rpes.reduce((a, b) => a + b, 0) / rpes.length * 10) / 10 : null
+    }
+  })
+}
+
+/**
+ * Attempt-by-attempt history of one workout, oldest first, with each
+ * exercise compared to the previous attempt that logged it.
+ * @param {Array} logs - workout_logs rows (completed_at, duration_seconds, data)
+ */
+export function workoutHistory(logs) {
+  const previous = new Map()
+  return [...logs]
+    .sort((a, b) => new Date(a.completed_at) - new Date(b.completed_at))
+    .map(log => {
+      const data = normalizeLogData(log.data, log.duration_seconds)
+      const exercises = summarizeExercises(data).map(ex => {
+        const prev = previous.get(ex.key)
+        previous.set(ex.key, ex)
+        return {
+          ...ex,
+          change: prev ? {
+            load_kg: diff(ex.load_kg, prev.load_kg),
+            reps: diff(ex.reps, prev.reps),
+            duration_seconds: diff(ex.duration_seconds, prev.duration_seconds)
+          } : null
+        }
+      })
+      return { id: log.id, completed_at: log.completed_at, total_seconds: data.total_seconds, rpe: data.rpe, type: data.type, mode: data.timing?.mode ?? null, rounds_completed: data.rounds_completed, exercises }
+    })
+}
+
+function diff(a, b) {
+  return a !== null && b !== null ? Math.round((a - b) * 10) / 10 : null
+}
@@ -0,0 +1,117 @@
+/**
+ * Workout schema for authored workouts (workouts table).
+ *
+ * A workout:
+ *   {
+ *     title, description,
+ *     category: 'hyrox_sim'|'conditioning'|'strength'|'running'|'mobility',
+ *     difficulty: 'beginner'|'intermediate'|'advanced',
+ *     duration_minutes: 45 | null,
+ *     equipment: ['SkiErg', ...],
+ *     timing: {mode, rounds, interval_seconds, cap_seconds, round_rest_seconds} | null,
+ *     stations: [Station]
+ *   }
+ *
+ * Station — the seed data's free-text fields plus the structured timing keys
+ * js/interval-engine.js reads:
+ *   {name, distance?, reps?, duration?, rest?, notes?,
+ *    work_seconds?, rest_seconds?, sets?, reps_target?}
+ *
+ * is_valid_workout_stations() in migrations/add_content_authoring.sql checks
+ * the station rules on the server — keep the two in step.
+ */
+
+import { TIMING_MODES } from './interval-engine.js'
+
+export const WORKOUT_CATEGORIES = ['hyrox_sim', 'conditioning', 'strength', 'running', 'mobility']
+export const DIFFICULTIES = ['beginner', 'intermediate', 'advanced']
+
+const STATION_TEXT_KEYS = ['distance', 'reps', 'duration', 'rest', 'notes']
+const STATION_NUMBER_KEYS = ['work_seconds', 'rest_seconds', 'sets', 'reps_target']
+const TIMING_NUMBER_KEYS = ['rounds', 'interval_seconds', 'cap_seconds', 'round_rest_seconds']
+
+export class WorkoutValidationError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [station] - station index, if any
+   */
+  constructor(message, station = null) {
+    super(station === null ? message : `Station ${station + 1}: ${message}`)
+    this.name = 'WorkoutValidationError'
+    this.station = station
+  }
+}
+
+function positiveNumber(value) {
+  if (value === '' || value == null) return null
+  const n = Number(value)
+  return Number.isFinite(n) && n > 0 ? n : NaN
+}
+
+/**
+ * Clean station input from a form: trims text, drops empty fields and turns
+ * the timing fields into numbers.
+ */
+export function normalizeStation(input) {
+  const station = { name: String(input.name || '').trim() }
+  for (const key of STATION_TEXT_KEYS) {
+    const value = String(input[key] ?? '').trim()
+    if (value) station[key] = value
+  }
+  for (const key of STATION_NUMBER_KEYS) {
+    const value = positiveNumber(input[key])
+    if (value !== null) station[key] = key === 'sets' || key === 'reps_target' ? Math.round(value) : value
+  }
+  return station
+}
+
+/**
+ * Clean workout-level timing input; null when no mode is set.
+ */
+export function normalizeTiming(input) {
+  if (!input?.mode) return null
+  const timing = { mode: input.mode }
+  for (const key of TIMING_NUMBER_KEYS) {
+    const value = positiveNumber(input[key])
+    if (value !== null) timing[key] = Math.round(value)
+  }
+  return timing
+}
+
+/**
+ * Throws WorkoutValidationError unless the workout matches the schema.
+ * @returns {Object} the workout
+ */
+export function validateWorkout(workout) {
+  if (!workout.title?.trim()) throw new WorkoutValidationError('Title is required')
+  if (!WORKOUT_CATEGORIES.includes(workout.category)) throw new WorkoutValidationError(`Unknown category "${workout.category}"`)
+  if (workout.difficulty != null && !DIFFICULTIES.includes(workout.difficulty)) {
+    throw new WorkoutValidationError(`Unknown difficulty "${workout.difficulty}"`)
+  }
+  if (workout.duration_minutes != null && !(Number.isInteger(workout.duration_minutes) && workout.duration_minutes > 0)) {
+    throw new WorkoutValidationError('Duration must be a whole number of minutes')
+  }
+  if (!Array.isArray(workout.stations) || workout.stations.length === 0) {
+    throw new WorkoutValidationError('Add at least one station')
+  }
+  workout.stations.forEach((s, i) => {
+    if (!s.name) throw new WorkoutValidationError('name is required', i)
+    for (const key of STATION_NUMBER_KEYS) {
+      if (s[key] != null && !(Number.isFinite(s[key]) && s[key] > 0)) {
+        throw new WorkoutValidationError(`${key.replace(/_/g, ' ')} must be a positive number`, i)
+      }
+    }
+  })
+
+  const timing = workout.timing
+  if (timing) {
+    if (!TIMING_MODES.includes(timing.mode)) throw new WorkoutValidationError(`Unknown timing mode "${timing.mode}"`)
+    for (const key of TIMING_NUMBER_KEYS) {
+      if (timing[key] != null && !(Number.isFinite(timing[key]) && timing[key] > 0)) {
+        throw new WorkoutValidationError(`${key.replace(/_/g, ' ')} must be a positive number`)
+      }
+    }
+    if (timing.mode === 'amrap' && !timing.cap_seconds) throw new WorkoutValidationError('AMRAP workouts need a time cap')
+  }
+  return workout
+}
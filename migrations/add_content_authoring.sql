@@ -0,0 +1,209 @@
+-- Migration: add_content_authoring
+-- Workouts and training plans authored in the app, and coach assignments.
+-- Both tables were read-only seed data. Rows now have an owner and a
+-- visibility:
+--
+--   public  — in the library for everyone (all seeded rows, owner_id NULL)
+--   group   — members of group_id only
+--   private — the owner only
+--
+-- Whoever can see a workout or plan can assign it: to themselves, to an
+-- athlete they coach, or to a whole group they coach, with a start date.
+-- Assigned content is readable by the athletes it was assigned to, along with
+-- any workouts an assigned plan links to, so coaches can hand out private
+-- plans without publishing them.
+--
+-- Stations and timing keep the shapes documented in js/workout-schema.js and
+-- js/interval-engine.js; plan schedules are already checked by
+-- is_valid_plan_schedule() (structure_plan_sessions.sql).
+
+-- ── Ownership ──
+ALTER TABLE workouts ADD COLUMN IF NOT EXISTS owner_id UUID REFERENCES profiles(id) ON DELETE CASCADE;
+ALTER TABLE workouts ADD COLUMN IF NOT EXISTS visibility TEXT NOT NULL DEFAULT 'public'
+  CHECK (visibility IN ('private','group','public'));
+ALTER TABLE workouts ADD COLUMN IF NOT EXISTS group_id UUID REFERENCES groups(id) ON DELETE SET NULL;
+ALTER TABLE workouts ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT now();
+
+ALTER TABLE training_plans ADD COLUMN IF NOT EXISTS owner_id UUID REFERENCES profiles(id) ON DELETE CASCADE;
+ALTER TABLE training_plans ADD COLUMN IF NOT EXISTS visibility TEXT NOT NULL DEFAULT 'public'
+  CHECK (visibility IN ('private','group','public'));
+ALTER TABLE training_plans ADD COLUMN IF NOT EXISTS group_id UUID REFERENCES groups(id) ON DELETE SET NULL;
+ALTER TABLE training_plans ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT now();
+
+-- Seeded rows have no owner and must stay public. A group row whose group is
+-- deleted falls back to private rather than failing the delete.
+CREATE OR REPLACE FUNCTION content_visibility_fallback()
+RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF NEW.visibility = 'group' AND NEW.group_id IS NULL THEN
+    NEW.visibility := 'private';
+  END IF;
+  IF NEW.visibility <> 'group' THEN
+    NEW.group_id := NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS workouts_visibility_fallback ON workouts;
+CREATE TRIGGER workouts_visibility_fallback
+  BEFORE INSERT OR UPDATE ON workouts
+  FOR EACH ROW EXECUTE FUNCTION content_visibility_fallback();
+
+DROP TRIGGER IF EXISTS training_plans_visibility_fallback ON training_plans;
+CREATE TRIGGER training_plans_visibility_fallback
+  BEFORE INSERT OR UPDATE ON training_plans
+  FOR EACH ROW EXECUTE FUNCTION content_visibility_fallback();
+
+ALTER TABLE workouts DROP CONSTRAINT IF EXISTS workouts_owner_visibility;
+ALTER TABLE workouts ADD CONSTRAINT workouts_owner_visibility CHECK (owner_id IS NOT NULL OR visibility = 'public');
+ALTER TABLE training_plans DROP CONSTRAINT IF EXISTS training_plans_owner_visibility;
+ALTER TABLE training_plans ADD CONSTRAINT training_plans_owner_visibility CHECK (owner_id IS NOT NULL OR visibility = 'public');
+
+-- Authors can delete their workouts; logs and sims of them are kept unlinked
+ALTER TABLE workout_logs DROP CONSTRAINT IF EXISTS workout_logs_workout_id_fkey;
+ALTER TABLE workout_logs ADD CONSTRAINT workout_logs_workout_id_fkey
+  FOREIGN KEY (workout_id) REFERENCES workouts(id) ON DELETE SET NULL;
+ALTER TABLE simulation_results DROP CONSTRAINT IF EXISTS simulation_results_workout_id_fkey;
+ALTER TABLE simulation_results ADD CONSTRAINT simulation_results_workout_id_fkey
+  FOREIGN KEY (workout_id) REFERENCES workouts(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_workouts_owner ON workouts(owner_id) WHERE owner_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_training_plans_owner ON training_plans(owner_id) WHERE owner_id IS NOT NULL;
+
+-- ── Stations ──
+-- Every station needs a name; timing keys, when present, must be positive
+-- numbers (js/workout-schema.js checks the same on save)
+CREATE OR REPLACE FUNCTION is_valid_workout_stations(stations JSONB)
+RETURNS BOOLEAN
+LANGUAGE plpgsql IMMUTABLE AS $$
+DECLARE
+  station JSONB;
+  key TEXT;
+BEGIN
+  IF jsonb_typeof(stations) <> 'array' THEN RETURN FALSE; END IF;
+  FOR station IN SELECT value FROM jsonb_array_elements(stations) LOOP
+    IF jsonb_typeof(station) <> 'object' THEN RETURN FALSE; END IF;
+    IF jsonb_typeof(station->'name') IS DISTINCT FROM 'string' OR btrim(station->>'name') = '' THEN RETURN FALSE; END IF;
+    FOREACH key IN ARRAY ARRAY['work_seconds', 'rest_seconds', 'sets', 'reps_target'] LOOP
+      IF coalesce(jsonb_typeof(station->key), 'null') <> 'null' THEN
+        IF jsonb_typeof(station->key) <> 'number' OR (station->>key)::numeric <= 0 THEN RETURN FALSE; END IF;
+      END IF;
+    END LOOP;
+  END LOOP;
+  RETURN TRUE;
+END;
+$$;
+
+ALTER TABLE workouts DROP CONSTRAINT IF EXISTS workouts_stations_valid;
+ALTER TABLE workouts ADD CONSTRAINT workouts_stations_valid
+  CHECK (stations IS NULL OR is_valid_workout_stations(stations));
+ALTER TABLE workouts DROP CONSTRAINT IF EXISTS workouts_timing_valid;
+ALTER TABLE workouts ADD CONSTRAINT workouts_timing_valid
+  CHECK (timing IS NULL OR coalesce(timing->>'mode', '') IN ('for_time','intervals','emom','amrap'));
+
+-- ── Assignments ──
+CREATE TABLE IF NOT EXISTS assignments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  assigned_by UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  workout_id UUID REFERENCES workouts(id) ON DELETE CASCADE,
+  plan_id UUID REFERENCES training_plans(id) ON DELETE CASCADE,
+  athlete_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  group_id UUID REFERENCES groups(id) ON DELETE CASCADE,
+  start_date DATE NOT NULL,
+  notes TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  CHECK ((workout_id IS NULL) <> (plan_id IS NULL)),
+  CHECK ((athlete_id IS NULL) <> (group_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_assignments_athlete ON assignments(athlete_id, start_date) WHERE athlete_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_assignments_group ON assignments(group_id, start_date) WHERE group_id IS NOT NULL;
+
+-- True when a workout or plan is assigned to the signed-in user (directly or
+-- through a group), or is a workout linked from a plan assigned to them
+CREATE OR REPLACE FUNCTION is_assigned_to_me(p_content_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public AS $$
+  WITH mine AS (
+    SELECT a.workout_id, a.plan_id FROM assignments a
+    WHERE a.athlete_id = auth.uid()
+       OR (a.group_id IS NOT NULL AND EXISTS (
+         SELECT 1 FROM group_members m WHERE m.group_id = a.group_id AND m.user_id = auth.uid()
+       ))
+  )
+  SELECT EXISTS (SELECT 1 FROM mine WHERE workout_id = p_content_id OR plan_id = p_content_id)
+    OR EXISTS (
+      SELECT 1 FROM mine JOIN training_plans p ON p.id = mine.plan_id
+      WHERE jsonb_path_exists(p.schedule, '$[*].days[*].workout_id ? (@ == $id)', jsonb_build_object('id', p_content_id::text))
+    )
+$$;
+
+GRANT EXECUTE ON FUNCTION is_assigned_to_me(UUID) TO authenticated;
+
+-- Visibility rule shared by workouts and training_plans
+CREATE OR REPLACE FUNCTION can_view_content(p_id UUID, p_owner_id UUID, p_visibility TEXT, p_group_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE AS $$
+  SELECT p_visibility = 'public'
+    OR p_owner_id = auth.uid()
+    OR (p_visibility = 'group' AND is_group_member(p_group_id))
+    OR is_assigned_to_me(p_id)
+$$;
+
+-- Owners may share with a group they belong to
+CREATE OR REPLACE FUNCTION can_share_content(p_owner_id UUID, p_visibility TEXT, p_group_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE AS $$
+  SELECT p_owner_id = auth.uid() AND (p_visibility <> 'group' OR is_group_member(p_group_id))
+$$;
+
+-- ── Policies ──
+DROP POLICY IF EXISTS "Workouts are public" ON workouts;
+CREATE POLICY "Users see visible workouts" ON workouts FOR SELECT
+  USING (can_view_content(id, owner_id, visibility, group_id));
+CREATE POLICY "Users insert own workouts" ON workouts FOR INSERT
+  WITH CHECK (can_share_content(owner_id, visibility, group_id));
+CREATE POLICY "Users update own workouts" ON workouts FOR UPDATE
+  USING (auth.uid() = owner_id)
+  WITH CHECK (can_share_content(owner_id, visibility, group_id));
+CREATE POLICY "Users delete own workouts" ON workouts FOR DELETE USING (auth.uid() = owner_id);
+
+DROP POLICY IF EXISTS "Plans are public" ON training_plans;
+CREATE POLICY "Users see visible plans" ON training_plans FOR SELECT
+  USING (can_view_content(id, owner_id, visibility, group_id));
+CREATE POLICY "Users insert own plans" ON training_plans FOR INSERT
+  WITH CHECK (can_share_content(owner_id, visibility, group_id));
+CREATE POLICY "Users update own plans" ON training_plans FOR UPDATE
+  USING (auth.uid() = owner_id)
+  WITH CHECK (can_share_content(owner_id, visibility, group_id));
+CREATE POLICY "Users delete own plans" ON training_plans FOR DELETE USING (auth.uid() = owner_id);
+
+ALTER TABLE assignments ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Users see their assignments" ON assignments FOR SELECT USING (
+  auth.uid() = assigned_by
+  OR auth.uid() = athlete_id
+  OR (group_id IS NOT NULL AND is_group_member(group_id))
+);
+-- The assigner must be able to see the content and coach the target
+-- (or be assigning to themselves)
+CREATE POLICY "Coaches assign content" ON assignments FOR INSERT WITH CHECK (
+  auth.uid() = assigned_by
+  AND (
+    auth.uid() = athlete_id
+    OR coaches_athlete(athlete_id)
+    OR (group_id IS NOT NULL AND is_group_coach(group_id))
+  )
+  AND (
+    EXISTS (SELECT 1 FROM workouts w WHERE w.id = workout_id)
+    OR EXISTS (SELECT 1 FROM training_plans p WHERE p.id = plan_id)
+  )
+);
+CREATE POLICY "Coaches remove their assignments" ON assignments FOR DELETE USING (auth.uid() = assigned_by);
+
+COMMENT ON COLUMN workouts.owner_id IS 'Author; NULL for the seeded library';
+COMMENT ON COLUMN workouts.visibility IS 'public (library), group (members of group_id) or private (owner and assignees)';
+COMMENT ON COLUMN training_plans.owner_id IS 'Author; NULL for the seeded library';
+COMMENT ON COLUMN training_plans.visibility IS 'public (library), group (members of group_id) or private (owner and assignees)';
+COMMENT ON TABLE assignments IS 'A workout or plan assigned to an athlete or a whole group from start_date (plans start on that date)';
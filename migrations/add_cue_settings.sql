@@ -0,0 +1,7 @@
+-- Migration: add_cue_settings
+-- Per-user audio, vibration and voice cue preferences for the simulation
+-- timer and guided workouts (see js/cues.js for keys and defaults).
+
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS cue_settings JSONB;
+
+COMMENT ON COLUMN profiles.cue_settings IS 'Cue preferences, e.g. {"enabled": true, "voice": true, "beeps": true, "vibration": true, "announceSplits": true, "announceDelta": true, "countdown": true, "volume": 0.8, "rate": 1.0}. NULL = defaults';
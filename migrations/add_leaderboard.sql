@@ -0,0 +1,109 @@
+-- Migration: add_leaderboard
+-- Leaderboard RPCs. The home page used to take the 10 fastest singles rows
+-- straight from simulation_results, so one athlete could fill the board and
+-- there was no way to filter it. These rank each athlete's best result for a
+-- format, optionally within a division, age group and period, and can look
+-- up any athlete's rank so it can be shown outside the top of the board.
+--
+-- Sims that timed Roxzone transitions include time the others don't, so they
+-- are left off the board (see comparisonKey() in js/sim-formats.js).
+
+CREATE INDEX IF NOT EXISTS idx_simulation_results_leaderboard
+  ON simulation_results(format, user_id, total_time_ms);
+
+-- Every athlete's best result for the filters, ranked
+CREATE OR REPLACE FUNCTION leaderboard_ranked(
+  p_format TEXT DEFAULT 'singles',
+  p_division TEXT DEFAULT NULL,
+  p_age_group TEXT DEFAULT NULL,
+  p_period TEXT DEFAULT 'all'
+)
+RETURNS TABLE (
+  rank BIGINT,
+  user_id UUID,
+  display_name TEXT,
+  division TEXT,
+  age_group TEXT,
+  total_time_ms INTEGER,
+  completed_at TIMESTAMPTZ,
+  result_id UUID
+)
+LANGUAGE sql STABLE AS $$
+  WITH best AS (
+    SELECT DISTINCT ON (s.user_id) s.user_id, s.id, s.total_time_ms, s.completed_at
+    FROM simulation_results s
+    JOIN profiles p ON p.id = s.user_id
+    WHERE s.format = p_format
+      AND NOT (s.splits @> '[{"type": "roxzone"}]'::jsonb)
+      AND (p_division IS NULL OR p.division = p_division)
+      AND (p_age_group IS NULL OR p.age_group = p_age_group)
+      AND s.completed_at >= CASE p_period
+        WHEN 'week' THEN date_trunc('week', now())
+        WHEN 'month' THEN date_trunc('month', now())
+        ELSE '-infinity'::timestamptz
+      END
+    ORDER BY s.user_id, s.total_time_ms, s.completed_at
+  )
+  SELECT rank() OVER (ORDER BY b.total_time_ms), b.user_id, p.display_name, p.division, p.age_group,
+         b.total_time_ms, b.completed_at, b.id
+  FROM best b
+  JOIN profiles p ON p.id = b.user_id
+$$;
+
+-- One page of the board, with the number of ranked athletes on every row
+CREATE OR REPLACE FUNCTION leaderboard_page(
+  p_format TEXT DEFAULT 'singles',
+  p_division TEXT DEFAULT NULL,
+  p_age_group TEXT DEFAULT NULL,
+  p_period TEXT DEFAULT 'all',
+  p_limit INTEGER DEFAULT 10,
+  p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+  rank BIGINT,
+  user_id UUID,
+  display_name TEXT,
+  division TEXT,
+  age_group TEXT,
+  total_time_ms INTEGER,
+  completed_at TIMESTAMPTZ,
+  result_id UUID,
+  total_count BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  SELECT r.*, count(*) OVER ()
+  FROM leaderboard_ranked(p_format, p_division, p_age_group, p_period) r
+  ORDER BY r.rank, r.completed_at
+  LIMIT least(greatest(p_limit, 1), 100) OFFSET greatest(p_offset, 0)
+$$;
+
+-- One athlete's row on the board, if they have one
+CREATE OR REPLACE FUNCTION leaderboard_rank(
+  p_user_id UUID,
+  p_format TEXT DEFAULT 'singles',
+  p_division TEXT DEFAULT NULL,
+  p_age_group TEXT DEFAULT NULL,
+  p_period TEXT DEFAULT 'all'
+)
+RETURNS TABLE (
+  rank BIGINT,
+  user_id UUID,
+  display_name TEXT,
+  division TEXT,
+  age_group TEXT,
+  total_time_ms INTEGER,
+  completed_at TIMESTAMPTZ,
+  result_id UUID
+)
+LANGUAGE sql STABLE AS $$
+  SELECT * FROM leaderboard_ranked(p_format, p_division, p_age_group, p_period) r
+  WHERE r.user_id = p_user_id
+$$;
+
+GRANT EXECUTE ON FUNCTION leaderboard_ranked(TEXT, TEXT, TEXT, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION leaderboard_page(TEXT, TEXT, TEXT, TEXT, INTEGER, INTEGER) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION leaderboard_rank(UUID, TEXT, TEXT, TEXT, TEXT) TO anon, authenticated;
+
+COMMENT ON FUNCTION leaderboard_ranked(TEXT, TEXT, TEXT, TEXT) IS 'Each athlete''s best sim for a format, division, age group and period (week, month, all), ranked';
+COMMENT ON FUNCTION leaderboard_page(TEXT, TEXT, TEXT, TEXT, INTEGER, INTEGER) IS 'A page of leaderboard_ranked, with total_count';
+COMMENT ON FUNCTION leaderboard_rank(UUID, TEXT, TEXT, TEXT, TEXT) IS 'One athlete''s leaderboard_ranked row';
@@ -0,0 +1,34 @@
+-- Migration: add_pace_plans
+-- Named pace plans with their full per-segment targets. Previously "Save Pace
+-- Plan" only kept profiles.target_time_seconds and the split had to be
+-- recomputed (with whatever weights were current) wherever it was used.
+-- One plan per user can be the default ghost for the timer and CourseTracker.
+
+CREATE TABLE IF NOT EXISTS pace_plans (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  division TEXT CHECK (division IN ('men_open','women_open','men_pro','women_pro','men_doubles','women_doubles','mixed_doubles')),
+  goal_seconds INTEGER NOT NULL CHECK (goal_seconds > 0),
+  segments JSONB NOT NULL,
+  weights_version TEXT NOT NULL,
+  weights JSONB,
+  is_default BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE(user_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pace_plans_user ON pace_plans(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pace_plans_one_default ON pace_plans(user_id) WHERE is_default;
+
+ALTER TABLE pace_plans ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Users see own pace plans" ON pace_plans FOR SELECT USING (auth.uid() = user_id);
+CREATE POLICY "Users insert own pace plans" ON pace_plans FOR INSERT WITH CHECK (auth.uid() = user_id);
+CREATE POLICY "Users update own pace plans" ON pace_plans FOR UPDATE USING (auth.uid() = user_id);
+CREATE POLICY "Users delete own pace plans" ON pace_plans FOR DELETE USING (auth.uid() = user_id);
+
+COMMENT ON COLUMN pace_plans.segments IS 'Per-segment targets as canonical splits (see js/splits.js): [{segment, name, type, split_ms, cumulative_ms}]';
+COMMENT ON COLUMN pace_plans.weights_version IS 'Segment weights the split was built with: PACE_WEIGHTS_VERSION (js/pace-plan.js) or PREDICTOR_VERSION (js/race-predictor.js)';
+COMMENT ON COLUMN pace_plans.weights IS 'The normalized per-segment weights used, in course order';
+COMMENT ON COLUMN pace_plans.is_default IS 'Default ghost for the simulation timer and CourseTracker replay (at most one per user)';
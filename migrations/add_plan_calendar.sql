@@ -0,0 +1,22 @@
+-- Migration: add_plan_calendar
+-- Subscribable iCalendar feed for the active plan. The training plans page
+-- writes the .ics to a public storage bucket under
+-- <user_id>/<calendar_token>.ics; the random token keeps the URL unguessable.
+
+ALTER TABLE user_plans ADD COLUMN IF NOT EXISTS calendar_token TEXT;
+
+COMMENT ON COLUMN user_plans.calendar_token IS 'Random token in the public .ics feed path (plan-calendars/<user_id>/<token>.ics)';
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('plan-calendars', 'plan-calendars', true)
+ON CONFLICT (id) DO NOTHING;
+
+-- Upserting an existing feed reads it first, so owners need SELECT too
+CREATE POLICY "Users read own calendar feed" ON storage.objects FOR SELECT
+  USING (bucket_id = 'plan-calendars' AND (storage.foldername(name))[1] = auth.uid()::text);
+CREATE POLICY "Users write own calendar feed" ON storage.objects FOR INSERT
+  WITH CHECK (bucket_id = 'plan-calendars' AND (storage.foldername(name))[1] = auth.uid()::text);
+CREATE POLICY "Users update own calendar feed" ON storage.objects FOR UPDATE
+  USING (bucket_id = 'plan-calendars' AND (storage.foldername(name))[1] = auth.uid()::text);
+CREATE POLICY "Users delete own calendar feed" ON storage.objects FOR DELETE
+  USING (bucket_id = 'plan-calendars' AND (storage.foldername(name))[1] = auth.uid()::text);
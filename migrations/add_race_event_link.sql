@@ -0,0 +1,21 @@
+-- Migration: add_race_event_link
+-- Links a logged race to the hyrox_events row it was run at, so the race
+-- detail page can replay it on that venue's map and compare it with earlier
+-- races at the same venue. Races logged before this only have free-text
+-- location; the backfill matches them on date and city where it can.
+
+ALTER TABLE race_results ADD COLUMN IF NOT EXISTS event_id UUID REFERENCES hyrox_events(id) ON DELETE SET NULL;
+ALTER TABLE race_results ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT now();
+
+CREATE INDEX IF NOT EXISTS idx_race_results_user_event ON race_results(user_id, event_id);
+
+UPDATE race_results r
+SET event_id = e.id
+FROM hyrox_events e
+WHERE r.event_id IS NULL
+  AND e.city IS NOT NULL
+  AND r.race_date = e.event_date
+  AND r.location ILIKE '%' || e.city || '%';
+
+COMMENT ON COLUMN race_results.event_id IS 'The event the race was run at, when known (venue map and same-venue comparisons)';
+COMMENT ON COLUMN race_results.updated_at IS 'Last edit of the result or its splits';
@@ -0,0 +1,284 @@
+-- Migration: add_result_review
+-- Leaderboard integrity. simulation_results is public and any signed-in user
+-- could insert any total_time_ms, so a 00:01 "result" topped the board.
+--
+--   - Results are checked on insert: splits must be well formed and add up
+--     to the total (as validateSplits() in js/splits.js checks client side),
+--     else the insert is rejected.
+--   - Segment times faster than the per-segment minimums below, or a finish
+--     faster than the format allows, flag the result. Flagged results stay in
+--     the athlete's history but are kept off the leaderboard until an admin
+--     verifies them.
+--   - Anyone signed in can report a result; three open reports flag it for
+--     review.
+--   - Results that don't cover the whole course never rank. Workout and
+--     custom sims don't rank at all, so their segments aren't checked.
+
+-- ── Admins ──
+-- Rows are added by hand (service role); there are no client policies
+CREATE TABLE IF NOT EXISTS admins (
+  user_id UUID PRIMARY KEY REFERENCES profiles(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+ALTER TABLE admins ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION is_admin()
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public AS $$
+  SELECT EXISTS (SELECT 1 FROM admins WHERE user_id = auth.uid())
+$$;
+GRANT EXECUTE ON FUNCTION is_admin() TO authenticated;
+
+-- ── Review columns ──
+ALTER TABLE simulation_results ADD COLUMN IF NOT EXISTS review_status TEXT NOT NULL DEFAULT 'ok'
+  CHECK (review_status IN ('ok','flagged','verified','rejected'));
+ALTER TABLE simulation_results ADD COLUMN IF NOT EXISTS flags JSONB NOT NULL DEFAULT '[]'::jsonb;
+ALTER TABLE simulation_results ADD COLUMN IF NOT EXISTS course_complete BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE simulation_results ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES profiles(id) ON DELETE SET NULL;
+ALTER TABLE simulation_results ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_simulation_results_review
+  ON simulation_results(review_status) WHERE review_status = 'flagged';
+
+CREATE POLICY "Admins review sims" ON simulation_results FOR UPDATE USING (is_admin());
+
+-- ── Minimums ──
+-- Faster than the best in the world, with margin. Doubles stations are
+-- shared, so they are checked at half the minimum.
+CREATE TABLE IF NOT EXISTS segment_minimums (
+  name TEXT PRIMARY KEY,
+  min_ms INTEGER NOT NULL CHECK (min_ms > 0)
+);
+ALTER TABLE segment_minimums ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Segment minimums are public" ON segment_minimums FOR SELECT USING (true);
+
+INSERT INTO segment_minimums (name, min_ms) VALUES
+  ('Run 1', 150000), ('Run 2', 150000), ('Run 3', 150000), ('Run 4', 150000),
+  ('Run 5', 150000), ('Run 6', 150000), ('Run 7', 150000), ('Run 8', 150000),
+  ('SkiErg', 160000),
+  ('Sled Push', 60000),
+  ('Sled Pull', 75000),
+  ('Burpee Broad Jumps', 110000),
+  ('Rowing', 150000),
+  ('Farmers Carry', 45000),
+  ('Sandbag Lunges', 110000),
+  ('Wall Balls', 110000)
+ON CONFLICT (name) DO UPDATE SET min_ms = EXCLUDED.min_ms;
+
+-- Course segments a format must cover to rank, and the fastest finish
+-- anyone could post over that course
+CREATE OR REPLACE FUNCTION format_course_segments(format TEXT)
+RETURNS INTEGER
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT CASE format WHEN 'half' THEN 8 WHEN 'singles' THEN 16 WHEN 'doubles' THEN 16 WHEN 'relay' THEN 16 END
+$$;
+
+CREATE OR REPLACE FUNCTION format_min_total_ms(format TEXT)
+RETURNS INTEGER
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT CASE format WHEN 'singles' THEN 3000000 WHEN 'doubles' THEN 2700000 WHEN 'relay' THEN 2700000 WHEN 'half' THEN 1500000 END
+$$;
+
+-- ── Checks ──
+CREATE OR REPLACE FUNCTION check_simulation_result()
+RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+DECLARE
+  seg JSONB;
+  split_ms BIGINT;
+  cumulative_ms BIGINT;
+  prev_cumulative BIGINT := 0;
+  course_segments INTEGER := 0;
+  seen_segments TEXT[] := '{}';
+  min_ms INTEGER;
+  flags JSONB := '[]'::jsonb;
+BEGIN
+  IF NEW.total_time_ms IS NULL OR NEW.total_time_ms <= 0 THEN
+    RAISE EXCEPTION 'total_time_ms must be greater than zero' USING ERRCODE = 'check_violation';
+  END IF;
+  IF jsonb_typeof(NEW.splits) <> 'array' OR jsonb_array_length(NEW.splits) = 0 THEN
+    RAISE EXCEPTION 'splits must be a non-empty array' USING ERRCODE = 'check_violation';
+  END IF;
+
+  FOR seg IN SELECT value FROM jsonb_array_elements(NEW.splits) LOOP
+    -- Whole milliseconds only; casting "12.5" would fail with 22P02, which
+    -- the offline queue treats as a transient error and retries forever
+    IF coalesce(seg->>'split_ms', '') !~ '^\d{1,15}$' OR coalesce(seg->>'cumulative_ms', '') !~ '^\d{1,15}$' THEN
+      RAISE EXCEPTION 'split "%" needs whole-millisecond split_ms and cumulative_ms', seg->>'name' USING ERRCODE = 'check_violation';
+    END IF;
+    split_ms := (seg->>'split_ms')::BIGINT;
+    cumulative_ms := (seg->>'cumulative_ms')::BIGINT;
+    IF split_ms <= 0 THEN
+      RAISE EXCEPTION 'split "%" needs a positive split_ms', seg->>'name' USING ERRCODE = 'check_violation';
+    END IF;
+    IF abs(cumulative_ms - prev_cumulative - split_ms) > 1 THEN
+      RAISE EXCEPTION 'split "%" cumulative time does not match the sum of splits', seg->>'name' USING ERRCODE = 'check_violation';
+    END IF;
+    prev_cumulative := cumulative_ms;
+
+    SELECT m.min_ms INTO min_ms FROM segment_minimums m WHERE m.name = seg->>'name';
+    IF min_ms IS NOT NULL AND format_course_segments(NEW.format) IS NOT NULL THEN
+      -- A segment listed twice still covers the course once
+      IF NOT (seg->>'name' = ANY (seen_segments)) THEN
+        seen_segments := seen_segments || (seg->>'name');
+        course_segments := course_segments + 1;
+      END IF;
+      IF NEW.format = 'doubles' AND seg->>'type' = 'station' THEN
+        min_ms := min_ms / 2;
+      END IF;
+      IF split_ms < min_ms THEN
+        flags := flags || jsonb_build_object('code', 'segment_below_minimum', 'segment', seg->>'name', 'split_ms', split_ms, 'min_ms', min_ms);
+      END IF;
+    END IF;
+  END LOOP;
+
+  IF abs(prev_cumulative - NEW.total_time_ms) > 1000 THEN
+    RAISE EXCEPTION 'splits add up to %s but the total is %s', round(prev_cumulative / 1000.0), round(NEW.total_time_ms / 1000.0)
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  NEW.course_complete := coalesce(course_segments >= format_course_segments(NEW.format), false);
+  IF NEW.course_complete AND NEW.total_time_ms < format_min_total_ms(NEW.format) THEN
+    flags := flags || jsonb_build_object('code', 'total_below_minimum', 'total_ms', NEW.total_time_ms, 'min_ms', format_min_total_ms(NEW.format));
+  END IF;
+
+  -- Review state is never taken from the client
+  NEW.flags := flags;
+  NEW.review_status := CASE WHEN jsonb_array_length(flags) > 0 THEN 'flagged' ELSE 'ok' END;
+  NEW.reviewed_by := NULL;
+  NEW.reviewed_at := NULL;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS check_simulation_result ON simulation_results;
+CREATE TRIGGER check_simulation_result
+  BEFORE INSERT OR UPDATE OF total_time_ms, splits, format ON simulation_results
+  FOR EACH ROW EXECUTE FUNCTION check_simulation_result();
+
+-- Existing rows: work out course_complete and flags once, without rejecting
+-- anything already stored
+WITH checked AS (
+  SELECT s.id,
+    count(DISTINCT m.name) AS course_segments,
+    coalesce(jsonb_agg(jsonb_build_object(
+      'code', 'segment_below_minimum', 'segment', m.name,
+      'split_ms', (e.value->>'split_ms')::BIGINT, 'min_ms', lim.min_ms
+    )) FILTER (WHERE (e.value->>'split_ms')::BIGINT < lim.min_ms), '[]'::jsonb) AS flags
+  FROM simulation_results s
+  CROSS JOIN LATERAL jsonb_array_elements(CASE WHEN jsonb_typeof(s.splits) = 'array' THEN s.splits ELSE '[]'::jsonb END) e
+  JOIN segment_minimums m ON m.name = e.value->>'name'
+  CROSS JOIN LATERAL (
+    SELECT CASE WHEN s.format = 'doubles' AND e.value->>'type' = 'station' THEN m.min_ms / 2 ELSE m.min_ms END AS min_ms
+  ) lim
+  WHERE format_course_segments(s.format) IS NOT NULL
+    AND e.value->>'split_ms' ~ '^\d{1,15}$'
+  GROUP BY s.id
+), complete AS (
+  SELECT c.id, c.flags, coalesce(c.course_segments >= format_course_segments(s.format), false) AS course_complete,
+         format_min_total_ms(s.format) AS min_total_ms, s.total_time_ms
+  FROM checked c
+  JOIN simulation_results s ON s.id = c.id
+), flagged AS (
+  SELECT id, course_complete,
+    flags || CASE WHEN course_complete AND total_time_ms < min_total_ms
+      THEN jsonb_build_array(jsonb_build_object('code', 'total_below_minimum', 'total_ms', total_time_ms, 'min_ms', min_total_ms))
+      ELSE '[]'::jsonb END AS flags
+  FROM complete
+)
+UPDATE simulation_results s
+SET course_complete = f.course_complete,
+    flags = f.flags,
+    review_status = CASE WHEN jsonb_array_length(f.flags) > 0 THEN 'flagged' ELSE 'ok' END
+FROM flagged f
+WHERE f.id = s.id;
+
+-- ── Reports ──
+CREATE TABLE IF NOT EXISTS result_reports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  result_id UUID NOT NULL REFERENCES simulation_results(id) ON DELETE CASCADE,
+  reporter_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  reason TEXT NOT NULL CHECK (reason IN ('impossible_time','incomplete','wrong_format','other')),
+  details TEXT,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open','upheld','dismissed')),
+  resolved_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE(result_id, reporter_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_result_reports_open ON result_reports(result_id) WHERE status = 'open';
+
+ALTER TABLE result_reports ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Users see own reports" ON result_reports FOR SELECT USING (auth.uid() = reporter_id OR is_admin());
+CREATE POLICY "Users insert own reports" ON result_reports FOR INSERT WITH CHECK (auth.uid() = reporter_id AND status = 'open');
+CREATE POLICY "Admins resolve reports" ON result_reports FOR UPDATE USING (is_admin());
+
+-- REPORT_FLAG_THRESHOLD in js/result-review.js
+CREATE OR REPLACE FUNCTION flag_reported_result()
+RETURNS TRIGGER
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public AS $$
+BEGIN
+  IF (SELECT count(*) FROM result_reports WHERE result_id = NEW.result_id AND status = 'open') >= 3 THEN
+    UPDATE simulation_results
+    SET review_status = 'flagged',
+        flags = flags || jsonb_build_object('code', 'reported')
+    WHERE id = NEW.result_id AND review_status = 'ok';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS flag_reported_result ON result_reports;
+CREATE TRIGGER flag_reported_result
+  AFTER INSERT ON result_reports
+  FOR EACH ROW EXECUTE FUNCTION flag_reported_result();
+
+-- ── Leaderboard ──
+-- Only complete, unflagged (or verified) results rank
+CREATE OR REPLACE FUNCTION leaderboard_ranked(
+  p_format TEXT DEFAULT 'singles',
+  p_division TEXT DEFAULT NULL,
+  p_age_group TEXT DEFAULT NULL,
+  p_period TEXT DEFAULT 'all'
+)
+RETURNS TABLE (
+  rank BIGINT,
+  user_id UUID,
+  display_name TEXT,
+  division TEXT,
+  age_group TEXT,
+  total_time_ms INTEGER,
+  completed_at TIMESTAMPTZ,
+  result_id UUID
+)
+LANGUAGE sql STABLE AS $$
+  WITH best AS (
+    SELECT DISTINCT ON (s.user_id) s.user_id, s.id, s.total_time_ms, s.completed_at
+    FROM simulation_results s
+    JOIN profiles p ON p.id = s.user_id
+    WHERE s.format = p_format
+      AND s.course_complete
+      AND s.review_status IN ('ok','verified')
+      AND NOT (s.splits @> '[{"type": "roxzone"}]'::jsonb)
+      AND (p_division IS NULL OR p.division = p_division)
+      AND (p_age_group IS NULL OR p.age_group = p_age_group)
+      AND s.completed_at >= CASE p_period
+        WHEN 'week' THEN date_trunc('week', now())
+        WHEN 'month' THEN date_trunc('month', now())
+        ELSE '-infinity'::timestamptz
+      END
+    ORDER BY s.user_id, s.total_time_ms, s.completed_at
+  )
+  SELECT rank() OVER (ORDER BY b.total_time_ms), b.user_id, p.display_name, p.division, p.age_group,
+         b.total_time_ms, b.completed_at, b.id
+  FROM best b
+  JOIN profiles p ON p.id = b.user_id
+$$;
+
+COMMENT ON TABLE admins IS 'Users who can review flagged results and reports (added by hand)';
+COMMENT ON COLUMN simulation_results.review_status IS 'ok, flagged (off the leaderboard pending review), verified or rejected — set by check_simulation_result() and admins';
+COMMENT ON COLUMN simulation_results.flags IS 'Why a result was flagged: [{code: segment_below_minimum|total_below_minimum|reported, ...}]';
+COMMENT ON COLUMN simulation_results.course_complete IS 'Whether the splits cover the whole course for the format; only complete results rank';
+COMMENT ON TABLE segment_minimums IS 'Fastest plausible time per course segment; faster splits flag a result';
+COMMENT ON TABLE result_reports IS 'Users reporting suspicious leaderboard results';
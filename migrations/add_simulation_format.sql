@@ -0,0 +1,15 @@
+-- Migration: add_simulation_format
+-- Records which simulation format a result was run in so leaderboards and
+-- comparisons only compare like with like (see js/sim-formats.js).
+
+ALTER TABLE simulation_results ADD COLUMN IF NOT EXISTS format TEXT NOT NULL DEFAULT 'singles'
+  CHECK (format IN ('singles','half','doubles','relay','workout','custom'));
+ALTER TABLE simulation_results ADD COLUMN IF NOT EXISTS workout_id UUID REFERENCES workouts(id);
+ALTER TABLE simulation_results ADD COLUMN IF NOT EXISTS partners JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_simulation_results_format
+  ON simulation_results(format, total_time_ms);
+
+COMMENT ON COLUMN simulation_results.format IS 'Simulation format: singles, half, doubles, relay, workout (see workout_id) or custom';
+COMMENT ON COLUMN simulation_results.workout_id IS 'Workout the simulation was built from, if any';
+COMMENT ON COLUMN simulation_results.partners IS 'Partner names keyed by id for doubles/relay, e.g. {"A": "Sam", "B": "Alex"}';
@@ -0,0 +1,10 @@
+-- Migration: add_timezone_goals
+-- Streaks and weekly goals count days in the athlete's own timezone, so a
+-- late-evening session lands on the day it was done rather than the UTC one
+-- (see js/goals.js). Weekly targets are per user; NULL uses the defaults.
+
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS timezone TEXT;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS weekly_goals JSONB;
+
+COMMENT ON COLUMN profiles.timezone IS 'IANA timezone, e.g. Europe/London. NULL = the browser''s timezone';
+COMMENT ON COLUMN profiles.weekly_goals IS 'Weekly targets, e.g. {"sessions": 4, "running_km": 20, "sims": 1}. A target of 0 hides that goal. NULL = defaults';
@@ -0,0 +1,182 @@
+-- Migration: add_training_groups
+-- Training groups with coach and athlete roles. Every table was scoped to its
+-- own user_id, so a coach couldn't see any of their athletes' training.
+--
+--   - Anyone can create a group and becomes its first coach.
+--   - Coaches invite people by email, as coach or athlete. The invitee sees
+--     the invite when signed in with that email and accepts or declines it
+--     through respond_group_invite().
+--   - Coaches get read access to their athletes' workout_logs, race_results,
+--     health_metrics and user_plans (simulation_results are already public).
+--     Athletes don't see each other's data, and coaches' own data stays
+--     private to other coaches.
+--
+-- Membership checks go through SECURITY DEFINER functions so the policies on
+-- group_members don't recurse into themselves.
+
+-- ── Groups ──
+CREATE TABLE IF NOT EXISTS groups (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL CHECK (length(btrim(name)) BETWEEN 1 AND 80),
+  description TEXT,
+  created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS group_members (
+  group_id UUID REFERENCES groups(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  role TEXT NOT NULL CHECK (role IN ('coach','athlete')),
+  joined_at TIMESTAMPTZ DEFAULT now(),
+  PRIMARY KEY (group_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_members_user ON group_members(user_id);
+
+CREATE TABLE IF NOT EXISTS group_invites (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  group_id UUID REFERENCES groups(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'athlete' CHECK (role IN ('coach','athlete')),
+  invited_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','accepted','declined','revoked')),
+  created_at TIMESTAMPTZ DEFAULT now(),
+  responded_at TIMESTAMPTZ
+);
+
+-- One open invite per address per group
+CREATE UNIQUE INDEX IF NOT EXISTS idx_group_invites_pending
+  ON group_invites(group_id, lower(email)) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_group_invites_email ON group_invites(lower(email)) WHERE status = 'pending';
+
+-- ── Membership checks ──
+CREATE OR REPLACE FUNCTION is_group_member(p_group_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public AS $$
+  SELECT EXISTS (SELECT 1 FROM group_members WHERE group_id = p_group_id AND user_id = auth.uid())
+$$;
+
+CREATE OR REPLACE FUNCTION is_group_coach(p_group_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM group_members
+    WHERE group_id = p_group_id AND user_id = auth.uid() AND role = 'coach'
+  )
+$$;
+
+-- True when the signed-in user coaches a group the athlete is in
+CREATE OR REPLACE FUNCTION coaches_athlete(p_athlete_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM group_members c
+    JOIN group_members a ON a.group_id = c.group_id
+    WHERE c.user_id = auth.uid() AND c.role = 'coach'
+      AND a.user_id = p_athlete_id AND a.role = 'athlete'
+  )
+$$;
+
+GRANT EXECUTE ON FUNCTION is_group_member(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION is_group_coach(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION coaches_athlete(UUID) TO authenticated;
+
+-- The creator is the group's first coach
+CREATE OR REPLACE FUNCTION add_group_creator()
+RETURNS TRIGGER
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public AS $$
+BEGIN
+  IF NEW.created_by IS NOT NULL THEN
+    INSERT INTO group_members (group_id, user_id, role) VALUES (NEW.id, NEW.created_by, 'coach')
+    ON CONFLICT DO NOTHING;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS add_group_creator ON groups;
+CREATE TRIGGER add_group_creator
+  AFTER INSERT ON groups
+  FOR EACH ROW EXECUTE FUNCTION add_group_creator();
+
+-- ── Invitations ──
+-- Accepting adds the membership; the invite must be pending and addressed to
+-- the signed-in user's email
+CREATE OR REPLACE FUNCTION respond_group_invite(p_invite_id UUID, p_accept BOOLEAN)
+RETURNS UUID
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public AS $$
+DECLARE
+  invite group_invites%ROWTYPE;
+BEGIN
+  SELECT * INTO invite FROM group_invites
+  WHERE id = p_invite_id AND status = 'pending'
+    AND lower(email) = lower(auth.jwt() ->> 'email')
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Invite not found or no longer open' USING ERRCODE = 'no_data_found';
+  END IF;
+
+  IF p_accept THEN
+    -- An athlete invited to coach is promoted; a coach keeps their role
+    INSERT INTO group_members (group_id, user_id, role)
+    VALUES (invite.group_id, auth.uid(), invite.role)
+    ON CONFLICT (group_id, user_id) DO UPDATE
+      SET role = CASE WHEN group_members.role = 'coach' THEN 'coach' ELSE EXCLUDED.role END;
+  END IF;
+
+  UPDATE group_invites
+  SET status = CASE WHEN p_accept THEN 'accepted' ELSE 'declined' END, responded_at = now()
+  WHERE id = p_invite_id;
+
+  RETURN invite.group_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION respond_group_invite(UUID, BOOLEAN) TO authenticated;
+
+-- ── Policies ──
+ALTER TABLE groups ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Members see their groups" ON groups FOR SELECT USING (
+  auth.uid() = created_by
+  OR is_group_member(id)
+  OR EXISTS (
+    SELECT 1 FROM group_invites i
+    WHERE i.group_id = groups.id AND i.status = 'pending'
+      AND lower(i.email) = lower(auth.jwt() ->> 'email')
+  )
+);
+CREATE POLICY "Users create groups" ON groups FOR INSERT WITH CHECK (auth.uid() = created_by);
+CREATE POLICY "Coaches update groups" ON groups FOR UPDATE USING (is_group_coach(id));
+CREATE POLICY "Coaches delete groups" ON groups FOR DELETE USING (is_group_coach(id));
+
+-- Members join through respond_group_invite(), so there's no insert policy.
+-- Anyone can leave; coaches can remove athletes.
+ALTER TABLE group_members ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Members see their group" ON group_members FOR SELECT USING (is_group_member(group_id));
+CREATE POLICY "Members leave or coaches remove athletes" ON group_members FOR DELETE USING (
+  auth.uid() = user_id OR (role = 'athlete' AND is_group_coach(group_id))
+);
+
+ALTER TABLE group_invites ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Coaches and invitees see invites" ON group_invites FOR SELECT USING (
+  is_group_coach(group_id) OR lower(email) = lower(auth.jwt() ->> 'email')
+);
+CREATE POLICY "Coaches invite" ON group_invites FOR INSERT WITH CHECK (
+  is_group_coach(group_id) AND auth.uid() = invited_by AND status = 'pending'
+);
+CREATE POLICY "Coaches revoke invites" ON group_invites FOR UPDATE
+  USING (is_group_coach(group_id) AND status = 'pending')
+  WITH CHECK (status = 'revoked');
+
+-- ── Coach read access ──
+CREATE POLICY "Coaches see athletes' logs" ON workout_logs FOR SELECT USING (coaches_athlete(user_id));
+CREATE POLICY "Coaches see athletes' races" ON race_results FOR SELECT USING (coaches_athlete(user_id));
+CREATE POLICY "Coaches see athletes' health data" ON health_metrics FOR SELECT USING (coaches_athlete(user_id));
+CREATE POLICY "Coaches see athletes' plans" ON user_plans FOR SELECT USING (coaches_athlete(user_id));
+
+COMMENT ON TABLE groups IS 'Training groups; the creator is added as a coach';
+COMMENT ON TABLE group_members IS 'Group membership. Coaches can read their athletes'' logs, races, health metrics and plans';
+COMMENT ON TABLE group_invites IS 'Email invitations to a group, answered with respond_group_invite()';
+COMMENT ON FUNCTION coaches_athlete(UUID) IS 'Whether the signed-in user coaches a group the athlete belongs to';
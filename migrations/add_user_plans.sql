@@ -0,0 +1,29 @@
+-- Migration: add_user_plans
+-- Personalised copy of a training plan per athlete. The adapter in
+-- js/plan-adapter.js rewrites upcoming days from logged workouts, sims and
+-- health metrics and records why in `changes`.
+
+CREATE TABLE IF NOT EXISTS user_plans (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  plan_id UUID REFERENCES training_plans(id) ON DELETE CASCADE,
+  start_date DATE NOT NULL,
+  schedule JSONB NOT NULL,
+  changes JSONB NOT NULL DEFAULT '[]'::jsonb,
+  adapted_on DATE,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE(user_id, plan_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_plans_user ON user_plans(user_id);
+
+ALTER TABLE user_plans ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Users see own plans" ON user_plans FOR SELECT USING (auth.uid() = user_id);
+CREATE POLICY "Users insert own plans" ON user_plans FOR INSERT WITH CHECK (auth.uid() = user_id);
+CREATE POLICY "Users update own plans" ON user_plans FOR UPDATE USING (auth.uid() = user_id);
+CREATE POLICY "Users delete own plans" ON user_plans FOR DELETE USING (auth.uid() = user_id);
+
+COMMENT ON COLUMN user_plans.schedule IS 'Personalised copy of training_plans.schedule (same shape, may have extra weeks)';
+COMMENT ON COLUMN user_plans.changes IS 'Applied adaptations: [{key, type: shift|repeat|deload|progress, day, date, week, before, after, reason}]';
+COMMENT ON COLUMN user_plans.adapted_on IS 'Last date the adapter ran';
@@ -0,0 +1,37 @@
+-- Migration: add_workout_timing
+-- Structured timing for the guided workout runner (see js/interval-engine.js).
+-- Workout-level mode lives in workouts.timing; per-step timing is added as
+-- extra keys on the existing stations entries (work_seconds, rest_seconds,
+-- sets, reps_target). Workouts without these fields fall back to parsing the
+-- free-text duration/rest values.
+
+ALTER TABLE workouts ADD COLUMN IF NOT EXISTS timing JSONB;
+
+COMMENT ON COLUMN workouts.timing IS 'Guided timing: {"mode": "for_time|intervals|emom|amrap", "rounds", "interval_seconds", "cap_seconds", "countdown_seconds", "round_rest_seconds"}';
+
+-- ── Seeded conditioning workouts ──
+
+UPDATE workouts SET timing = '{"mode":"amrap","cap_seconds":1200}'::jsonb
+WHERE title = 'The Furnace — 20 Min AMRAP' AND timing IS NULL;
+
+UPDATE workouts SET timing = '{"mode":"emom","interval_seconds":60,"rounds":6}'::jsonb
+WHERE title = 'Station Blaster EMOM' AND timing IS NULL;
+
+UPDATE workouts SET timing = '{"mode":"for_time","rounds":5}'::jsonb
+WHERE title = 'Hyrox MetCon — 5 Rounds' AND timing IS NULL;
+
+UPDATE workouts SET
+  timing = '{"mode":"intervals","rounds":1}'::jsonb,
+  stations = (
+    SELECT jsonb_agg(s || '{"work_seconds":20,"rest_seconds":10,"sets":8}'::jsonb ORDER BY ord)
+    FROM jsonb_array_elements(stations) WITH ORDINALITY AS e(s, ord)
+  )
+WHERE title = 'Tabata Torture' AND timing IS NULL;
+
+UPDATE workouts SET
+  timing = '{"mode":"intervals","rounds":4}'::jsonb,
+  stations = (
+    SELECT jsonb_agg(s || '{"work_seconds":30,"rest_seconds":30}'::jsonb ORDER BY ord)
+    FROM jsonb_array_elements(stations) WITH ORDINALITY AS e(s, ord)
+  )
+WHERE title = 'The 30-30 Interval Blitz' AND timing IS NULL;
@@ -0,0 +1,80 @@
+-- Migration: normalize_split_shapes
+-- Rewrites simulation_results.splits and race_results.splits into the
+-- canonical split shape used by js/splits.js:
+--   {"segment": 0, "name": "Run 1", "type": "run", "split_ms": 245000, "cumulative_ms": 245000}
+-- Rows already in the canonical shape (first element has "segment") are left alone.
+
+-- ── Simulation results ──
+-- Old shape: {"station": "Run 1 — 1km", "cumulative_ms": 245000, "split_ms": 245000}
+UPDATE simulation_results sr
+SET splits = converted.splits
+FROM (
+  SELECT s.id, jsonb_agg(
+    jsonb_build_object(
+      'segment', e.ord - 1,
+      'name', e.name,
+      'type', CASE WHEN e.name ~* '^(both\s+)?run\M' THEN 'run' ELSE 'station' END,
+      'split_ms', COALESCE(e.split_ms, e.cumulative_ms - COALESCE(e.prev_cumulative, 0)),
+      'cumulative_ms', e.cumulative_ms
+    ) ORDER BY e.ord
+  ) AS splits
+  FROM simulation_results s
+  CROSS JOIN LATERAL (
+    SELECT
+      ord,
+      trim(split_part(value->>'station', '—', 1)) AS name,
+      (value->>'split_ms')::INTEGER AS split_ms,
+      (value->>'cumulative_ms')::INTEGER AS cumulative_ms,
+      lag((value->>'cumulative_ms')::INTEGER) OVER (ORDER BY ord) AS prev_cumulative
+    FROM jsonb_array_elements(s.splits) WITH ORDINALITY AS t(value, ord)
+  ) e
+  WHERE jsonb_typeof(s.splits) = 'array'
+    AND jsonb_array_length(s.splits) > 0
+    AND NOT (s.splits->0 ? 'segment')
+  GROUP BY s.id
+) converted
+WHERE sr.id = converted.id;
+
+-- ── Race results ──
+-- Old shape: {"station": "Run 1", "time_seconds": 245}
+-- Segment index comes from the standard course order so partially entered
+-- splits keep their position.
+UPDATE race_results rr
+SET splits = converted.splits
+FROM (
+  SELECT r.id, jsonb_agg(
+    jsonb_build_object(
+      'segment', e.segment,
+      'name', e.name,
+      'type', CASE WHEN e.name ~* '^(both\s+)?run\M' THEN 'run' ELSE 'station' END,
+      'split_ms', e.split_ms,
+      'cumulative_ms', e.cumulative_ms
+    ) ORDER BY e.ord
+  ) AS splits
+  FROM race_results r
+  CROSS JOIN LATERAL (
+    SELECT
+      ord,
+      name,
+      COALESCE(array_position(ARRAY[
+        'Run 1', 'SkiErg', 'Run 2', 'Sled Push',
+        'Run 3', 'Sled Pull', 'Run 4', 'Burpee Broad Jumps',
+        'Run 5', 'Rowing', 'Run 6', 'Farmers Carry',
+        'Run 7', 'Sandbag Lunges', 'Run 8', 'Wall Balls'
+      ], name), ord::INTEGER) - 1 AS segment,
+      split_ms,
+      SUM(split_ms) OVER (ORDER BY ord) AS cumulative_ms
+    FROM (
+      SELECT
+        ord,
+        trim(split_part(value->>'station', '—', 1)) AS name,
+        round((value->>'time_seconds')::NUMERIC * 1000)::INTEGER AS split_ms
+      FROM jsonb_array_elements(r.splits) WITH ORDINALITY AS t(value, ord)
+    ) raw
+  ) e
+  WHERE jsonb_typeof(r.splits) = 'array'
+    AND jsonb_array_length(r.splits) > 0
+    AND NOT (r.splits->0 ? 'segment')
+  GROUP BY r.id
+) converted
+WHERE rr.id = converted.id;
@@ -0,0 +1,239 @@
+-- Migration: structure_plan_sessions
+-- training_plans.schedule stored each day as free text ("Strength: Deadlift 4x5"),
+-- so the app guessed the session type from keywords and a day couldn't point at
+-- a workout in the library. Each day becomes a session object:
+--   {type, title, duration_minutes, intensity, workout_id, targets}
+-- (schema in js/plan-schema.js). parse_plan_day() converts the text with the
+-- same rules as parseSessionText() there. A trigger converts string days that
+-- still arrive (e.g. re-running seed-plans.sql) and a CHECK rejects malformed plans.
+
+-- ── Parser ──
+
+CREATE OR REPLACE FUNCTION parse_plan_day(day_text TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql IMMUTABLE AS $$
+DECLARE
+  title TEXT := btrim(coalesce(day_text, ''));
+  t TEXT := lower(btrim(coalesce(day_text, '')));
+  kind TEXT;
+  zone TEXT;
+  minutes INTEGER;
+  targets JSONB := '{}'::jsonb;
+  intervals JSONB;
+  exercises JSONB;
+  m TEXT[];
+  n NUMERIC;
+BEGIN
+  kind := CASE
+    WHEN t ~ '^\s*(full )?(rest|off)\y' THEN 'rest'
+    WHEN t ~ 'race day' THEN 'race'
+    WHEN t ~ '\ysim\y|simulation' THEN 'sim'
+    WHEN t ~ 'strength|deadlift|squat|\ydl\y|press' THEN 'strength'
+    WHEN t ~ 'mobil|yoga|recovery|stretch|foam roll|activation' THEN 'mobility'
+    WHEN t ~ 'condition|metcon|emom|amrap|erg\y' THEN 'conditioning'
+    WHEN t ~ 'run|tempo|interval|jog|stride|pace|trial' THEN 'run'
+    ELSE 'conditioning'
+  END;
+
+  zone := CASE kind
+    WHEN 'mobility' THEN 'z1'
+    WHEN 'sim' THEN 'z4'
+    WHEN 'race' THEN 'z4'
+    WHEN 'conditioning' THEN 'z4'
+    WHEN 'run' THEN CASE
+      WHEN t ~ '^(easy|shake|recovery)|long run|\yeasy$' THEN 'z2'
+      WHEN t ~ 'stride|sprint|\y[24]00m\y|max|mile pace|all-out' THEN 'z5'
+      WHEN t ~ 'interval|race pace|threshold|goal pace|5k pace|\dx\d' THEN 'z4'
+      WHEN t ~ 'tempo|fartlek' THEN 'z3'
+      ELSE 'z2'
+    END
+    ELSE NULL
+  END;
+
+  m := regexp_match(t, '(?<![x\d.])(\d+(?:\.\d+)?)\s*km\y');
+  IF m IS NOT NULL AND kind <> 'strength' THEN
+    targets := targets || jsonb_build_object('distance_km', m[1]::numeric);
+  END IF;
+
+  -- "2x15min" is the session's length only when no distance sets it
+  m := regexp_match(t, '(?<![x\d])(\d+)\s*min\y(?!\s*(rest|jog|recovery))');
+  IF m IS NOT NULL THEN
+    minutes := m[1]::int;
+  ELSIF NOT targets ? 'distance_km' THEN
+    m := regexp_match(t, '(\d+)\s*x\s*(\d+)\s*min');
+    IF m IS NOT NULL THEN
+      minutes := m[1]::int * m[2]::int;
+    END IF;
+  END IF;
+
+  IF kind = 'strength' THEN
+    SELECT jsonb_agg(
+      jsonb_build_object('name', x[1], 'sets', x[2]::int)
+      || CASE WHEN x[4] IS NULL
+           THEN jsonb_build_object('reps', x[3]::int)
+           ELSE jsonb_build_object('distance_m', x[3]::int * CASE WHEN x[4] = 'km' THEN 1000 ELSE 1 END)
+         END
+      ORDER BY i)
+    INTO exercises
+    FROM regexp_matches(title, '([A-Za-z][A-Za-z''-]*(?: [A-Za-z''-]+)*)\s+(\d+)\s*x\s*(\d+)\s*(m\y|km\y)?', 'g')
+      WITH ORDINALITY AS r(x, i);
+    IF exercises IS NOT NULL THEN
+      targets := targets || jsonb_build_object('exercises', exercises);
+    END IF;
+  ELSIF kind <> 'rest' THEN
+    m := regexp_match(t, '(\d+)\s*x\s*(\d+(?:\.\d+)?)\s*(km|m|min|s)\y');
+    IF m IS NOT NULL THEN
+      n := m[2]::numeric;
+      intervals := jsonb_build_object('count', m[1]::int) || CASE m[3]
+        WHEN 'km' THEN jsonb_build_object('distance_m', n * 1000)
+        WHEN 'm' THEN jsonb_build_object('distance_m', n)
+        WHEN 'min' THEN jsonb_build_object('duration_s', n * 60)
+        ELSE jsonb_build_object('duration_s', n)
+      END;
+      m := regexp_match(t, '(\d+)\s*(s|sec|min)\s*(rest|recovery|jog)');
+      IF m IS NOT NULL THEN
+        intervals := intervals || jsonb_build_object('rest_s', m[1]::int * CASE WHEN m[2] = 'min' THEN 60 ELSE 1 END);
+      END IF;
+      targets := targets || jsonb_build_object('intervals', intervals);
+    END IF;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'type', kind,
+    'title', title,
+    'duration_minutes', minutes,
+    'intensity', zone,
+    'workout_id', NULL,
+    'targets', targets
+  );
+END;
+$$;
+
+-- Convert any string days in a schedule, leaving session objects alone
+CREATE OR REPLACE FUNCTION normalize_plan_schedule(schedule JSONB)
+RETURNS JSONB
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT CASE WHEN jsonb_typeof(schedule) <> 'array' THEN schedule ELSE coalesce((
+    SELECT jsonb_agg(
+      CASE WHEN jsonb_typeof(w.week) = 'object' AND jsonb_typeof(w.week->'days') = 'array' THEN
+        w.week || jsonb_build_object('days', coalesce((
+          SELECT jsonb_agg(
+            CASE WHEN jsonb_typeof(d.day) = 'string' THEN parse_plan_day(d.day #>> '{}') ELSE d.day END
+            ORDER BY d.i)
+          FROM jsonb_array_elements(w.week->'days') WITH ORDINALITY AS d(day, i)
+        ), '[]'::jsonb))
+      ELSE w.week END
+      ORDER BY w.i)
+    FROM jsonb_array_elements(schedule) WITH ORDINALITY AS w(week, i)
+  ), '[]'::jsonb) END
+$$;
+
+-- ── Validation ──
+
+CREATE OR REPLACE FUNCTION is_valid_plan_schedule(schedule JSONB)
+RETURNS BOOLEAN
+LANGUAGE plpgsql IMMUTABLE AS $$
+DECLARE
+  week JSONB;
+  day JSONB;
+  targets JSONB;
+BEGIN
+  IF jsonb_typeof(schedule) <> 'array' OR jsonb_array_length(schedule) = 0 THEN
+    RETURN FALSE;
+  END IF;
+
+  FOR week IN SELECT value FROM jsonb_array_elements(schedule) LOOP
+    IF jsonb_typeof(week) <> 'object' OR jsonb_typeof(week->'week') <> 'number' THEN RETURN FALSE; END IF;
+    IF (week->>'week')::numeric < 1 OR (week->>'week')::numeric % 1 <> 0 THEN RETURN FALSE; END IF;
+    IF jsonb_typeof(week->'days') <> 'array' OR jsonb_array_length(week->'days') NOT BETWEEN 1 AND 7 THEN RETURN FALSE; END IF;
+
+    FOR day IN SELECT value FROM jsonb_array_elements(week->'days') LOOP
+      IF jsonb_typeof(day) <> 'object' THEN RETURN FALSE; END IF;
+      IF coalesce(day->>'type', '') NOT IN ('run','strength','sim','conditioning','mobility','rest','race') THEN RETURN FALSE; END IF;
+      IF jsonb_typeof(day->'title') IS DISTINCT FROM 'string' OR btrim(day->>'title') = '' THEN RETURN FALSE; END IF;
+      IF coalesce(jsonb_typeof(day->'duration_minutes'), 'null') <> 'null' THEN
+        IF jsonb_typeof(day->'duration_minutes') <> 'number' OR (day->>'duration_minutes')::numeric <= 0 THEN RETURN FALSE; END IF;
+      END IF;
+      IF coalesce(jsonb_typeof(day->'intensity'), 'null') <> 'null'
+        AND coalesce(day->>'intensity', '') NOT IN ('z1','z2','z3','z4','z5') THEN RETURN FALSE; END IF;
+      IF coalesce(jsonb_typeof(day->'workout_id'), 'null') <> 'null' THEN
+        IF day->>'type' = 'rest' OR day->>'workout_id' !~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$' THEN RETURN FALSE; END IF;
+      END IF;
+      targets := day->'targets';
+      IF coalesce(jsonb_typeof(targets), 'null') NOT IN ('null', 'object') THEN RETURN FALSE; END IF;
+    END LOOP;
+  END LOOP;
+
+  RETURN TRUE;
+END;
+$$;
+
+-- ── Convert existing plans ──
+
+UPDATE training_plans SET schedule = normalize_plan_schedule(schedule);
+UPDATE user_plans SET schedule = normalize_plan_schedule(schedule);
+
+-- Link seeded sessions to their counterparts in the workouts library
+-- (first matching pattern wins)
+CREATE OR REPLACE FUNCTION pg_temp.link_plan_day(day JSONB)
+RETURNS JSONB
+LANGUAGE sql STABLE AS $$
+  SELECT coalesce((
+    SELECT day || jsonb_build_object('workout_id', w.id)
+    FROM (VALUES
+      (1, '^Full Hyrox Simulation|^Full Sim Practice', 'Full Hyrox Simulation'),
+      (2, '^Back Half Sim', 'Back Half Simulation'),
+      (3, '^Half Sim', 'Half Hyrox Simulation'),
+      (4, '^Full Sprint Sim', 'Hyrox Sprint Simulation'),
+      (5, '^Pre-Race Activation', 'Pre-Race Activation'),
+      (6, '^Race Pace', 'Hyrox Race Pace Intervals'),
+      (7, 'Chipper', 'Chipper — Race Day Prep'),
+      (8, '^Tempo Run', 'Tempo Run — Threshold Builder'),
+      (9, 'x400m', '400m Repeats — Speed Work'),
+      (10, 'negative split', 'Negative Split Long Run'),
+      (11, 'Hip & Ankle', 'Ankle & Hip Mobility for Runners')
+    ) AS l(priority, pattern, workout_title)
+    JOIN workouts w ON w.title = l.workout_title
+    WHERE day->>'title' ~* l.pattern AND jsonb_typeof(day->'workout_id') IS DISTINCT FROM 'string'
+    ORDER BY l.priority
+    LIMIT 1
+  ), day)
+$$;
+
+UPDATE training_plans SET schedule = (
+  SELECT jsonb_agg(
+    w.week || jsonb_build_object('days', (
+      SELECT jsonb_agg(pg_temp.link_plan_day(d.day) ORDER BY d.i)
+      FROM jsonb_array_elements(w.week->'days') WITH ORDINALITY AS d(day, i)
+    ))
+    ORDER BY w.i)
+  FROM jsonb_array_elements(schedule) WITH ORDINALITY AS w(week, i)
+);
+
+-- ── Enforce ──
+
+CREATE OR REPLACE FUNCTION public.structure_plan_schedule()
+RETURNS trigger AS $$
+BEGIN
+  NEW.schedule := normalize_plan_schedule(NEW.schedule);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS training_plans_structure_schedule ON training_plans;
+CREATE TRIGGER training_plans_structure_schedule
+  BEFORE INSERT OR UPDATE OF schedule ON training_plans
+  FOR EACH ROW EXECUTE FUNCTION public.structure_plan_schedule();
+
+DROP TRIGGER IF EXISTS user_plans_structure_schedule ON user_plans;
+CREATE TRIGGER user_plans_structure_schedule
+  BEFORE INSERT OR UPDATE OF schedule ON user_plans
+  FOR EACH ROW EXECUTE FUNCTION public.structure_plan_schedule();
+
+ALTER TABLE training_plans DROP CONSTRAINT IF EXISTS training_plans_schedule_valid;
+ALTER TABLE training_plans ADD CONSTRAINT training_plans_schedule_valid CHECK (is_valid_plan_schedule(schedule));
+
+ALTER TABLE user_plans DROP CONSTRAINT IF EXISTS user_plans_schedule_valid;
+ALTER TABLE user_plans ADD CONSTRAINT user_plans_schedule_valid CHECK (is_valid_plan_schedule(schedule));
+
+COMMENT ON COLUMN training_plans.schedule IS '[{week, focus, days: [{type, title, duration_minutes, intensity, workout_id, targets}]}] — see js/plan-schema.js';
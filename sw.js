@@ -0,0 +1,83 @@
+/**
+ * Service worker — caches the app shell so the simulation timer opens
+ * without a network connection, and relays Background Sync events to open
+ * pages so they can replay queued simulation results.
+ */
+
+const CACHE_NAME = 'hyrox-sim-shell-v2'
+
+// index.html and every module it imports, directly or through another module.
+// Bump CACHE_NAME whenever this list changes.
+const APP_SHELL = [
+  './',
+  'index.html',
+  'css/global.css',
+  'js/shared.js',
+  'js/supabase-client.js',
+  'js/splits.js',
+  'js/sim-formats.js',
+  'js/pace-plan.js',
+  'js/pace-plans.js',
+  'js/leaderboard.js',
+  'js/ghost-pacer.js',
+  'js/roxzone.js',
+  'js/race-predictor.js',
+  'js/cues.js',
+  'js/timer-store.js',
+  'js/result-review.js',
+  'https://esm.sh/@supabase/supabase-js@2'
+]
+
+// Cross-origin modules and fonts the shell imports
+const RUNTIME_HOSTS = ['esm.sh', 'fonts.googleapis.com', 'fonts.gstatic.com']
+
+const SYNC_TAG = 'sync-sim-results'
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== CACHE_NAME).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+
+  const url = new URL(request.url)
+  const sameOrigin = url.origin === self.location.origin
+  if (!sameOrigin && !RUNTIME_HOSTS.includes(url.hostname)) return
+
+  // Stale-while-revalidate: serve from cache, refresh in the background
+  event.respondWith(
+    caches.open(CACHE_NAME).then(async cache => {
+      const cached = await cache.match(request, { ignoreSearch: sameOrigin })
+      const network = fetch(request)
+        .then(response => {
+          if (response.ok || response.type === 'opaque') cache.put(request, response.clone())
+          return response
+        })
+        .catch(() => cached)
+      return cached || network
+    })
+  )
+})
+
+// Uploading needs the page's Supabase session, so hand the work to any open client
+self.addEventListener('sync', (event) => {
+  if (event.tag !== SYNC_TAG) return
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then(clients => {
+      clients.forEach(client => client.postMessage({ type: SYNC_TAG }))
+    })
+  )
+})
@@ -0,0 +1,31 @@
+/**
+ * js/activity-import.js against a GPX track.
+ *
+ *   node --test tests/
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import { register } from 'node:module'
+
+register('./esm-hooks.js', import.meta.url)
+const { parseActivityGpx, ActivityImportError } = await import('../js/activity-import.js')
+
+const text = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8')
+
+test('GPX: distance along the points, duration and heart rate', () => {
+  const [run] = parseActivityGpx(text('activity.gpx'))
+  assert.equal(run.sport, 'running')
+  assert.equal(run.start.toISOString(), '2024-03-06T12:00:00.000Z')
+  assert.equal(run.duration_seconds, 600)
+  // Two legs of 0.01° at the equator, about 1112 m each
+  assert.ok(Math.abs(run.distance_m - 2224) <= 2, `${run.distance_m} m`)
+  assert.equal(run.heart_rate_max, 160)
+  assert.deepEqual(run.laps, [])
+})
+
+test('GPX without timed points is rejected', () => {
+  assert.throws(() => parseActivityGpx('<gpx><trk><trkseg><trkpt lat="0" lon="0"></trkpt></trkseg></trk></gpx>'), ActivityImportError)
+  assert.throws(() => parseActivityGpx(text('health.tcx')), ActivityImportError)
+})
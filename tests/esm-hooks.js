@@ -0,0 +1,14 @@
+/**
+ * Module hooks for the tests. Pages load supabase-js from esm.sh; here it
+ * resolves to a stand-in so modules that create a client import offline.
+ * Registered by the test files that need it.
+ */
+
+const SUPABASE_JS = 'https://esm.sh/@supabase/supabase-js@2'
+
+export async function resolve(specifier, context, next) {
+  if (specifier === SUPABASE_JS) {
+    return { url: new URL('./stubs/supabase-js.js', import.meta.url).href, shortCircuit: true }
+  }
+  return next(specifier, context)
+}
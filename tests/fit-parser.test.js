@@ -0,0 +1,55 @@
+/**
+ * js/fit-parser.js against a small wellness/activity FIT file.
+ *
+ *   node --test tests/
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import { parseFit, isFit, FitParseError } from '../js/fit-parser.js'
+
+const bytes = readFileSync(new URL('./fixtures/health.fit', import.meta.url))
+const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length)
+
+test('timestamps count seconds from the FIT epoch, 1989-12-31 UTC', () => {
+  const { file_id: [fileId], session: [run] } = parseFit(buffer)
+  assert.ok(fileId.time_created instanceof Date)
+  assert.equal(fileId.time_created.toISOString(), '2024-03-04T12:00:00.000Z')
+  assert.equal(run.start_time.toISOString(), '2024-03-04T12:00:00.000Z')
+  assert.equal(run.timestamp.toISOString(), '2024-03-04T12:25:01.000Z')
+})
+
+test('fields are scaled by the profile', () => {
+  const { session: [run], weight_scale: [weigh] } = parseFit(buffer)
+  assert.equal(run.total_distance, 5012.34)      // centimetres
+  assert.equal(run.total_elapsed_time, 1500.5)   // milliseconds
+  assert.equal(run.total_calories, 412)          // unscaled
+  assert.equal(run.sport, 1)
+  assert.equal(weigh.weight, 72.35)              // 1/100 kg
+})
+
+test('invalid values are dropped', () => {
+  const strength = parseFit(buffer).session[1]
+  assert.equal(strength.sport, 10)
+  assert.equal('total_distance' in strength, false)
+  const lastHr = parseFit(buffer).monitoring_hr_data[2]
+  assert.equal('current_day_resting_heart_rate' in lastHr, false)
+})
+
+test('compressed timestamps build on the last full timestamp', () => {
+  const hr = parseFit(buffer).monitoring_hr_data
+  assert.deepEqual(hr.map(m => m.timestamp.toISOString()), [
+    '2024-03-04T13:00:00.000Z',
+    '2024-03-04T13:00:10.000Z',
+    '2024-03-05T13:00:00.000Z'
+  ])
+  assert.equal(hr[1].current_day_resting_heart_rate, 50)
+})
+
+test('other files are rejected', () => {
+  const text = new TextEncoder().encode('<?xml version="1.0"?><gpx></gpx>').buffer
+  assert.equal(isFit(buffer), true)
+  assert.equal(isFit(text), false)
+  assert.throws(() => parseFit(text), FitParseError)
+})
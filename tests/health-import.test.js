@@ -0,0 +1,109 @@
+/**
+ * js/health-import.js against Apple Health, FIT, TCX and CSV fixtures.
+ *
+ *   node --test tests/
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import { register } from 'node:module'
+
+// Days and midnights are local, as in the browser; pin them
+process.env.TZ = 'UTC'
+register('./esm-hooks.js', import.meta.url)
+const {
+  parseHealthFit, parseHealthTcx, parseAppleHealth, parseHealthCsv, toMetricRows, HealthImportError
+} = await import('../js/health-import.js')
+
+const text = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8')
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} ≠ ${expected}`)
+const pick = (result, metricType) => result.points.filter(p => p.metric_type === metricType)
+const daily = (result, metricType) => result.daily.filter(d => d.metric_type === metricType).map(d => [d.date, d.value])
+
+test('FIT: scaled session distance, weigh-in and the day\'s own resting HR', () => {
+  const bytes = readFileSync(new URL('./fixtures/health.fit', import.meta.url))
+  const result = parseHealthFit(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length))
+
+  assert.deepEqual(daily(result, 'running_distance'), [['2024-03-04', 5.01234]])
+  assert.deepEqual(daily(result, 'active_calories'), [['2024-03-04', 412], ['2024-03-05', 305]])
+  assert.deepEqual(pick(result, 'weight'), [{ metric_type: 'weight', recorded_at: '2024-03-04T11:00:00.000Z', value: 72.35 }])
+  // Last reading of each day; current_day_resting_heart_rate over the 7-day average
+  assert.deepEqual(pick(result, 'resting_hr').map(p => [p.recorded_at, p.value]), [
+    ['2024-03-04T13:00:10.000Z', 50],
+    ['2024-03-05T13:00:00.000Z', 54]
+  ])
+})
+
+test('TCX: lap totals, running only for distance, undated activities skipped', () => {
+  const result = parseHealthTcx(text('health.tcx'))
+  assert.deepEqual(daily(result, 'running_distance'), [['2024-03-06', 3.5005]])
+  assert.deepEqual(daily(result, 'active_calories'), [['2024-03-06', 280], ['2024-03-07', 350]])
+  assert.equal(result.skipped, 1)
+  assert.throws(() => parseHealthTcx(text('activity.gpx')), HealthImportError)
+})
+
+test('Apple Health: units, one source per day, merged sleep and running workouts', async () => {
+  const xml = text('health-export.xml')
+  const result = await parseAppleHealth([xml])
+
+  assert.deepEqual(pick(result, 'resting_hr').map(p => [p.recorded_at, p.value]), [['2024-03-04T12:00:00.000Z', 51]])
+  assert.deepEqual(pick(result, 'hrv').map(p => p.value), [64.5])
+  near(pick(result, 'weight')[0].value, 160 / 2.20462)
+  // iPhone 6000 steps beats the Watch's 4500; they aren't added together
+  assert.deepEqual(daily(result, 'steps'), [['2024-03-04', 6000]])
+  near(daily(result, 'active_calories')[0][1], 100)
+  // 23:00–03:00 and 02:00–06:30 overlap; the awake interval doesn't count
+  assert.deepEqual(pick(result, 'sleep_hours').map(p => [p.recorded_at, p.value]), [['2024-03-05T00:00:00.000Z', 7.5]])
+  const runs = daily(result, 'running_distance')
+  assert.deepEqual(runs.map(([day]) => day), ['2024-03-05', '2024-03-06'])
+  near(runs[0][1], 3.1 * 1.609344)
+  near(runs[1][1], 4.2)
+
+  // Elements cut across chunk boundaries parse the same
+  assert.deepEqual(await parseAppleHealth(xml.match(/[\s\S]{1,97}/g)), result)
+  await assert.rejects(parseAppleHealth([text('health.tcx')]), HealthImportError)
+})
+
+test('CSV with one column per metric', () => {
+  const result = parseHealthCsv(text('health-wide.csv'))
+  assert.deepEqual(pick(result, 'resting_hr').map(p => [p.recorded_at, p.value]), [
+    ['2024-03-04T00:00:00.000Z', 52],
+    ['2024-03-05T00:00:00.000Z', 50]
+  ])
+  assert.deepEqual(pick(result, 'hrv').map(p => p.value), [61])
+  // "Sleep (min)" and h:mm
+  assert.deepEqual(pick(result, 'sleep_hours').map(p => p.value), [7.5, 7.5])
+  near(pick(result, 'weight')[0].value, 165.5 / 2.20462)
+  assert.deepEqual(daily(result, 'steps'), [['2024-03-04', 8200], ['2024-03-05', 9100]])
+  assert.equal(result.skipped, 1)
+})
+
+test('CSV with one row per reading', () => {
+  const result = parseHealthCsv(text('health-long.csv'))
+  assert.deepEqual(result.points.map(p => [p.metric_type, p.recorded_at, p.value]), [
+    ['resting_hr', '2024-03-04T07:00:00.000Z', 53],
+    ['vo2_max', '2024-03-04T07:00:00.000Z', 48.2]
+  ])
+  near(daily(result, 'running_distance')[0][1], 2 * 1.609344)
+  assert.equal(result.skipped, 1)
+})
+
+test('rows: daily totals roll up into Monday weeks and duplicates collapse', () => {
+  const bytes = readFileSync(new URL('./fixtures/health.fit', import.meta.url))
+  const fit = parseHealthFit(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length))
+  const tcx = parseHealthTcx(text('health.tcx'))
+  const csv = parseHealthCsv(text('health-wide.csv'))
+  // The same readings imported twice, say from a re-exported file
+  const { rows, duplicates } = toMetricRows([fit, tcx, csv, { ...csv, daily: [] }])
+
+  const row = (metricType, recordedAt) => rows.find(r => r.metric_type === metricType && r.recorded_at === recordedAt)
+  const week = '2024-03-04T00:00:00.000Z'
+  assert.deepEqual(row('running_distance', week), { metric_type: 'running_distance', recorded_at: week, value: 8.51, unit: 'km' })
+  assert.equal(row('active_calories', week).value, 412 + 305 + 280 + 350)
+  assert.equal(row('steps', week).value, 8200 + 9100)
+  assert.equal(row('weight', '2024-03-04T11:00:00.000Z').value, 72.35)
+  // The repeated readings replace the first copies
+  assert.equal(duplicates, csv.points.length)
+  assert.equal(new Set(rows.map(r => `${r.metric_type}|${r.recorded_at}`)).size, rows.length)
+})
@@ -0,0 +1,58 @@
+/**
+ * js/race-import.js against saved results pages and CSV exports.
+ *
+ *   node --test tests/
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import { parseRaceText, validateRaceSplits, matchDivision } from '../js/race-import.js'
+import { RACE_SEGMENTS } from '../js/splits.js'
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8')
+
+test('official results page: segment diffs, Roxzone total, finish time and division', () => {
+  const race = parseRaceText(fixture('race-results-page.html'))
+
+  assert.equal(race.division, 'Men Pro')
+  assert.equal(race.overallMs, (1 * 3600 + 17 * 60 + 50) * 1000)
+  assert.equal(race.roxzoneMs, 5 * 60 * 1000 + 5000)
+  assert.deepEqual(race.missing, [])
+  assert.deepEqual(race.warnings, [])
+
+  assert.deepEqual(race.splits.map(s => s.name), [...RACE_SEGMENTS.map(s => s.name), 'Roxzone'])
+  // The "Diff" column, not the race clock or time of day
+  assert.deepEqual(race.splits.slice(0, 4).map(s => s.split_ms), [272000, 245000, 281000, 190000])
+  assert.equal(race.splits.find(s => s.name === 'Wall Balls').split_ms, 402000)
+  assert.equal(race.splits.at(-1).cumulative_ms, race.overallMs)
+  assert.doesNotThrow(() => validateRaceSplits(race.splits, race.overallMs))
+})
+
+test('CSV export with one column per segment', () => {
+  const race = parseRaceText(fixture('race-results.csv'))
+
+  assert.equal(race.division, 'Women Doubles')
+  assert.equal(race.overallMs, (1 * 3600 + 18 * 60 + 59) * 1000)
+  assert.equal(race.roxzoneMs, 7 * 60 * 1000)
+  assert.deepEqual(race.missing, [])
+
+  assert.equal(race.splits.length, RACE_SEGMENTS.length + 1)
+  assert.deepEqual(race.splits.slice(0, 2).map(s => [s.name, s.split_ms]), [['Run 1', 301000], ['SkiErg', 221000]])
+  assert.deepEqual(race.splits.slice(-2).map(s => [s.name, s.split_ms]), [['Wall Balls', 350000], ['Roxzone', 420000]])
+  assert.equal(race.splits.at(-1).cumulative_ms, race.overallMs)
+  assert.doesNotThrow(() => validateRaceSplits(race.splits, race.overallMs))
+})
+
+test('splits that overshoot the finish time fail validation', () => {
+  const race = parseRaceText(fixture('race-results.csv'))
+  assert.throws(() => validateRaceSplits(race.splits, race.overallMs - 60000), { name: 'SplitValidationError' })
+})
+
+test('division names map onto the stored values', () => {
+  assert.equal(matchDivision('HYROX PRO Men'), 'Men Pro')
+  assert.equal(matchDivision('HYROX Women'), 'Women Open')
+  assert.equal(matchDivision('Doubles Mixed'), 'Mixed Doubles')
+  assert.equal(matchDivision('HYROX DOUBLES Men'), 'Men Doubles')
+  assert.equal(matchDivision('Elite 15'), null)
+})
@@ -0,0 +1,43 @@
+/**
+ * Same-venue comparisons in js/race-results.js.
+ *
+ *   node --test tests/
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { register } from 'node:module'
+
+register('./esm-hooks.js', import.meta.url)
+const { sameVenue, previousRaceAtVenue } = await import('../js/race-results.js')
+
+const hamburg = { city: 'Hamburg', country: 'Germany', venue_name: 'Messe Hamburg' }
+const races = [
+  { id: 'h24', race_date: '2024-04-20', event_id: 'hamburg-2024', venue: hamburg, location: 'Hamburg' },
+  { id: 'h25', race_date: '2025-04-26', event_id: 'hamburg-2025', venue: { ...hamburg, city: ' hamburg ' }, location: 'Hamburg, DE' },
+  { id: 'b24', race_date: '2024-10-05', event_id: 'berlin-2024', venue: { city: 'Berlin', country: 'Germany', venue_name: null }, location: 'Hamburg' },
+  { id: 'l23', race_date: '2023-03-11', event_id: null, venue: null, location: 'Hamburg, DE' }
+]
+
+test('linked races at one venue in different years match on the event venue', () => {
+  assert.equal(sameVenue(races[0], races[1]), true)
+  assert.equal(previousRaceAtVenue(races[1], races)?.id, 'h24')
+})
+
+test('a linked race at another venue does not match on location text', () => {
+  assert.equal(sameVenue(races[0], races[2]), false)
+  assert.equal(previousRaceAtVenue(races[2], races), null)
+})
+
+test('venue names only split races when both events have one', () => {
+  const other = { ...races[1], venue: { ...hamburg, venue_name: 'Barclays Arena' } }
+  const unnamed = { ...races[1], venue: { ...hamburg, venue_name: null } }
+  assert.equal(sameVenue(races[0], other), false)
+  assert.equal(sameVenue(races[0], unnamed), true)
+})
+
+test('unlinked races fall back to the location text', () => {
+  assert.equal(sameVenue(races[1], races[3]), true)
+  assert.equal(sameVenue(races[0], races[3]), false)
+  assert.equal(previousRaceAtVenue({ id: 'new', race_date: '2026-01-01', location: ' hamburg, de' }, races)?.id, 'h25')
+})
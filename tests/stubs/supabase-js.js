@@ -0,0 +1,4 @@
+/** Stand-in for supabase-js: parsing tests never reach the database. */
+export function createClient() {
+  return {}
+}